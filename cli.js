@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+// Command-line runner for batch experiments without the page: the same
+// engine.js the browser loads, driven by arguments or a JSON run config (see
+// createOptimizer()). Results and convergence curves are written as JSON or
+// CSV with no timestamps, so repeated runs can be diffed and versioned.
+const fs = require('fs');
+const engine = require('./engine.js');
+
+const OUTPUT_FORMAT = 'ga-pso-cli';
+const OUTPUT_VERSION = 1;
+
+const USAGE = `Uso: node cli.js [opções]
+
+  --config ARQUIVO         Configuração de execução em JSON (as opções abaixo a sobrepõem)
+  --algorithm TIPO         ${Object.keys(engine.algorithms).join(', ')} ou race
+  --members A,B            Algoritmos da corrida (com --algorithm race)
+  --function CHAVE         Função de teste, ver --list
+  --dimensions D           Dimensões (padrão 2)
+  --param CHAVE=VALOR      Parâmetro do algoritmo; repetível. Na corrida: TIPO.CHAVE=VALOR
+  --seed N                 Semente da primeira execução; a execução r usa N + r (padrão 1)
+  --runs N                 Número de execuções (padrão 1)
+  --max-iterations N       Máximo de iterações
+  --max-evaluations N      Máximo de avaliações
+  --target-error E         Para ao atingir erro ≤ E
+  --stagnation N           Para após N iterações sem melhora
+  --time-limit S           Tempo limite por execução, em segundos (no --config, stopping.timeLimit é em ms)
+  --tolerance E            Tolerância de sucesso do resumo (padrão 1e-4)
+  --format json|csv        Formato da saída (padrão json)
+  --output ARQUIVO         Resultados por execução (padrão: saída padrão)
+  --convergence ARQUIVO    Curvas de convergência, uma entrada por iteração
+  --list                   Lista algoritmos, parâmetros e funções
+  --help                   Mostra esta ajuda`;
+
+// Options that take no value
+const FLAGS = ['list', 'help'];
+
+// { name: value } from --name value / --name=value; --param collects a list
+function parseArgs(argv) {
+    const options = { param: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+        if (!match) throw new Error(`Argumento inesperado "${argv[i]}".`);
+        const name = match[1];
+        let value = match[2];
+        if (FLAGS.includes(name)) {
+            options[name] = true;
+            continue;
+        }
+        if (value === undefined) {
+            if (i + 1 >= argv.length) throw new Error(`Falta o valor de --${name}.`);
+            value = argv[++i];
+        }
+        if (name === 'param') options.param.push(value);
+        else options[name] = value;
+    }
+    return options;
+}
+
+function readNumber(options, name, parse = parseFloat) {
+    if (options[name] === undefined) return undefined;
+    const value = parse(options[name]);
+    if (!Number.isFinite(value)) throw new Error(`--${name} espera um número, não "${options[name]}".`);
+    return value;
+}
+
+// A parameter value typed as its registry schema says
+function parseParam(algoType, key, text) {
+    const param = engine.algorithms[algoType].params.find(p => p.key === key);
+    if (!param) throw new Error(`${engine.algorithms[algoType].label} não tem o parâmetro "${key}".`);
+    switch (param.type) {
+        case 'boolean':
+            if (!['true', 'false', '1', '0'].includes(text)) throw new Error(`"${key}" espera true ou false.`);
+            return text === 'true' || text === '1';
+        case 'choice':
+            if (!param.options.some(option => option.value === text)) {
+                throw new Error(`"${key}" aceita ${param.options.map(option => option.value).join(', ')}.`);
+            }
+            return text;
+        default: {
+            // Number() rather than parseInt(), so "2.7" is refused instead of read as 2
+            const value = text.trim() === '' ? NaN : Number(text);
+            if (!Number.isFinite(value)) throw new Error(`"${key}" espera um número, não "${text}".`);
+            engine.checkParam(algoType, param, value);
+            return value;
+        }
+    }
+}
+
+// Run config from the file, if any, with the command-line options on top
+function buildConfig(options) {
+    const config = options.config ? JSON.parse(fs.readFileSync(options.config, 'utf8')) : {};
+    if (options.algorithm) config.algorithm = options.algorithm;
+    if (options.members) config.members = options.members.split(',');
+    if (options.function) config.function = { key: options.function };
+    const dimensions = readNumber(options, 'dimensions', Number);
+    if (dimensions !== undefined) config.dimensions = dimensions;
+    const seed = readNumber(options, 'seed', parseInt);
+    if (seed !== undefined) config.seed = seed;
+    const maxIterations = readNumber(options, 'max-iterations', parseInt);
+    if (maxIterations !== undefined) config.maxIterations = maxIterations;
+
+    config.stopping = { ...config.stopping };
+    // The run config counts the time limit in milliseconds
+    [['max-evaluations', 'maxEvaluations', parseInt, 1], ['target-error', 'targetError', parseFloat, 1],
+        ['stagnation', 'stagnation', parseInt, 1], ['time-limit', 'timeLimit', parseFloat, 1000]].forEach(([name, key, parse, scale]) => {
+        const value = readNumber(options, name, parse);
+        if (value !== undefined) config.stopping[key] = value * scale;
+    });
+
+    config.algorithm = config.algorithm || 'ga';
+    if (config.algorithm === 'race' && !config.members) config.members = ['ga', 'pso'];
+    const types = config.algorithm === 'race' ? config.members : [config.algorithm];
+    types.forEach(type => {
+        if (!engine.algorithms[type]) throw new Error(`Algoritmo desconhecido "${type}".`);
+    });
+    config.function = config.function || { key: 'sphere' };
+    const fn = engine.resolveFunction({ ...config.function, transform: null });
+    // Functions defined for a single D take it
+    config.dimensions = fn.dimensions || (config.dimensions !== undefined ? config.dimensions : 2);
+    const required = fn.func.minDimensions || 1;
+    if (!Number.isInteger(config.dimensions) || config.dimensions < required) {
+        throw new Error(`"${fn.name}" espera um número inteiro de dimensões ≥ ${required}, não ${config.dimensions}.`);
+    }
+    if (config.function.transform) config.function.transform = { ...config.function.transform, dimensions: config.dimensions };
+    if (config.seed === undefined) config.seed = 1;
+
+    config.parameters = { ...config.parameters };
+    options.param.forEach(assignment => {
+        const match = /^(?:([a-z0-9]+)\.)?([A-Za-z0-9]+)=(.*)$/.exec(assignment);
+        if (!match) throw new Error(`--param espera CHAVE=VALOR, não "${assignment}".`);
+        const type = match[1] || types[0];
+        if (!types.includes(type)) throw new Error(`"${type}" não faz parte desta execução.`);
+        config.parameters[type] = { ...config.parameters[type], [match[2]]: parseParam(type, match[2], match[3]) };
+    });
+    // Defaults written out, so the output says exactly what ran
+    types.forEach(type => {
+        config.parameters[type] = engine.algorithmParams(type, config.parameters[type]);
+    });
+    return config;
+}
+
+// Runs r = 0 .. runs - 1 with seeds seed + r, as the page's batch mode does
+function runAll(config, runs, recordConvergence) {
+    const results = [];
+    for (let r = 0; r < runs; r++) {
+        const seed = (config.seed + r) >>> 0;
+        const result = engine.runHeadless({ ...config, seed }, recordConvergence);
+        results.push({ run: r + 1, seed, members: result.members });
+        process.stderr.write(`Execução ${r + 1} de ${runs}: ${result.members.map(m => `${m.label} ${engine.scoreOf(m)}`).join(', ')}\n`);
+    }
+    return results;
+}
+
+// Statistics per algorithm over the runs, scored as the batch mode does
+function summarizeRuns(config, results, tolerance) {
+    const fn = engine.resolveFunction(config.function);
+    const target = engine.dynamicsOf(config) ? 0 : engine.globalMinOf(fn, config.dimensions);
+    return results[0].members.map((member, i) => {
+        const scores = results.map(result => engine.scoreOf(result.members[i]));
+        return { label: member.label, ...engine.summarize(scores, target, tolerance) };
+    });
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvTable(header, rows) {
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+function formatResults(config, results, summary, format) {
+    if (format === 'json') {
+        const runs = results.map(result => ({
+            ...result,
+            members: result.members.map(({ convergence, ...member }) => ({ ...member, score: engine.scoreOf(member) }))
+        }));
+        return JSON.stringify({ format: OUTPUT_FORMAT, version: OUTPUT_VERSION, config, runs, summary }, null, 2) + '\n';
+    }
+    // One line per algorithm, so a race gives two lines per run
+    const functionName = engine.resolveFunction(config.function).name;
+    const rows = [];
+    results.forEach(result => result.members.forEach(member => {
+        rows.push([result.run, result.seed, member.label, functionName, config.dimensions, member.iterations,
+            member.evaluations, member.bestFitness, engine.scoreOf(member), member.stopReason || '',
+            member.bestPosition.join(' ')]);
+    }));
+    return csvTable(['execucao', 'semente', 'algoritmo', 'funcao', 'dimensoes', 'iteracoes', 'avaliacoes',
+        'melhor_fitness', 'pontuacao', 'parada', 'melhor_posicao'], rows);
+}
+
+function formatConvergence(results, format) {
+    if (format === 'json') {
+        const curves = results.map(result => ({
+            run: result.run,
+            seed: result.seed,
+            members: result.members.map(member => ({ label: member.label, convergence: member.convergence }))
+        }));
+        return JSON.stringify({ format: `${OUTPUT_FORMAT}-convergence`, version: OUTPUT_VERSION, runs: curves }, null, 2) + '\n';
+    }
+    // Long format: one line per algorithm and iteration, counted from the initial population
+    const rows = [];
+    results.forEach(result => result.members.forEach(member => {
+        member.convergence.forEach((entry, iteration) => {
+            rows.push([result.run, result.seed, member.label, iteration, entry.evaluations, entry.best,
+                entry.iterBest, entry.mean, entry.worst, entry.diversity]);
+        });
+    }));
+    return csvTable(['execucao', 'semente', 'algoritmo', 'iteracao', 'avaliacoes', 'melhor', 'melhor_iteracao',
+        'media', 'pior', 'diversidade'], rows);
+}
+
+function listChoices() {
+    const lines = ['Algoritmos:'];
+    Object.entries(engine.algorithms).forEach(([type, entry]) => {
+        lines.push(`  ${type} — ${entry.name}`);
+        entry.params.forEach(param => {
+            const options = param.options ? ` (${param.options.map(option => option.value).join(', ')})` : '';
+            lines.push(`      ${param.key} = ${param.default}${options} — ${param.label}`);
+        });
+    });
+    lines.push('', 'Funções:');
+    Object.entries(engine.functionCategories).forEach(([category, title]) => {
+        const keys = Object.keys(engine.functions).filter(key => engine.functions[key].category === category);
+        lines.push(`  ${title}: ${keys.join(', ')}`);
+    });
+    return lines.join('\n');
+}
+
+function writeOutput(file, text) {
+    if (file) fs.writeFileSync(file, text);
+    else process.stdout.write(text);
+}
+
+function main(argv) {
+    const options = parseArgs(argv);
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (options.list) {
+        console.log(listChoices());
+        return;
+    }
+    const format = options.format || 'json';
+    if (format !== 'json' && format !== 'csv') throw new Error(`Formato desconhecido "${format}"; use json ou csv.`);
+    const runs = readNumber(options, 'runs', parseInt);
+    if (runs !== undefined && runs < 1) throw new Error("--runs deve ser ao menos 1.");
+    const tolerance = readNumber(options, 'tolerance');
+
+    const config = buildConfig(options);
+    const results = runAll(config, runs || config.runs || 1, !!options.convergence);
+    const summary = summarizeRuns(config, results, tolerance !== undefined ? tolerance : 1e-4);
+    delete config.runs;
+
+    writeOutput(options.output, formatResults(config, results, summary, format));
+    if (options.convergence) writeOutput(options.convergence, formatConvergence(results, format));
+}
+
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (e) {
+        process.stderr.write(`Erro: ${e.message}\n`);
+        process.exit(1);
+    }
+}
+
+module.exports = { parseArgs, buildConfig, runAll, summarizeRuns, formatResults, formatConvergence, main };
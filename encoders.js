@@ -0,0 +1,311 @@
+// Binary encoders for exporting animations: an animated GIF writer with a
+// median-cut palette per frame, and a ZIP archive of stored (uncompressed)
+// files. Both build plain Uint8Arrays, ready for downloadFile().
+
+// --- Byte Buffer ---
+// Growable byte array with the little-endian writers both formats need
+class ByteWriter {
+    constructor(capacity = 1 << 16) {
+        this.bytes = new Uint8Array(capacity);
+        this.length = 0;
+    }
+
+    reserve(count) {
+        if (this.length + count <= this.bytes.length) return;
+        let capacity = this.bytes.length * 2;
+        while (capacity < this.length + count) capacity *= 2;
+        const grown = new Uint8Array(capacity);
+        grown.set(this.bytes.subarray(0, this.length));
+        this.bytes = grown;
+    }
+
+    byte(value) {
+        this.reserve(1);
+        this.bytes[this.length++] = value & 0xff;
+    }
+
+    uint16(value) {
+        this.byte(value);
+        this.byte(value >>> 8);
+    }
+
+    uint32(value) {
+        this.uint16(value & 0xffff);
+        this.uint16(value >>> 16);
+    }
+
+    ascii(text) {
+        for (let i = 0; i < text.length; i++) this.byte(text.charCodeAt(i));
+    }
+
+    append(bytes) {
+        this.reserve(bytes.length);
+        this.bytes.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    result() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+// --- GIF Encoder ---
+
+// Median cut over a 5-bit-per-channel histogram of RGBA pixels. Returns up
+// to `maxColors` palette entries [r, g, b] and one palette index per pixel.
+function quantizeColors(rgba, maxColors = 256) {
+    const binOf = i => ((rgba[i] >> 3) << 10) | ((rgba[i + 1] >> 3) << 5) | (rgba[i + 2] >> 3);
+    const counts = new Uint32Array(32768);
+    for (let i = 0; i < rgba.length; i += 4) counts[binOf(i)]++;
+    const bins = [];
+    for (let bin = 0; bin < counts.length; bin++) {
+        if (counts[bin] > 0) bins.push(bin);
+    }
+    const channel = (bin, c) => (bin >> (10 - 5 * c)) & 31;
+
+    // Split the box with the widest channel range at its weighted median
+    // until there are enough boxes or none can be split
+    const extent = box => {
+        let widest = 0;
+        let range = -1;
+        for (let c = 0; c < 3; c++) {
+            let min = 31;
+            let max = 0;
+            box.forEach(bin => {
+                const v = channel(bin, c);
+                if (v < min) min = v;
+                if (v > max) max = v;
+            });
+            if (max - min > range) {
+                range = max - min;
+                widest = c;
+            }
+        }
+        return { widest, range };
+    };
+    const boxes = [bins];
+    while (boxes.length < maxColors) {
+        let target = -1;
+        let best = 0;
+        let axis = 0;
+        boxes.forEach((box, i) => {
+            if (box.length < 2) return;
+            const { widest, range } = extent(box);
+            if (range > best) {
+                best = range;
+                target = i;
+                axis = widest;
+            }
+        });
+        if (target < 0) break;
+        const box = boxes[target].sort((a, b) => channel(a, axis) - channel(b, axis));
+        const total = box.reduce((sum, bin) => sum + counts[bin], 0);
+        let seen = 0;
+        let cut = 1;
+        for (; cut < box.length - 1; cut++) {
+            seen += counts[box[cut - 1]];
+            if (seen >= total / 2) break;
+        }
+        boxes.splice(target, 1, box.slice(0, cut), box.slice(cut));
+    }
+
+    // Each box becomes its count-weighted mean color
+    const lookup = new Uint8Array(32768);
+    const palette = boxes.map((box, index) => {
+        const sum = [0, 0, 0];
+        let weight = 0;
+        box.forEach(bin => {
+            lookup[bin] = index;
+            for (let c = 0; c < 3; c++) sum[c] += (channel(bin, c) * 8 + 4) * counts[bin];
+            weight += counts[bin];
+        });
+        return sum.map(v => Math.round(v / weight));
+    });
+    const indices = new Uint8Array(rgba.length / 4);
+    for (let i = 0; i < indices.length; i++) indices[i] = lookup[binOf(i * 4)];
+    return { palette, indices };
+}
+
+// Variable-length-code LZW as GIF uses it, packed least significant bit first
+// into sub-blocks of at most 255 bytes
+function lzwEncode(indices, minCodeSize, out) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    let nextCode = endCode + 1;
+    let codeSize = minCodeSize + 1;
+    let table = new Map();
+    const packed = new ByteWriter(indices.length);
+    let bits = 0;
+    let bitCount = 0;
+    const emit = code => {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            packed.byte(bits);
+            bits >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        emit(prefix);
+        if (nextCode === 4096) {
+            // The table is full: start over
+            emit(clearCode);
+            table = new Map();
+            nextCode = endCode + 1;
+            codeSize = minCodeSize + 1;
+        } else {
+            if (nextCode >= 1 << codeSize) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) packed.byte(bits);
+
+    const data = packed.result();
+    out.byte(minCodeSize);
+    for (let i = 0; i < data.length; i += 255) {
+        const block = data.subarray(i, i + 255);
+        out.byte(block.length);
+        out.append(block);
+    }
+    out.byte(0);
+}
+
+// Animated GIF, looping forever. Frames are added one at a time as RGBA
+// pixels, each with its own palette; `delay` is in milliseconds.
+class GifEncoder {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.out = new ByteWriter();
+        this.out.ascii('GIF89a');
+        this.out.uint16(width);
+        this.out.uint16(height);
+        this.out.byte(0); // No global color table
+        this.out.byte(0); // Background color
+        this.out.byte(0); // Square pixels
+        // NETSCAPE2.0 extension: repeat forever
+        this.out.append([0x21, 0xff, 0x0b]);
+        this.out.ascii('NETSCAPE2.0');
+        this.out.append([0x03, 0x01, 0x00, 0x00, 0x00]);
+    }
+
+    addFrame(rgba, delay) {
+        const { palette, indices } = quantizeColors(rgba);
+        const out = this.out;
+        // Graphic control extension: the frame delay, in hundredths of a second
+        out.append([0x21, 0xf9, 0x04, 0x00]);
+        out.uint16(Math.max(2, Math.round(delay / 10)));
+        out.append([0x00, 0x00]);
+        // Image descriptor with a local color table of 256 entries
+        out.byte(0x2c);
+        out.uint16(0);
+        out.uint16(0);
+        out.uint16(this.width);
+        out.uint16(this.height);
+        out.byte(0x80 | 7);
+        for (let i = 0; i < 256; i++) {
+            const [r, g, b] = palette[i] || [0, 0, 0];
+            out.append([r, g, b]);
+        }
+        lzwEncode(indices, 8, out);
+    }
+
+    finish() {
+        this.out.byte(0x3b);
+        return this.out.result();
+    }
+}
+
+// --- ZIP Archive ---
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Files are stored as they are: PNG frames are compressed already
+class ZipArchive {
+    constructor() {
+        this.out = new ByteWriter();
+        this.entries = [];
+        // MS-DOS date and time of the archive's creation, shared by all files
+        const now = new Date();
+        this.time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        this.date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    }
+
+    // Header fields shared by the local and central records
+    writeFileInfo(entry) {
+        const out = this.out;
+        out.uint16(20); // Version needed to extract
+        out.uint16(0); // Flags
+        out.uint16(0); // Stored
+        out.uint16(this.time);
+        out.uint16(this.date);
+        out.uint32(entry.crc);
+        out.uint32(entry.size);
+        out.uint32(entry.size);
+        out.uint16(entry.name.length);
+        out.uint16(0); // Extra field
+    }
+
+    addFile(name, bytes) {
+        const entry = { name, size: bytes.length, crc: crc32(bytes), offset: this.out.length };
+        this.entries.push(entry);
+        this.out.uint32(0x04034b50);
+        this.writeFileInfo(entry);
+        this.out.ascii(name);
+        this.out.append(bytes);
+    }
+
+    finish() {
+        const out = this.out;
+        const directoryOffset = out.length;
+        this.entries.forEach(entry => {
+            out.uint32(0x02014b50);
+            out.uint16(20); // Version made by
+            this.writeFileInfo(entry);
+            out.uint16(0); // Comment
+            out.uint16(0); // Disk
+            out.uint16(0); // Internal attributes
+            out.uint32(0); // External attributes
+            out.uint32(entry.offset);
+            out.ascii(entry.name);
+        });
+        const directorySize = out.length - directoryOffset;
+        out.uint32(0x06054b50);
+        out.uint16(0);
+        out.uint16(0);
+        out.uint16(this.entries.length);
+        out.uint16(this.entries.length);
+        out.uint32(directorySize);
+        out.uint32(directoryOffset);
+        out.uint16(0);
+        return out.result();
+    }
+}
@@ -0,0 +1,17 @@
+// Runs the optimization engine off the main thread. Requests arrive as
+// { id, type, payload } and are answered with { id, result } or { id, error }.
+importScripts('engine.js');
+
+const session = createSession();
+
+onmessage = (e) => {
+    const { id, type, payload } = e.data;
+    try {
+        const result = session.handle(type, payload);
+        // Raster values are large, hand the buffer over instead of copying it
+        const transfer = result && result.values ? [result.values.buffer] : [];
+        postMessage({ id, result }, transfer);
+    } catch (err) {
+        postMessage({ id, error: err.message });
+    }
+};
@@ -0,0 +1,3076 @@
+// Optimization engine: benchmark functions, GA/PSO and everything needed to
+// run them headless. It has no DOM dependencies so the same file loads as a
+// classic script in the page, with importScripts() in the Web Worker and
+// with require() in Node.
+
+// --- Utils ---
+function map(value, start1, stop1, start2, stop2) {
+    return start2 + (stop2 - start2) * ((value - start1) / (stop1 - start1));
+}
+
+// Seeded PRNG (mulberry32). Every random choice made by the algorithms goes
+// through their `rng` so a run can be reproduced from its seed.
+function createRng(seed) {
+    let a = seed >>> 0;
+    return function() {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function uniform(rng, min, max) {
+    return rng() * (max - min) + min;
+}
+
+function gaussian(rng, mean=0, stdev=1) {
+    const u = 1 - rng(); // Converting [0,1) to (0,1]
+    const v = rng();
+    const z = Math.sqrt( -2.0 * Math.log( u ) ) * Math.cos( 2.0 * Math.PI * v );
+    return z * stdev + mean;
+}
+
+// --- Statistics ---
+function mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function stdDev(values) {
+    if (values.length < 2) return 0;
+    const m = mean(values);
+    // Sample standard deviation (n - 1)
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - m) * (v - m), 0) / (values.length - 1));
+}
+
+function summarize(values, globalMin, tolerance) {
+    const successes = values.filter(v => v - globalMin <= tolerance).length;
+    return {
+        best: Math.min(...values),
+        worst: Math.max(...values),
+        mean: mean(values),
+        median: median(values),
+        std: stdDev(values),
+        successRate: successes / values.length
+    };
+}
+
+// Abramowitz & Stegun 7.1.26, absolute error below 1.5e-7
+function erf(x) {
+    const sign = x < 0 ? -1 : 1;
+    x = Math.abs(x);
+    const t = 1 / (1 + 0.3275911 * x);
+    const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return sign * y;
+}
+
+function normalCdf(z) {
+    return 0.5 * (1 + erf(z / Math.SQRT2));
+}
+
+// Wilcoxon rank-sum (Mann-Whitney U) test, two-sided, using the normal
+// approximation with tie and continuity corrections.
+function wilcoxonRankSum(a, b) {
+    const n1 = a.length;
+    const n2 = b.length;
+    const n = n1 + n2;
+    const pooled = a.map(v => ({ v, group: 0 })).concat(b.map(v => ({ v, group: 1 })));
+    pooled.sort((p, q) => p.v - q.v);
+
+    // Assign average ranks to tied values
+    let rankSumA = 0;
+    let tieTerm = 0;
+    for (let i = 0; i < n; ) {
+        let j = i;
+        while (j + 1 < n && pooled[j + 1].v === pooled[i].v) j++;
+        const rank = (i + j) / 2 + 1;
+        const t = j - i + 1;
+        tieTerm += t * t * t - t;
+        for (let k = i; k <= j; k++) {
+            if (pooled[k].group === 0) rankSumA += rank;
+        }
+        i = j + 1;
+    }
+
+    const u = rankSumA - n1 * (n1 + 1) / 2;
+    const meanU = n1 * n2 / 2;
+    const sigma = Math.sqrt(n1 * n2 / 12 * ((n + 1) - tieTerm / (n * (n - 1))));
+    if (sigma === 0) return { u, z: 0, p: 1 };
+
+    const diff = u - meanU;
+    const z = (diff - Math.sign(diff) * 0.5) / sigma;
+    const p = Math.min(1, 2 * (1 - normalCdf(Math.abs(z))));
+    return { u, z, p };
+}
+
+// --- Benchmark Functions ---
+// Every function takes a position vector of any dimension D. The sums are
+// accumulated in the same order as the original 2D formulas, so D = 2 gives
+// bit-for-bit the same values. Metadata: `optima(D)` lists the global
+// minimizers, `globalMin` is the optimum value (a function of D when it
+// depends on it), `dimensions` pins functions only defined in one D, and
+// `multimodal`, `separable` and `category` describe the landscape.
+// Multi-objective problems are built by biObjective(), see the Multi-Objective
+// section.
+const functionCategories = {
+    unimodal: "Unimodais",
+    multimodal: "Multimodais",
+    fixed: "Clássicas 2D",
+    multiobjective: "Multiobjetivo"
+};
+
+const functions = {
+    sphere: {
+        name: "Sphere",
+        func: (v) => v.reduce((sum, x) => sum + x*x, 0),
+        bounds: [-5.12, 5.12],
+        globalMin: 0,
+        optima: (D) => [new Array(D).fill(0)],
+        category: 'unimodal', multimodal: false, separable: true
+    },
+    rosenbrock: {
+        name: "Rosenbrock",
+        func: (v) => {
+            let sum = 0;
+            for (let i = 0; i < v.length - 1; i++) {
+                sum += Math.pow(1 - v[i], 2) + 100 * Math.pow(v[i + 1] - v[i]*v[i], 2);
+            }
+            return sum;
+        },
+        bounds: [-2, 2], // Usually evaluated on smaller range for visualization
+        globalMin: 0,
+        optima: (D) => [new Array(D).fill(1)],
+        category: 'unimodal', multimodal: false, separable: false
+    },
+    rastrigin: {
+        name: "Rastrigin",
+        func: (v) => {
+            const A = 10;
+            return v.reduce((sum, x) => sum + (x*x - A * Math.cos(2 * Math.PI * x)), v.length * A);
+        },
+        bounds: [-5.12, 5.12],
+        globalMin: 0,
+        optima: (D) => [new Array(D).fill(0)],
+        category: 'multimodal', multimodal: true, separable: true
+    },
+    schwefel: {
+        name: "Schwefel",
+        func: (v) => {
+            return 418.9829 * v.length - v.reduce((sum, x) => sum + x * Math.sin(Math.sqrt(Math.abs(x))), 0);
+        },
+        bounds: [-500, 500],
+        globalMin: 0,
+        optima: (D) => [new Array(D).fill(420.9687)],
+        category: 'multimodal', multimodal: true, separable: true
+    },
+    ackley: {
+        name: "Ackley",
+        func: (v) => {
+            const n = 1 / v.length;
+            const sumSq = v.reduce((sum, x) => sum + x*x, 0);
+            const sumCos = v.reduce((sum, x) => sum + Math.cos(2*Math.PI*x), 0);
+            return -20 * Math.exp(-0.2 * Math.sqrt(n * sumSq)) - Math.exp(n * sumCos) + Math.E + 20;
+        },
+        bounds: [-32.768, 32.768], // Standard bounds
+        globalMin: 0,
+        optima: (D) => [new Array(D).fill(0)],
+        category: 'multimodal', multimodal: true, separable: false
+    },
+    griewank: {
+        name: "Griewank",
+        func: (v) => {
+            const sum = v.reduce((acc, x) => acc + x*x / 4000, 0);
+            const product = v.reduce((acc, x, i) => acc * Math.cos(x / Math.sqrt(i + 1)), 1);
+            return 1 + sum - product;
+        },
+        bounds: [-600, 600],
+        globalMin: 0,
+        optima: (D) => [new Array(D).fill(0)],
+        category: 'multimodal', multimodal: true, separable: false
+    },
+    levy: {
+        name: "Levy",
+        func: (v) => {
+            const w = v.map(x => 1 + (x - 1) / 4);
+            const last = w[w.length - 1];
+            let sum = Math.pow(Math.sin(Math.PI * w[0]), 2);
+            for (let i = 0; i < w.length - 1; i++) {
+                sum += Math.pow(w[i] - 1, 2) * (1 + 10 * Math.pow(Math.sin(Math.PI * w[i] + 1), 2));
+            }
+            return sum + Math.pow(last - 1, 2) * (1 + Math.pow(Math.sin(2 * Math.PI * last), 2));
+        },
+        bounds: [-10, 10],
+        globalMin: 0,
+        optima: (D) => [new Array(D).fill(1)],
+        category: 'multimodal', multimodal: true, separable: false
+    },
+    styblinskiTang: {
+        name: "Styblinski–Tang",
+        func: (v) => 0.5 * v.reduce((sum, x) => sum + (x*x*x*x - 16*x*x + 5*x), 0),
+        bounds: [-5, 5],
+        globalMin: (D) => -39.16616570377142 * D,
+        optima: (D) => [new Array(D).fill(-2.903534)],
+        category: 'multimodal', multimodal: true, separable: true
+    },
+    michalewicz: {
+        name: "Michalewicz",
+        func: (v) => -v.reduce((sum, x, i) => sum + Math.sin(x) * Math.pow(Math.sin((i + 1) * x*x / Math.PI), 20), 0),
+        bounds: [0, Math.PI],
+        // Optimum only known in closed form for small D
+        dimensions: 2,
+        globalMin: -1.8013034100985528,
+        optima: () => [[2.202905513296628, 1.570796322320862]],
+        category: 'fixed', multimodal: true, separable: true
+    },
+    easom: {
+        name: "Easom",
+        func: ([x, y]) => -Math.cos(x) * Math.cos(y) * Math.exp(-(Math.pow(x - Math.PI, 2) + Math.pow(y - Math.PI, 2))),
+        bounds: [-10, 10], // Usually [-100, 100]; narrowed so the needle is visible
+        dimensions: 2,
+        globalMin: -1,
+        optima: () => [[Math.PI, Math.PI]],
+        category: 'fixed', multimodal: false, separable: false
+    },
+    himmelblau: {
+        name: "Himmelblau",
+        func: ([x, y]) => Math.pow(x*x + y - 11, 2) + Math.pow(x + y*y - 7, 2),
+        bounds: [-5, 5],
+        dimensions: 2,
+        globalMin: 0,
+        optima: () => [
+            [3, 2],
+            [-2.805118086952745, 3.131312518250573],
+            [-3.779310253377747, -3.283185991286170],
+            [3.584428340330492, -1.848126526964404]
+        ],
+        category: 'fixed', multimodal: true, separable: false
+    },
+    eggholder: {
+        name: "Eggholder",
+        func: ([x, y]) => -(y + 47) * Math.sin(Math.sqrt(Math.abs(x / 2 + y + 47))) - x * Math.sin(Math.sqrt(Math.abs(x - (y + 47)))),
+        bounds: [-512, 512],
+        dimensions: 2,
+        globalMin: -959.6406627106155,
+        optima: () => [[512, 404.2319]],
+        category: 'fixed', multimodal: true, separable: false
+    },
+    sixHumpCamel: {
+        name: "Six-Hump Camel",
+        func: ([x, y]) => (4 - 2.1*x*x + x*x*x*x / 3) * x*x + x*y + (-4 + 4*y*y) * y*y,
+        bounds: [-2, 2], // x is usually allowed in [-3, 3]; both optima lie well inside
+        dimensions: 2,
+        globalMin: -1.0316284534898774,
+        optima: () => [[0.08984201368301331, -0.7126564032704135], [-0.08984201368301331, 0.7126564032704135]],
+        category: 'fixed', multimodal: true, separable: false
+    },
+    dropWave: {
+        name: "Drop-Wave",
+        func: ([x, y]) => {
+            const r2 = x*x + y*y;
+            return -(1 + Math.cos(12 * Math.sqrt(r2))) / (0.5 * r2 + 2);
+        },
+        bounds: [-5.12, 5.12],
+        dimensions: 2,
+        globalMin: -1,
+        optima: () => [[0, 0]],
+        category: 'fixed', multimodal: true, separable: false
+    },
+    zdt1: biObjective({
+        name: "ZDT1",
+        objectives: (v) => zdt(v, (f1, g) => g * (1 - Math.sqrt(f1 / g))),
+        paretoFront: () => sampleFront(t => [t, 1 - Math.sqrt(t)], 0, 1),
+        bounds: [0, 1],
+        minDimensions: 2,
+        shape: "convexa"
+    }),
+    zdt2: biObjective({
+        name: "ZDT2",
+        objectives: (v) => zdt(v, (f1, g) => g * (1 - (f1 / g) ** 2)),
+        paretoFront: () => sampleFront(t => [t, 1 - t * t], 0, 1),
+        bounds: [0, 1],
+        minDimensions: 2,
+        shape: "côncava"
+    }),
+    zdt3: biObjective({
+        name: "ZDT3",
+        objectives: (v) => zdt(v, (f1, g) => g * (1 - Math.sqrt(f1 / g) - (f1 / g) * Math.sin(10 * Math.PI * f1))),
+        paretoFront: () => sampleFront(t => [t, 1 - Math.sqrt(t) - t * Math.sin(10 * Math.PI * t)], 0, 1, 2000),
+        bounds: [0, 1],
+        minDimensions: 2,
+        shape: "desconexa"
+    }),
+    // Schaffer N.1 takes one variable; here every coordinate pulls towards 0
+    // and 2, so the Pareto set is the diagonal segment between them
+    schaffer1: biObjective({
+        name: "Schaffer N.1",
+        objectives: (v) => [
+            v.reduce((sum, x) => sum + x * x, 0),
+            v.reduce((sum, x) => sum + (x - 2) ** 2, 0)
+        ],
+        paretoFront: (D) => sampleFront(t => [D * t * t, D * (t - 2) ** 2], 0, 2),
+        bounds: [-10, 10],
+        shape: "convexa"
+    }),
+    fonsecaFleming: biObjective({
+        name: "Fonseca–Fleming",
+        objectives: (v) => {
+            const c = 1 / Math.sqrt(v.length);
+            return [
+                1 - Math.exp(-v.reduce((sum, x) => sum + (x - c) ** 2, 0)),
+                1 - Math.exp(-v.reduce((sum, x) => sum + (x + c) ** 2, 0))
+            ];
+        },
+        paretoFront: (D) => {
+            const c = 1 / Math.sqrt(D);
+            return sampleFront(t => [1 - Math.exp(-D * (t - c) ** 2), 1 - Math.exp(-D * (t + c) ** 2)], -c, c);
+        },
+        bounds: [-4, 4],
+        shape: "côncava"
+    }),
+    // No closed form for its front, which is sampled from a grid over the domain
+    kursawe: biObjective({
+        name: "Kursawe",
+        objectives: (v) => {
+            let f1 = 0;
+            let f2 = 0;
+            for (let i = 0; i < v.length; i++) {
+                if (i < v.length - 1) f1 += -10 * Math.exp(-0.2 * Math.sqrt(v[i] * v[i] + v[i + 1] * v[i + 1]));
+                f2 += Math.pow(Math.abs(v[i]), 0.8) + 5 * Math.sin(v[i] ** 3);
+            }
+            return [f1, f2];
+        },
+        paretoFront: (D) => gridFront(functions.kursawe.objectives, [-5, 5], D, 41),
+        bounds: [-5, 5],
+        dimensions: 3,
+        shape: "desconexa"
+    })
+};
+
+// Optimum value of a function in D dimensions
+function globalMinOf(fn, dimensions) {
+    return typeof fn.globalMin === 'function' ? fn.globalMin(dimensions) : fn.globalMin;
+}
+
+// --- Shifted & Rotated Variants ---
+
+// Random orthogonal matrix: Gram-Schmidt on Gaussian columns
+function randomRotation(rng, n) {
+    const columns = [];
+    while (columns.length < n) {
+        const v = Array.from({ length: n }, () => gaussian(rng));
+        columns.forEach(q => {
+            const dot = q.reduce((sum, qi, i) => sum + qi * v[i], 0);
+            q.forEach((qi, i) => { v[i] -= dot * qi; });
+        });
+        const norm = Math.sqrt(v.reduce((sum, x) => sum + x * x, 0));
+        if (norm > 1e-8) columns.push(v.map(x => x / norm));
+    }
+    // Row i of the matrix is component i of every column
+    return columns[0].map((_, i) => columns.map(q => q[i]));
+}
+
+// CEC-style variant f(M (x - o) + x*): x* is the base function's first
+// optimum (the domain center if none is known), o a random point in the
+// central 80% of the domain and M a random rotation, both drawn from `seed`.
+// The variant's optimum moves to o; without a shift o = x*, so rotation
+// turns the landscape around its optimum.
+function transformFunction(base, { shift, rotate, seed, dimensions }) {
+    const rng = createRng(seed);
+    const [lower, upper] = base.bounds;
+    const margin = (upper - lower) * 0.1;
+    const baseOptima = optimaOf(base, dimensions);
+    const anchor = baseOptima.length > 0 ? baseOptima[0] : new Array(dimensions).fill((lower + upper) / 2);
+    const origin = shift ? anchor.map(() => uniform(rng, lower + margin, upper - margin)) : anchor;
+    const M = rotate ? randomRotation(rng, dimensions) : null;
+
+    const toBase = (v) => {
+        const d = v.map((x, i) => x - origin[i]);
+        return anchor.map((a, i) => a + (M ? M[i].reduce((sum, m, j) => sum + m * d[j], 0) : d[i]));
+    };
+    // Inverse map for the optima: x = o + M^T (z - x*)
+    const fromBase = (z) => {
+        const d = z.map((x, i) => x - anchor[i]);
+        return origin.map((o, j) => o + (M ? d.reduce((sum, di, i) => sum + M[i][j] * di, 0) : d[j]));
+    };
+
+    const func = (v) => base.func(toBase(v));
+    func.minDimensions = base.func.minDimensions;
+    return {
+        ...base,
+        func: func,
+        optima: () => baseOptima.map(fromBase),
+        separable: base.separable && !rotate,
+        transform: { shift, rotate, seed }
+    };
+}
+
+// --- Expression Parser ---
+// Compiles user-typed math into a plain JS function of a position vector,
+// without eval. Variables are x and y (the first two dimensions) or x1..xN.
+// Grammar (usual precedence, ^ is right-associative and binds tighter than unary minus):
+//   expr  := term (('+' | '-') term)*
+//   term  := unary (('*' | '/') unary)*
+//   unary := ('+' | '-') unary | power
+//   power := atom (('^' | '**') unary)?
+//   atom  := number | constant | variable | name '(' expr (',' expr)* ')' | '(' expr ')'
+const expressionFunctions = {
+    sin: Math.sin, cos: Math.cos, tan: Math.tan,
+    asin: Math.asin, acos: Math.acos, atan: Math.atan, atan2: Math.atan2,
+    sinh: Math.sinh, cosh: Math.cosh, tanh: Math.tanh,
+    exp: Math.exp, log: Math.log, ln: Math.log, log10: Math.log10, log2: Math.log2,
+    sqrt: Math.sqrt, abs: Math.abs, sign: Math.sign,
+    floor: Math.floor, ceil: Math.ceil, round: Math.round,
+    min: Math.min, max: Math.max, pow: Math.pow
+};
+
+const expressionConstants = { pi: Math.PI, e: Math.E };
+
+// Only the tables' own entries count, not names inherited from Object
+// ('constructor', '__proto__', ...)
+function expressionEntry(table, name) {
+    return Object.prototype.hasOwnProperty.call(table, name) ? table[name] : undefined;
+}
+
+function tokenizeExpression(source) {
+    const tokens = [];
+    let i = 0;
+    while (i < source.length) {
+        const ch = source[i];
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (/[0-9.]/.test(ch)) {
+            const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+            if (!match) throw new Error(`Número inválido na posição ${i + 1}`);
+            tokens.push({ type: 'number', value: parseFloat(match[0]), pos: i });
+            i += match[0].length;
+        } else if (/[A-Za-z_]/.test(ch)) {
+            const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+            tokens.push({ type: 'name', value: match[0], pos: i });
+            i += match[0].length;
+        } else if (source.startsWith('**', i)) {
+            tokens.push({ type: 'op', value: '^', pos: i });
+            i += 2;
+        } else if ('+-*/^(),'.includes(ch)) {
+            tokens.push({ type: 'op', value: ch, pos: i });
+            i++;
+        } else {
+            throw new Error(`Caractere inesperado '${ch}' na posição ${i + 1}`);
+        }
+    }
+    tokens.push({ type: 'end', value: null, pos: source.length });
+    return tokens;
+}
+
+// x -> 0, y -> 1, xN -> N - 1, anything else -> -1
+function variableIndex(name) {
+    if (name === 'x') return 0;
+    if (name === 'y') return 1;
+    const match = /^x([1-9]\d*)$/.exec(name);
+    return match ? parseInt(match[1]) - 1 : -1;
+}
+
+// Returns the compiled function with `minDimensions` set to the highest
+// dimension the expression refers to.
+function compileExpression(source) {
+    const tokens = tokenizeExpression(source);
+    let index = 0;
+    let maxIndex = 0;
+
+    const peek = () => tokens[index];
+    const isOp = value => peek().type === 'op' && peek().value === value;
+    const describe = token => token.type === 'end' ? 'fim da expressão' : `'${token.value}' na posição ${token.pos + 1}`;
+    const expect = value => {
+        if (!isOp(value)) throw new Error(`Esperado '${value}', encontrado ${describe(peek())}`);
+        index++;
+    };
+
+    function parseExpr() {
+        let node = parseTerm();
+        while (isOp('+') || isOp('-')) {
+            const op = tokens[index++].value;
+            const left = node;
+            const right = parseTerm();
+            node = op === '+' ? v => left(v) + right(v) : v => left(v) - right(v);
+        }
+        return node;
+    }
+
+    function parseTerm() {
+        let node = parseUnary();
+        while (isOp('*') || isOp('/')) {
+            const op = tokens[index++].value;
+            const left = node;
+            const right = parseUnary();
+            node = op === '*' ? v => left(v) * right(v) : v => left(v) / right(v);
+        }
+        return node;
+    }
+
+    function parseUnary() {
+        if (isOp('-')) {
+            index++;
+            const operand = parseUnary();
+            return v => -operand(v);
+        }
+        if (isOp('+')) {
+            index++;
+            return parseUnary();
+        }
+        return parsePower();
+    }
+
+    function parsePower() {
+        const base = parseAtom();
+        if (isOp('^')) {
+            index++;
+            const exponent = parseUnary();
+            return v => Math.pow(base(v), exponent(v));
+        }
+        return base;
+    }
+
+    function parseAtom() {
+        const token = peek();
+        if (token.type === 'number') {
+            index++;
+            const value = token.value;
+            return () => value;
+        }
+        if (isOp('(')) {
+            index++;
+            const inner = parseExpr();
+            expect(')');
+            return inner;
+        }
+        if (token.type === 'name') {
+            index++;
+            const name = token.value.toLowerCase();
+            if (isOp('(')) {
+                const fn = expressionEntry(expressionFunctions, name);
+                if (!fn) throw new Error(`Função desconhecida '${token.value}' na posição ${token.pos + 1}`);
+                index++;
+                const args = [parseExpr()];
+                while (isOp(',')) {
+                    index++;
+                    args.push(parseExpr());
+                }
+                expect(')');
+                return v => fn(...args.map(arg => arg(v)));
+            }
+            const dim = variableIndex(name);
+            if (dim !== -1) {
+                maxIndex = Math.max(maxIndex, dim);
+                return v => v[dim];
+            }
+            const value = expressionEntry(expressionConstants, name);
+            if (value !== undefined) return () => value;
+            throw new Error(`Variável desconhecida '${token.value}' na posição ${token.pos + 1} (use x, y ou x1..xN)`);
+        }
+        throw new Error(`Esperado número, variável ou '(', encontrado ${describe(token)}`);
+    }
+
+    const root = parseExpr();
+    if (peek().type !== 'end') {
+        throw new Error(`Símbolo inesperado ${describe(peek())}`);
+    }
+    root.minDimensions = maxIndex + 1;
+    return root;
+}
+
+// --- Custom Functions ---
+
+// The serializable part of a custom function
+function customDefinition({ name, expression, bounds, globalMin, optimum }) {
+    return { name, expression, bounds, globalMin, optimum };
+}
+
+// Validates a definition and turns it into a function entry like the ones
+// in `functions`. Throws with a user-facing message when something is wrong.
+function buildCustomFunction(definition) {
+    const name = (definition.name || '').trim();
+    if (!name) throw new Error("Dê um nome para a função.");
+    // Names end up in the page's tables and selectors
+    if (!/^[\p{L}\p{N} _\-.()+]{1,40}$/u.test(name)) {
+        throw new Error("Use no nome só letras, números, espaços e _ - . ( ) +, até 40 caracteres.");
+    }
+    const builtIn = Object.values(functions).find(f => !f.isCustom && f.name.toLowerCase() === name.toLowerCase());
+    if (builtIn) throw new Error(`O nome "${name}" já é usado por uma função embutida.`);
+
+    const [lower, upper] = definition.bounds;
+    if (!isFinite(lower) || !isFinite(upper) || lower >= upper) {
+        throw new Error("Os limites devem ser números com inferior < superior.");
+    }
+    if (!isFinite(definition.globalMin)) throw new Error("Informe o valor do ótimo conhecido.");
+
+    const func = compileExpression(definition.expression);
+    const center = (lower + upper) / 2;
+    if (typeof func(new Array(Math.max(2, func.minDimensions)).fill(center)) !== 'number') {
+        throw new Error("A expressão não produz um número.");
+    }
+
+    // The optimum is given in (x, y); other coordinates sit mid-domain
+    const optimum = definition.optimum || null;
+    return {
+        name: name,
+        func: func,
+        bounds: [lower, upper],
+        globalMin: definition.globalMin,
+        optimum: optimum,
+        optima: (D) => optimum
+            ? [Array.from({ length: D }, (_, i) => (i < optimum.length ? optimum[i] : center))]
+            : [],
+        expression: definition.expression,
+        isCustom: true
+    };
+}
+
+// Known global minimizers of a function in D dimensions, possibly none
+function optimaOf(fn, dimensions) {
+    return fn.optima ? fn.optima(dimensions) : [];
+}
+
+// Function specs cross the worker boundary: { key } names a built-in,
+// { definition } carries a custom function to compile on this side. Either
+// may add `transform: { shift, rotate, seed, dimensions }` for a variant.
+const compiledCustomFunctions = {};
+const transformedFunctions = {};
+
+function resolveBaseFunction(spec) {
+    if (spec.key) {
+        if (!Object.prototype.hasOwnProperty.call(functions, spec.key)) throw new Error(`Função desconhecida "${spec.key}".`);
+        return functions[spec.key];
+    }
+    const cacheKey = JSON.stringify(spec.definition);
+    if (!compiledCustomFunctions[cacheKey]) {
+        compiledCustomFunctions[cacheKey] = buildCustomFunction(spec.definition);
+    }
+    return compiledCustomFunctions[cacheKey];
+}
+
+function resolveFunction(spec) {
+    const base = resolveBaseFunction(spec);
+    if (!spec.transform) return base;
+    const cacheKey = JSON.stringify(spec);
+    if (!transformedFunctions[cacheKey]) {
+        transformedFunctions[cacheKey] = transformFunction(base, spec.transform);
+    }
+    return transformedFunctions[cacheKey];
+}
+
+// --- Multi-Objective ---
+// Bi-objective problems minimize `objectives(v)` = [f1, f2] together. Their
+// `paretoFront(D)` samples the true front, against which runs are measured by
+// IGD and hypervolume. A multi-objective algorithm's best-so-far is the lowest
+// IGD it has reached, so `globalMin` is 0; each individual's scalar fitness
+// is its distance to the true front. The landscape shows f1 + f2.
+
+function biObjective(problem) {
+    const func = (v) => {
+        const [f1, f2] = problem.objectives(v);
+        return f1 + f2;
+    };
+    func.minDimensions = problem.minDimensions;
+    return { ...problem, func, globalMin: 0, category: 'multiobjective' };
+}
+
+// ZDT family: f1 = x1, g grows with the other coordinates, f2 = h(f1, g)
+function zdt(v, h) {
+    const f1 = v[0];
+    let sum = 0;
+    for (let i = 1; i < v.length; i++) sum += v[i];
+    const g = 1 + 9 * sum / (v.length - 1);
+    return [f1, h(f1, g)];
+}
+
+// Whether objective vector a Pareto-dominates b (minimization)
+function dominates(a, b) {
+    let strictly = false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] > b[i]) return false;
+        if (a[i] < b[i]) strictly = true;
+    }
+    return strictly;
+}
+
+// Non-dominated subset of 2-objective points, sorted by f1. `objectivesOf`
+// reads the objectives of other kinds of items.
+function nondominatedPoints(points, objectivesOf = point => point) {
+    const sorted = points.slice().sort((a, b) => {
+        const [a1, a2] = objectivesOf(a);
+        const [b1, b2] = objectivesOf(b);
+        return a1 - b1 || a2 - b2;
+    });
+    const front = [];
+    sorted.forEach(point => {
+        if (front.length === 0 || objectivesOf(point)[1] < objectivesOf(front[front.length - 1])[1]) front.push(point);
+    });
+    return front;
+}
+
+// True front of a parametric curve t -> [f1, f2] over [from, to]
+function sampleFront(curve, from, to, count = 500) {
+    const points = [];
+    for (let i = 0; i < count; i++) points.push(curve(from + (to - from) * i / (count - 1)));
+    return nondominatedPoints(points);
+}
+
+// Front approximated by the non-dominated points of a D-dimensional grid
+// with `steps` values per axis, refined by sampling ever closer around them
+function gridFront(objectives, [lower, upper], D, steps) {
+    const sample = position => ({ position, objectives: objectives(position) });
+    let candidates = [];
+    const position = new Array(D).fill(lower);
+    const index = new Array(D).fill(0);
+    for (;;) {
+        candidates.push(sample(position.slice()));
+        let d = 0;
+        while (d < D && ++index[d] === steps) {
+            index[d] = 0;
+            position[d] = lower;
+            d++;
+        }
+        if (d === D) break;
+        position[d] = lower + (upper - lower) * index[d] / (steps - 1);
+    }
+
+    const rng = createRng(1);
+    let spacing = (upper - lower) / (steps - 1);
+    let front = nondominatedPoints(candidates, c => c.objectives);
+    for (let round = 0; round < GRID_FRONT_ROUNDS; round++) {
+        // Samples go around a spread-out subset, so the front can't snowball
+        const seeds = front.filter((_, i) => i % Math.ceil(front.length / GRID_FRONT_SEEDS) === 0);
+        candidates = front.slice();
+        seeds.forEach(c => {
+            for (let k = 0; k < GRID_FRONT_SAMPLES; k++) {
+                candidates.push(sample(c.position.map(x =>
+                    Math.max(lower, Math.min(upper, x + uniform(rng, -spacing, spacing))))));
+            }
+        });
+        front = nondominatedPoints(candidates, c => c.objectives);
+        spacing /= 2;
+    }
+    const stride = Math.ceil(front.length / 500);
+    return front.filter((_, i) => i % stride === 0).map(c => c.objectives);
+}
+
+// Refinement of a gridded front: rounds, front points sampled around per
+// round (at most), and samples per point
+const GRID_FRONT_ROUNDS = 8;
+const GRID_FRONT_SEEDS = 100;
+const GRID_FRONT_SAMPLES = 100;
+
+const paretoFronts = {};
+
+// True front of a problem in D dimensions, with the reference point for the
+// hypervolume: the front's nadir moved out by 10% of its extent
+function referenceFrontOf(fn, dimensions) {
+    const key = `${fn.name}/${dimensions}`;
+    if (!paretoFronts[key]) {
+        const points = fn.paretoFront(dimensions);
+        const ideal = [0, 1].map(m => Math.min(...points.map(p => p[m])));
+        const nadir = [0, 1].map(m => Math.max(...points.map(p => p[m])));
+        paretoFronts[key] = {
+            points,
+            referencePoint: nadir.map((x, m) => x + 0.1 * (x - ideal[m]))
+        };
+    }
+    return paretoFronts[key];
+}
+
+// Distance from an objective vector to the nearest point of a front
+function frontDistance(front, objectives) {
+    let nearest = Infinity;
+    front.forEach(([f1, f2]) => {
+        const d = (f1 - objectives[0]) ** 2 + (f2 - objectives[1]) ** 2;
+        if (d < nearest) nearest = d;
+    });
+    return Math.sqrt(nearest);
+}
+
+// Inverted generational distance: mean distance from each point of the true
+// front to the nearest obtained point (0 when the front is covered)
+function invertedGenerationalDistance(reference, points) {
+    return mean(reference.map(point => frontDistance(points, point)));
+}
+
+// Area dominated by the points and bounded by the reference point
+function hypervolume(points, referencePoint) {
+    const [r1, r2] = referencePoint;
+    const front = nondominatedPoints(points.filter(([f1, f2]) => f1 < r1 && f2 < r2));
+    let area = 0;
+    front.forEach(([f1, f2], i) => {
+        const next = i + 1 < front.length ? front[i + 1][0] : r1;
+        area += (next - f1) * (r2 - f2);
+    });
+    return area;
+}
+
+// Evaluates both objectives of an individual and its distance to the true front
+function scoreObjectives(algo, ind) {
+    ind.objectives = algo.fn.objectives(ind.position);
+    ind.fitness = frontDistance(referenceFrontOf(algo.fn, algo.dimensions).points, ind.objectives);
+}
+
+// Fast non-dominated sort (Deb et al.): splits individuals into successive
+// fronts and stores each one's front index as `rank`
+function nondominatedSort(individuals) {
+    const dominated = individuals.map(() => []);
+    const counts = individuals.map(() => 0);
+    const fronts = [[]];
+    individuals.forEach((a, i) => {
+        individuals.forEach((b, j) => {
+            if (dominates(a.objectives, b.objectives)) dominated[i].push(j);
+            else if (dominates(b.objectives, a.objectives)) counts[i]++;
+        });
+        if (counts[i] === 0) {
+            a.rank = 0;
+            fronts[0].push(i);
+        }
+    });
+    for (let k = 0; fronts[k].length > 0; k++) {
+        const next = [];
+        fronts[k].forEach(i => dominated[i].forEach(j => {
+            if (--counts[j] === 0) {
+                individuals[j].rank = k + 1;
+                next.push(j);
+            }
+        }));
+        fronts.push(next);
+    }
+    return fronts.slice(0, -1).map(front => front.map(i => individuals[i]));
+}
+
+// Crowding distance: the normalized perimeter of the box spanned by each
+// member's neighbours along both objectives; the extremes get Infinity
+function assignCrowding(front) {
+    front.forEach(ind => {
+        ind.crowding = 0;
+    });
+    if (front.length === 0) return;
+    for (let m = 0; m < 2; m++) {
+        const sorted = front.slice().sort((a, b) => a.objectives[m] - b.objectives[m]);
+        const last = sorted.length - 1;
+        const span = sorted[last].objectives[m] - sorted[0].objectives[m];
+        sorted[0].crowding = Infinity;
+        sorted[last].crowding = Infinity;
+        if (!(span > 0)) continue;
+        for (let i = 1; i < last; i++) {
+            sorted[i].crowding += (sorted[i + 1].objectives[m] - sorted[i - 1].objectives[m]) / span;
+        }
+    }
+}
+
+// Lower rank first, then the less crowded
+function crowdedOrder(a, b) {
+    if (a.rank !== b.rank) return a.rank - b.rank;
+    if (a.crowding === b.crowding) return 0;
+    return a.crowding > b.crowding ? -1 : 1;
+}
+
+// Records the non-dominated set of a multi-objective algorithm with its IGD
+// and hypervolume. The best-so-far follows the IGD, with the front member
+// closest to the true front as its position.
+function trackFront(algo, members) {
+    const reference = referenceFrontOf(algo.fn, algo.dimensions);
+    const points = members.map(m => m.objectives);
+    algo.front = members;
+    algo.igd = invertedGenerationalDistance(reference.points, points);
+    algo.hypervolume = hypervolume(points, reference.referencePoint);
+    if (algo.igd < algo.bestFitness) {
+        algo.bestFitness = algo.igd;
+        algo.bestPosition = members.reduce((a, b) => (b.fitness < a.fitness ? b : a)).position.slice();
+    }
+}
+
+// Plain-data quality of a multi-objective algorithm's front
+function paretoState(algo) {
+    return { igd: algo.igd, hypervolume: algo.hypervolume, size: algo.front.length };
+}
+
+// --- Dynamic Landscapes ---
+
+// Dynamics config: { motion: 'static' | 'linear' | 'circular' | 'jump',
+//   severity (fraction of the domain), period (iterations), noise (std. dev.) }.
+// Returns null when the landscape is static and noise-free.
+function dynamicsOf(config) {
+    const dynamics = config.dynamics;
+    if (!dynamics) return null;
+    const moving = ['linear', 'circular', 'jump'].includes(dynamics.motion);
+    if (!moving && !(dynamics.noise > 0)) return null;
+    return {
+        motion: moving ? dynamics.motion : 'static',
+        severity: dynamics.severity > 0 ? dynamics.severity : 0,
+        period: dynamics.period >= 1 ? Math.floor(dynamics.period) : 1,
+        noise: dynamics.noise > 0 ? dynamics.noise : 0
+    };
+}
+
+// Short text of a dynamics config, e.g. "saltos de 0.1 a cada 50 it., ruído σ=0.01"
+function describeDynamics(dynamics) {
+    const parts = [];
+    const motions = { linear: "deriva linear", circular: "circular", jump: "saltos" };
+    if (dynamics.motion !== 'static') {
+        parts.push(`${motions[dynamics.motion]} de ${dynamics.severity} a cada ${dynamics.period} it.`);
+    }
+    if (dynamics.noise > 0) parts.push(`ruído σ=${dynamics.noise}`);
+    return parts.join(', ');
+}
+
+// Folds a coordinate back into [lower, upper] as if it bounced off the walls
+function reflectInto(x, lower, upper) {
+    const range = upper - lower;
+    const folded = ((x - lower) % (2 * range) + 2 * range) % (2 * range);
+    return lower + (folded <= range ? folded : 2 * range - folded);
+}
+
+// A landscape whose optimum moves with time and/or whose evaluations carry
+// Gaussian noise. The base function is translated by `offset`, the distance
+// its first optimum has travelled:
+//   linear:   drifts `severity` of the domain every `period` iterations
+//             along a random direction, bouncing off the walls
+//   circular: circles around its start (radius `severity` of the domain) in
+//             the first two dimensions, one turn per `period` iterations
+//   jump:     every `period` iterations jumps `severity` of the domain in a
+//             random direction
+// Each algorithm owns one, moved to its own iteration count before every
+// step, and `observe` keeps the dynamic-optimization metrics on the true,
+// noise-free values:
+//   current error  best true error in the current population
+//   offline error  mean over iterations of the best error since the last change
+//   recovery time  iterations after a jump until the error is back to its
+//                  level just before the jump
+class DynamicLandscape {
+    constructor(base, dynamics, dimensions, seed) {
+        this.base = base;
+        this.dynamics = dynamics;
+        this.dimensions = dimensions;
+        this.globalMin = globalMinOf(base, dimensions);
+        this.motionRng = createRng(seed ^ 0x9E3779B9);
+        this.noiseRng = createRng(seed ^ 0x85EBCA6B);
+
+        const [lower, upper] = base.bounds;
+        const optima = optimaOf(base, dimensions);
+        this.anchor = optima.length > 0 ? optima[0] : new Array(dimensions).fill((lower + upper) / 2);
+        const direction = Array.from({ length: dimensions }, () => gaussian(this.motionRng));
+        const norm = Math.sqrt(direction.reduce((sum, x) => sum + x * x, 0)) || 1;
+        this.direction = direction.map(x => x / norm);
+        this.position = this.anchor.slice(); // Where the first optimum currently is
+        this.offset = new Array(dimensions).fill(0);
+        this.epoch = 0; // Jumps made so far
+
+        this.currentError = Infinity;
+        this.bestSinceChange = Infinity;
+        this.offlineSum = 0;
+        this.observations = 0;
+        this.changes = 0;
+        this.recovery = null; // { start, target } while recovering from a jump
+        this.recoveryTimes = [];
+        this.unrecovered = 0;
+
+        this.fn = {
+            ...base,
+            func: (v) => this.evaluate(v),
+            optima: () => optima.map(o => o.map((x, i) => x + this.offset[i])),
+            isDynamic: true
+        };
+    }
+
+    trueValue(v) {
+        return this.base.func(v.map((x, i) => x - this.offset[i]));
+    }
+
+    evaluate(v) {
+        const value = this.trueValue(v);
+        return this.dynamics.noise > 0 ? value + gaussian(this.noiseRng, 0, this.dynamics.noise) : value;
+    }
+
+    // Sets the landscape for iteration `time`; returns whether it changed
+    moveTo(time) {
+        const { motion, severity, period } = this.dynamics;
+        const [lower, upper] = this.base.bounds;
+        const range = upper - lower;
+        const previous = this.offset;
+        let changed = false;
+
+        if (motion === 'linear') {
+            const distance = severity * range * time / period;
+            this.position = this.anchor.map((a, i) => reflectInto(a + this.direction[i] * distance, lower, upper));
+            changed = true;
+        } else if (motion === 'circular') {
+            const angle = 2 * Math.PI * time / period;
+            const radius = severity * range;
+            this.position = this.anchor.map((a, i) => {
+                if (i === 0) return reflectInto(a + radius * (Math.cos(angle) - 1), lower, upper);
+                if (i === 1) return reflectInto(a + radius * Math.sin(angle), lower, upper);
+                return a;
+            });
+            changed = true;
+        } else if (motion === 'jump') {
+            while (this.epoch < Math.floor(time / period)) {
+                const step = Array.from({ length: this.dimensions }, () => gaussian(this.motionRng));
+                const norm = Math.sqrt(step.reduce((sum, x) => sum + x * x, 0)) || 1;
+                this.position = this.position.map((p, i) => reflectInto(p + step[i] / norm * severity * range, lower, upper));
+                this.epoch++;
+                changed = true;
+            }
+        }
+
+        this.offset = this.position.map((p, i) => p - this.anchor[i]);
+        if (changed && this.offset.every((x, i) => x === previous[i])) changed = false;
+        if (changed) this.registerChange(motion === 'jump');
+        return changed;
+    }
+
+    registerChange(isJump) {
+        this.changes++;
+        this.bestSinceChange = Infinity;
+        if (!isJump) return;
+        if (this.recovery) this.unrecovered++;
+        this.recovery = { start: this.observations, target: this.currentError };
+    }
+
+    // Updates the metrics from the algorithm's population, without counting
+    // evaluations: the algorithm only ever sees the noisy values
+    observe(algo) {
+        const errors = algo.getPopulation().map(ind => this.trueValue(ind.position) - this.globalMin);
+        this.currentError = Math.min(...errors);
+        this.bestSinceChange = Math.min(this.bestSinceChange, this.currentError);
+        this.offlineSum += this.bestSinceChange;
+        this.observations++;
+        if (this.recovery && this.currentError <= this.recovery.target) {
+            this.recoveryTimes.push(this.observations - 1 - this.recovery.start);
+            this.recovery = null;
+        }
+    }
+
+    // Plain-data metrics for snapshots and results
+    state() {
+        return {
+            offset: this.offset.slice(),
+            currentError: this.currentError,
+            offlineError: this.observations > 0 ? this.offlineSum / this.observations : Infinity,
+            changes: this.changes,
+            recoveryTime: this.recoveryTimes.length > 0 ? mean(this.recoveryTimes) : null,
+            unrecovered: this.unrecovered + (this.recovery ? 1 : 0)
+        };
+    }
+}
+
+// --- Constraints ---
+
+// Constraints are typed as comparisons over the same variables as custom
+// functions: "x^2 + y^2 <= 4", "x + y >= 1" or "x - y = 0.5".
+// Constraints config: { definitions: [text], method: 'static' | 'adaptive'
+//   | 'feasibility', penalty (R), tolerance (ε, for equalities) }.
+// Returns null when there are no constraints.
+function constraintsOf(config) {
+    const constraints = config.constraints;
+    if (!constraints) return null;
+    const definitions = (constraints.definitions || []).map(text => text.trim()).filter(Boolean);
+    if (definitions.length === 0) return null;
+    return {
+        definitions: definitions,
+        method: ['static', 'adaptive', 'feasibility'].includes(constraints.method) ? constraints.method : 'static',
+        penalty: constraints.penalty > 0 ? constraints.penalty : 1000,
+        tolerance: constraints.tolerance >= 0 ? constraints.tolerance : 1e-4
+    };
+}
+
+const constraintMethods = {
+    static: "penalidade estática",
+    adaptive: "penalidade adaptativa",
+    feasibility: "regras de viabilidade"
+};
+
+// Preset constraint sets for a domain [lower, upper]², each placed so the
+// unconstrained optimum of most benchmarks (the origin) is cut off or pinned
+// to the boundary
+const constraintPresets = {
+    disk: {
+        name: "Disco fora do centro",
+        definitions: (lower, upper) => {
+            const r = (upper - lower) / 4;
+            return [`(x - ${fmt(r)})^2 + (y - ${fmt(r)})^2 <= ${fmt(r * r)}`];
+        }
+    },
+    halfPlane: {
+        name: "Semiplano x + y ≥ c",
+        definitions: (lower, upper) => [`x + y >= ${fmt((upper - lower) / 10)}`]
+    },
+    ring: {
+        name: "Anel em torno do centro",
+        definitions: (lower, upper) => {
+            const r = (upper - lower) / 2;
+            return [`x^2 + y^2 >= ${fmt((r / 4) ** 2)}`, `x^2 + y^2 <= ${fmt((r / 2) ** 2)}`];
+        }
+    },
+    wave: {
+        name: "Acima de uma senoide",
+        definitions: (lower, upper) => {
+            const range = upper - lower;
+            return [`y >= ${fmt(range / 10)} * sin(${fmt(4 * Math.PI / range)} * x) + ${fmt(range / 20)}`];
+        }
+    },
+    line: {
+        name: "Igualdade: reta y = x + c",
+        definitions: (lower, upper) => [`y - x = ${fmt((upper - lower) / 8)}`]
+    }
+};
+
+function fmt(x) {
+    return String(Number(x.toPrecision(4)));
+}
+
+// One constraint as { type: 'ineq', g } with g(x) <= 0 or { type: 'eq', g }
+// with g(x) = 0. Throws with a user-facing message.
+function compileConstraint(source) {
+    const match = /^(.*?)(<=|>=|≤|≥|==|=|<|>)(.*)$/.exec(source);
+    if (!match) throw new Error(`"${source}": use <=, >= ou = para comparar dois lados.`);
+    const [, left, op, right] = match;
+    let lhs;
+    let rhs;
+    try {
+        lhs = compileExpression(left);
+        rhs = compileExpression(right);
+    } catch (e) {
+        throw new Error(`"${source}": ${e.message}`);
+    }
+    const greater = ['>=', '≥', '>'].includes(op);
+    const g = greater ? v => rhs(v) - lhs(v) : v => lhs(v) - rhs(v);
+    g.minDimensions = Math.max(lhs.minDimensions, rhs.minDimensions);
+    return { type: op === '=' || op === '==' ? 'eq' : 'ineq', g, source };
+}
+
+// Total violation V(x): the sum of max(0, g(x)) over inequalities and
+// max(0, |g(x)| - ε) over equalities; 0 means feasible
+function violationFunction(constraints) {
+    const compiled = constraints.definitions.map(compileConstraint);
+    const violation = v => compiled.reduce((sum, { type, g }) => {
+        const value = g(v);
+        const excess = type === 'eq' ? Math.abs(value) - constraints.tolerance : value;
+        // NaN (outside an expression's domain) counts as violated
+        return sum + (excess > 0 ? excess : excess <= 0 ? 0 : 1);
+    }, 0);
+    violation.minDimensions = Math.max(1, ...compiled.map(c => c.g.minDimensions));
+    return violation;
+}
+
+// Deb's feasibility rules as a comparison of (fitness, violation) pairs:
+// feasible beats infeasible, two feasible points compare by fitness and two
+// infeasible ones by violation. Unconstrained points all have violation 0,
+// which leaves plain fitness order. NaN fitness never wins.
+function feasibilityOrder(fitnessA, violationA, fitnessB, violationB) {
+    if (Number.isNaN(fitnessA)) return 1;
+    if (violationA === violationB) return fitnessA - fitnessB;
+    if (violationA === 0 || violationB === 0) return violationA === 0 ? -1 : 1;
+    return violationA - violationB;
+}
+
+function compareIndividuals(a, b) {
+    return feasibilityOrder(a.fitness, a.violation || 0, b.fitness, b.violation || 0);
+}
+
+// Fitness and violation of a point. Only under feasibility rules does the
+// algorithm see the violation; penalties are already folded into the fitness.
+function evaluatePoint(fn, position) {
+    return fn.evaluate ? fn.evaluate(position) : { fitness: fn.func(position), violation: 0 };
+}
+
+// Puts constraints on a function. The methods:
+//   static:      f(x) + R·V(x)
+//   adaptive:    the same, with R divided by 2 after K iterations whose best
+//                individual was feasible and multiplied by 3 after K whose
+//                best was not (Bean & Hadj-Alouane)
+//   feasibility: Deb's rules. GA, PSO and DE compare (fitness, violation)
+//                pairs directly; CMA-ES and SA rank plain numbers and get
+//                f(x) when feasible, else the worst feasible f seen + V(x).
+// Every evaluation is also recorded, so the best feasible point is known
+// whatever the method.
+class ConstraintHandler {
+    constructor(base, constraints) {
+        this.base = base;
+        this.constraints = constraints;
+        this.violation = violationFunction(constraints);
+        this.coefficient = constraints.penalty;
+        this.window = []; // Feasibility of the best individual, last ADAPTIVE_WINDOW iterations
+        this.bestFeasible = null; // { fitness, position }
+        this.worstFeasible = null;
+
+        this.fn = {
+            ...base,
+            func: (v) => this.penalized(v),
+            isConstrained: true
+        };
+        if (constraints.method === 'feasibility') this.fn.evaluate = (v) => this.evaluate(v);
+    }
+
+    evaluate(v) {
+        const fitness = this.base.func(v);
+        const violation = this.violation(v);
+        if (violation === 0) {
+            if (!this.bestFeasible || fitness < this.bestFeasible.fitness) {
+                this.bestFeasible = { fitness, position: v.slice() };
+            }
+            if (this.worstFeasible === null || fitness > this.worstFeasible) this.worstFeasible = fitness;
+        }
+        return { fitness, violation };
+    }
+
+    penalized(v) {
+        const { fitness, violation } = this.evaluate(v);
+        if (violation === 0) return fitness;
+        if (this.constraints.method === 'feasibility') return (this.worstFeasible !== null ? this.worstFeasible : 0) + violation;
+        return fitness + this.coefficient * violation;
+    }
+
+    // Adapts the penalty after a step from the algorithm's best individual
+    adapt(algo) {
+        if (this.constraints.method !== 'adaptive') return;
+        const best = algo.getPopulation().reduce((a, b) => (b.fitness < a.fitness ? b : a));
+        this.window.push(this.violation(best.position) === 0);
+        if (this.window.length < ADAPTIVE_WINDOW) return;
+        if (this.window.every(Boolean)) this.coefficient = Math.max(this.coefficient / 2, 1e-9);
+        else if (!this.window.some(Boolean)) this.coefficient *= 3;
+        else {
+            this.window.shift();
+            return;
+        }
+        this.window = [];
+    }
+
+    // Plain-data results for snapshots: the best feasible point, the
+    // violation of the algorithm's own best and the feasible share of its population
+    state(algo) {
+        const population = algo.getPopulation();
+        return {
+            bestFeasible: this.bestFeasible ? this.bestFeasible.fitness : null,
+            bestFeasiblePosition: this.bestFeasible ? this.bestFeasible.position.slice() : null,
+            violation: algo.bestPosition ? this.violation(algo.bestPosition) : null,
+            feasibleShare: population.filter(ind => this.violation(ind.position) === 0).length / population.length,
+            coefficient: this.constraints.method === 'adaptive' ? this.coefficient : null
+        };
+    }
+}
+
+// Iterations the adaptive penalty looks back on
+const ADAPTIVE_WINDOW = 5;
+
+// --- Algorithms ---
+
+// Algorithms own their problem ({ fn, dimensions, maxIterations,
+// maxEvaluations, start }), random stream and best-so-far state, so several can run
+// side by side without interfering. Each one counts its function evaluations
+// and evaluates getPopulation().length points per step (or says otherwise
+// with evaluationsPerStep()), which is what the evaluation budget relies on.
+// Label and color come from the registry below.
+
+// Starting position of individual `i`: uniform over the domain, unless the
+// problem has a hand-placed population (`start`). Then the placed points come
+// first, in order, and any further individuals scatter around random ones by
+// up to 1% of the domain; points beyond the population size go unused.
+function initialPosition(problem, rng, i) {
+    const [lower, upper] = problem.fn.bounds;
+    if (!problem.start) return Array.from({ length: problem.dimensions }, () => uniform(rng, lower, upper));
+    if (i < problem.start.length) return problem.start[i].slice();
+    const anchor = problem.start[Math.floor(rng() * problem.start.length)];
+    const reach = 0.01 * (upper - lower);
+    return anchor.map(x => Math.max(lower, Math.min(upper, x + uniform(rng, -reach, reach))));
+}
+
+// Real-coded GA with interchangeable operators. Individuals are
+// { position, fitness } plus `sigma` under self-adaptive mutation,
+// `violation` under feasibility rules and, for offspring, `parents`: their
+// parents' indices in the previous population.
+class GA {
+    constructor(problem, params, rng) {
+        this.popSize = params.popSize;
+        this.mutationRate = params.mutationRate;
+        this.crossoverRate = params.crossoverRate;
+        this.eliteCount = Math.min(params.eliteCount, params.popSize);
+        this.selection = params.selection;
+        this.tournamentSize = params.tournamentSize;
+        this.crossover = params.crossover;
+        this.blxAlpha = params.blxAlpha;
+        this.sbxEta = params.sbxEta;
+        this.mutation = params.mutation;
+        this.mutationSigma = params.mutationSigma;
+        this.polynomialEta = params.polynomialEta;
+        this.population = [];
+        this.matingPool = [];
+        this.fn = problem.fn;
+        this.bounds = problem.fn.bounds;
+        this.dimensions = problem.dimensions;
+        this.rng = rng;
+        this.bestFitness = Infinity;
+        this.bestViolation = Infinity;
+        this.bestPosition = null;
+        this.evaluations = 0;
+        this.iterations = 0;
+        
+        // Initialize
+        const range = this.bounds[1] - this.bounds[0];
+        for (let i = 0; i < this.popSize; i++) {
+            const position = initialPosition(problem, this.rng, i);
+            const ind = { position, fitness: Infinity };
+            if (this.mutation === 'adaptive') ind.sigma = this.mutationSigma * range;
+            this.population.push(ind);
+        }
+        this.evaluate();
+    }
+
+    // Elites can't outnumber the population; see tuneAlgorithm()
+    retune() {
+        this.eliteCount = Math.min(this.eliteCount, this.popSize);
+    }
+
+    evaluate() {
+        this.population.forEach(ind => {
+            const { fitness, violation } = evaluatePoint(this.fn, ind.position);
+            ind.fitness = fitness;
+            if (this.fn.evaluate) ind.violation = violation;
+            if (feasibilityOrder(fitness, violation, this.bestFitness, this.bestViolation) < 0) {
+                this.bestFitness = fitness;
+                this.bestViolation = violation;
+                this.bestPosition = ind.position.slice();
+            }
+        });
+        this.evaluations += this.population.length;
+        // Sort for selection
+        this.population.sort(compareIndividuals);
+    }
+
+    step() {
+        const newPop = [];
+        
+        // Elitism
+        for (let i = 0; i < this.eliteCount; i++) {
+            newPop.push(this.copy(this.population[i]));
+        }
+
+        this.population = this.breed(newPop, this.popSize);
+        this.evaluate();
+        this.iterations++;
+    }
+
+    copy(ind) {
+        const child = { position: ind.position.slice(), fitness: ind.fitness };
+        if (ind.sigma !== undefined) child.sigma = ind.sigma;
+        if (ind.violation !== undefined) child.violation = ind.violation;
+        return child;
+    }
+
+    // Adds offspring of selected parents to `pool` until it holds `size` individuals
+    breed(pool, size) {
+        // Parents are drawn in pairs
+        if (this.selection === 'sus') this.fillMatingPool(2 * Math.ceil((size - pool.length) / 2));
+        const indexOf = new Map(this.population.map((ind, i) => [ind, i]));
+
+        while (pool.length < size) {
+            const p1 = this.select();
+            const p2 = this.select();
+            
+            let c1 = this.copy(p1);
+            let c2 = this.copy(p2);
+            c1.parents = [indexOf.get(p1)];
+            c2.parents = [indexOf.get(p2)];
+            
+            if (this.rng() < this.crossoverRate) {
+                this.recombine(p1, p2, c1, c2);
+                c1.parents.push(indexOf.get(p2));
+                c2.parents.push(indexOf.get(p1));
+            }
+            
+            this.mutate(c1);
+            this.mutate(c2);
+            
+            pool.push(c1);
+            if (pool.length < size) pool.push(c2);
+        }
+        return pool;
+    }
+
+    // --- Selection ---
+
+    select() {
+        switch (this.selection) {
+            case 'roulette': return this.spin(this.proportionalWeights());
+            case 'rank': return this.spin(this.rankWeights());
+            case 'sus': return this.matingPool.pop();
+            default: return this.tournamentSelect();
+        }
+    }
+
+    tournamentSelect() {
+        let best = null;
+        for (let i = 0; i < this.tournamentSize; i++) {
+            const ind = this.population[Math.floor(this.rng() * this.popSize)];
+            if (!best || compareIndividuals(ind, best) < 0) {
+                best = ind;
+            }
+        }
+        return best;
+    }
+
+    // Minimization: an individual's share is its distance to the worst fitness.
+    // Under feasibility rules fitness alone can't weigh, so shares go by rank.
+    proportionalWeights() {
+        if (this.fn.evaluate) return this.rankWeights();
+        const worst = this.population[this.population.length - 1].fitness;
+        const weights = this.population.map(ind => worst - ind.fitness);
+        const total = weights.reduce((sum, w) => sum + w, 0);
+        // A flat (or non-finite) population gives everyone the same chance
+        return total > 0 && isFinite(total) ? weights : weights.map(() => 1);
+    }
+
+    // Linear ranking: the best (population is sorted) gets N shares, the worst 1
+    rankWeights() {
+        return this.population.map((_, i) => this.population.length - i);
+    }
+
+    spin(weights) {
+        const total = weights.reduce((sum, w) => sum + w, 0);
+        let pointer = this.rng() * total;
+        for (let i = 0; i < weights.length; i++) {
+            pointer -= weights[i];
+            if (pointer < 0) return this.population[i];
+        }
+        return this.population[weights.length - 1];
+    }
+
+    // Stochastic universal sampling: one spin, `count` equally spaced pointers.
+    // The pool is shuffled so neighbouring picks don't always mate.
+    fillMatingPool(count) {
+        const weights = this.proportionalWeights();
+        const total = weights.reduce((sum, w) => sum + w, 0);
+        const spacing = total / count;
+        let pointer = this.rng() * spacing;
+        let cumulative = weights[0];
+        let i = 0;
+        this.matingPool = [];
+        for (let k = 0; k < count; k++) {
+            while (cumulative <= pointer && i < weights.length - 1) {
+                i++;
+                cumulative += weights[i];
+            }
+            this.matingPool.push(this.population[i]);
+            pointer += spacing;
+        }
+        for (let k = this.matingPool.length - 1; k > 0; k--) {
+            const j = Math.floor(this.rng() * (k + 1));
+            [this.matingPool[k], this.matingPool[j]] = [this.matingPool[j], this.matingPool[k]];
+        }
+    }
+
+    // --- Crossover ---
+
+    recombine(p1, p2, c1, c2) {
+        const clamp = x => Math.max(this.bounds[0], Math.min(this.bounds[1], x));
+        if (this.crossover === 'blx') {
+            // Each gene drawn from the parents' interval widened by alpha on both sides
+            for (let d = 0; d < this.dimensions; d++) {
+                const low = Math.min(p1.position[d], p2.position[d]);
+                const high = Math.max(p1.position[d], p2.position[d]);
+                const extent = this.blxAlpha * (high - low);
+                c1.position[d] = clamp(uniform(this.rng, low - extent, high + extent));
+                c2.position[d] = clamp(uniform(this.rng, low - extent, high + extent));
+            }
+        } else if (this.crossover === 'sbx') {
+            // Simulated binary crossover: children spread around the parents like
+            // one-point crossover on binary strings, tighter for larger eta
+            for (let d = 0; d < this.dimensions; d++) {
+                const u = this.rng();
+                const beta = u <= 0.5
+                    ? Math.pow(2 * u, 1 / (this.sbxEta + 1))
+                    : Math.pow(1 / (2 * (1 - u)), 1 / (this.sbxEta + 1));
+                const x1 = p1.position[d];
+                const x2 = p2.position[d];
+                c1.position[d] = clamp(0.5 * ((1 + beta) * x1 + (1 - beta) * x2));
+                c2.position[d] = clamp(0.5 * ((1 - beta) * x1 + (1 + beta) * x2));
+            }
+        } else if (this.crossover === 'uniform') {
+            for (let d = 0; d < this.dimensions; d++) {
+                if (this.rng() < 0.5) {
+                    c1.position[d] = p2.position[d];
+                    c2.position[d] = p1.position[d];
+                }
+            }
+        } else {
+            // Arithmetic: both children blend the parents with one shared alpha
+            const alpha = this.rng();
+            for (let d = 0; d < this.dimensions; d++) {
+                c1.position[d] = alpha * p1.position[d] + (1 - alpha) * p2.position[d];
+                c2.position[d] = alpha * p2.position[d] + (1 - alpha) * p1.position[d];
+            }
+        }
+    }
+
+    // --- Mutation ---
+
+    mutate(ind) {
+        const range = this.bounds[1] - this.bounds[0];
+        if (this.mutation === 'adaptive') {
+            // The step size mutates first (log-normal) and travels with the individual
+            ind.sigma *= Math.exp(gaussian(this.rng) / Math.sqrt(this.dimensions));
+        }
+        for (let d = 0; d < this.dimensions; d++) {
+            if (this.rng() < this.mutationRate) {
+                ind.position[d] = this.mutateGene(ind, ind.position[d], range);
+                ind.position[d] = Math.max(this.bounds[0], Math.min(this.bounds[1], ind.position[d]));
+            }
+        }
+    }
+
+    mutateGene(ind, x, range) {
+        switch (this.mutation) {
+            case 'adaptive':
+                return x + gaussian(this.rng, 0, ind.sigma);
+            case 'polynomial': {
+                const u = this.rng();
+                const delta = u < 0.5
+                    ? Math.pow(2 * u, 1 / (this.polynomialEta + 1)) - 1
+                    : 1 - Math.pow(2 * (1 - u), 1 / (this.polynomialEta + 1));
+                return x + delta * range;
+            }
+            case 'reset':
+                return uniform(this.rng, this.bounds[0], this.bounds[1]);
+            default:
+                return x + gaussian(this.rng, 0, this.mutationSigma * range); // Small gaussian perturbation
+        }
+    }
+
+    getPopulation() {
+        return this.population;
+    }
+}
+
+// NSGA-II (Deb et al., 2002) on the GA's crossover and mutation operators.
+// Offspring come from crowded tournaments; parents and offspring together
+// compete for survival by non-domination rank, then crowding distance.
+// Individuals also carry `objectives`, `rank` and `crowding`.
+class NSGA2 extends GA {
+    constructor(problem, params, rng) {
+        super(problem, { ...params, eliteCount: 0, selection: 'tournament' }, rng);
+    }
+
+    // The initial population
+    evaluate() {
+        this.population.forEach(ind => scoreObjectives(this, ind));
+        this.evaluations += this.population.length;
+        this.population = this.survivors(this.population);
+    }
+
+    step() {
+        const offspring = this.breed([], this.popSize);
+        offspring.forEach(ind => scoreObjectives(this, ind));
+        this.evaluations += offspring.length;
+        // Parent links belong to this generation's offspring only
+        this.population.forEach(ind => delete ind.parents);
+        this.population = this.survivors(this.population.concat(offspring));
+        this.iterations++;
+    }
+
+    // Best popSize of the pool by fronts, the last front cut by crowding
+    survivors(pool) {
+        const next = [];
+        for (const front of nondominatedSort(pool)) {
+            assignCrowding(front);
+            if (next.length + front.length > this.popSize) {
+                front.sort(crowdedOrder);
+                next.push(...front.slice(0, this.popSize - next.length));
+                break;
+            }
+            next.push(...front);
+        }
+        next.sort(crowdedOrder);
+        trackFront(this, next.filter(ind => ind.rank === 0));
+        return next;
+    }
+
+    tournamentSelect() {
+        let best = null;
+        for (let i = 0; i < this.tournamentSize; i++) {
+            const ind = this.population[Math.floor(this.rng() * this.popSize)];
+            if (!best || crowdedOrder(ind, best) < 0) {
+                best = ind;
+            }
+        }
+        return best;
+    }
+}
+
+// Particle swarm with a choice of velocity rule (inertia schedules or Clerc's
+// constriction), neighbourhood topology and boundary handling.
+class PSO {
+    constructor(problem, params, rng) {
+        this.swarmSize = params.swarmSize;
+        this.w = params.w;
+        this.wEnd = params.wEnd;
+        this.c1 = params.c1;
+        this.c2 = params.c2;
+        this.inertia = params.inertia;
+        this.maxVelocity = params.maxVelocity;
+        this.topology = params.topology;
+        this.boundary = params.boundary;
+        this.dynamicMemory = params.dynamicMemory;
+        this.maxIterations = problem.maxIterations || 0;
+        this.maxEvaluations = problem.maxEvaluations || 0;
+        this.particles = [];
+        this.fn = problem.fn;
+        this.bounds = problem.fn.bounds;
+        this.dimensions = problem.dimensions;
+        this.rng = rng;
+        this.bestFitness = Infinity;
+        this.bestViolation = Infinity;
+        this.bestPosition = null;
+        this.evaluations = 0;
+        this.iterations = 0;
+
+        this.retune();
+        
+        // Initialize
+        for (let i = 0; i < this.swarmSize; i++) {
+            const position = initialPosition(problem, this.rng, i);
+            const velocity = [];
+            for (let d = 0; d < this.dimensions; d++) {
+                velocity.push(uniform(this.rng, -1, 1));
+            }
+            this.particles.push({
+                position: position,
+                velocity: velocity,
+                pbest: position.slice(),
+                pbestFit: Infinity,
+                pbestViolation: Infinity,
+                fitness: Infinity,
+                violation: 0
+            });
+        }
+        this.neighbourhoods = this.buildNeighbourhoods();
+        this.evaluate();
+    }
+
+    // Indices each particle learns from (itself included); null means the whole swarm
+    buildNeighbourhoods() {
+        const n = this.swarmSize;
+        if (this.topology === 'ring') {
+            return this.particles.map((_, i) => [(i - 1 + n) % n, i, (i + 1) % n]);
+        }
+        if (this.topology === 'vonNeumann') {
+            // Particles on a wrapped grid, linked to the cells above, below, left and right
+            const cols = Math.ceil(Math.sqrt(n));
+            const rows = Math.ceil(n / cols);
+            return this.particles.map((_, i) => {
+                const row = Math.floor(i / cols);
+                const col = i % cols;
+                const cells = [
+                    [row, col],
+                    [(row - 1 + rows) % rows, col],
+                    [(row + 1) % rows, col],
+                    [row, (col - 1 + cols) % cols],
+                    [row, (col + 1) % cols]
+                ];
+                return [...new Set(cells.map(([r, c]) => r * cols + c).filter(index => index < n))];
+            });
+        }
+        return null;
+    }
+
+    // Best personal best among the particle's neighbours
+    guide(i) {
+        if (!this.neighbourhoods) return this.bestPosition;
+        let best = this.particles[i];
+        this.neighbourhoods[i].forEach(index => {
+            const other = this.particles[index];
+            if (feasibilityOrder(other.pbestFit, other.pbestViolation, best.pbestFit, best.pbestViolation) < 0) best = other;
+        });
+        return best.pbest;
+    }
+
+    // Clerc's constriction factor follows c1 + c2; see tuneAlgorithm()
+    retune() {
+        if (this.inertia !== 'constriction') return;
+        const phi = this.c1 + this.c2;
+        if (phi <= 4) throw new Error("A constrição de Clerc exige c1 + c2 > 4 (por exemplo, 2.05 e 2.05).");
+        this.chi = 2 / Math.abs(2 - phi - Math.sqrt(phi * phi - 4 * phi));
+    }
+
+    // Share of the run done: of whichever limit, iterations or evaluations,
+    // is closer to running out (0 without either)
+    progress() {
+        return Math.min(1, Math.max(
+            this.maxIterations > 0 ? this.iterations / this.maxIterations : 0,
+            this.maxEvaluations > 0 ? this.evaluations / this.maxEvaluations : 0
+        ));
+    }
+
+    // Inertia weight for this step. The linear schedule follows the progress.
+    inertiaWeight() {
+        if (this.inertia === 'linear' && (this.maxIterations > 0 || this.maxEvaluations > 0)) {
+            return this.w + (this.wEnd - this.w) * this.progress();
+        }
+        if (this.inertia === 'random') return 0.5 + this.rng() / 2;
+        return this.w;
+    }
+
+    evaluate() {
+        // Bests are updated by feasibility rules, which is plain fitness
+        // order unless the problem has constraints handled that way
+        this.particles.forEach(p => {
+            const { fitness, violation } = evaluatePoint(this.fn, p.position);
+            p.fitness = fitness;
+            p.violation = violation;
+            
+            // Update Personal Best
+            if (feasibilityOrder(fitness, violation, p.pbestFit, p.pbestViolation) < 0) {
+                p.pbestFit = fitness;
+                p.pbestViolation = violation;
+                p.pbest = p.position.slice();
+            }
+
+            // Update Global Best
+            if (feasibilityOrder(fitness, violation, this.bestFitness, this.bestViolation) < 0) {
+                this.bestFitness = fitness;
+                this.bestViolation = violation;
+                this.bestPosition = p.position.slice();
+            }
+        });
+        this.evaluations += this.particles.length;
+    }
+
+    evaluationsPerStep() {
+        if (this.dynamicMemory === 'reevaluate') return 2 * this.swarmSize;
+        return this.swarmSize + (this.dynamicMemory === 'reset' ? 1 : 0);
+    }
+
+    // Personal bests go stale when the landscape moves. 'reevaluate' scores
+    // them again every step; 'reset' re-evaluates only the global best and,
+    // once its value changes, forgets every personal and global best (with
+    // noisy evaluations that happens every step).
+    refreshMemory() {
+        if (this.dynamicMemory === 'reevaluate') {
+            this.bestFitness = Infinity;
+            this.bestViolation = Infinity;
+            this.particles.forEach(p => {
+                const { fitness, violation } = evaluatePoint(this.fn, p.pbest);
+                p.pbestFit = fitness;
+                p.pbestViolation = violation;
+                if (feasibilityOrder(fitness, violation, this.bestFitness, this.bestViolation) < 0) {
+                    this.bestFitness = fitness;
+                    this.bestViolation = violation;
+                    this.bestPosition = p.pbest.slice();
+                }
+            });
+            this.evaluations += this.particles.length;
+        } else if (this.dynamicMemory === 'reset') {
+            const { fitness } = evaluatePoint(this.fn, this.bestPosition);
+            this.evaluations++;
+            if (fitness !== this.bestFitness) {
+                this.particles.forEach(p => {
+                    p.pbest = p.position.slice();
+                    p.pbestFit = Infinity;
+                    p.pbestViolation = Infinity;
+                });
+                this.bestFitness = Infinity;
+                this.bestViolation = Infinity;
+            }
+        }
+    }
+
+    step() {
+        this.refreshMemory();
+        const maxV = this.maxVelocity * (this.bounds[1] - this.bounds[0]);
+        // Guides come from the previous iteration so update order doesn't matter
+        const guides = this.particles.map((_, i) => this.guide(i));
+
+        this.particles.forEach((p, i) => {
+            const w = this.inertia === 'constriction' ? null : this.inertiaWeight();
+            const r1 = this.rng();
+            const r2 = this.rng();
+            const g = guides[i];
+            
+            for (let d = 0; d < this.dimensions; d++) {
+                // Update Velocity
+                // v = w*v + c1*r1*(pbest - x) + c2*r2*(gbest - x), or with constriction
+                // v = chi*(v + c1*r1*(pbest - x) + c2*r2*(gbest - x))
+                if (w === null) {
+                    p.velocity[d] = this.chi * (p.velocity[d] +
+                                    this.c1 * r1 * (p.pbest[d] - p.position[d]) +
+                                    this.c2 * r2 * (g[d] - p.position[d]));
+                } else {
+                    p.velocity[d] = w * p.velocity[d] + 
+                                    this.c1 * r1 * (p.pbest[d] - p.position[d]) + 
+                                    this.c2 * r2 * (g[d] - p.position[d]);
+                }
+                
+                // Limit velocity
+                if (maxV > 0) {
+                    p.velocity[d] = Math.max(-maxV, Math.min(maxV, p.velocity[d]));
+                }
+
+                // Update Position
+                p.position[d] += p.velocity[d];
+                
+                this.handleBoundary(p, d);
+            }
+        });
+        
+        this.evaluate();
+        this.iterations++;
+    }
+
+    // Brings coordinate d of a particle that left the domain back inside
+    handleBoundary(p, d) {
+        const [lower, upper] = this.bounds;
+        const x = p.position[d];
+        if (x >= lower && x <= upper) return;
+        const range = upper - lower;
+
+        switch (this.boundary) {
+            case 'reflect': {
+                // Mirror off the walls (folding repeatedly for large steps)
+                const folded = ((x - lower) % (2 * range) + 2 * range) % (2 * range);
+                p.position[d] = lower + (folded <= range ? folded : 2 * range - folded);
+                p.velocity[d] = -p.velocity[d];
+                break;
+            }
+            case 'absorb':
+                p.position[d] = Math.max(lower, Math.min(upper, x));
+                p.velocity[d] = 0;
+                break;
+            case 'periodic':
+                p.position[d] = lower + ((x - lower) % range + range) % range;
+                break;
+            case 'random':
+                p.position[d] = uniform(this.rng, lower, upper);
+                break;
+            default:
+                // Clamp
+                p.position[d] = Math.max(lower, Math.min(upper, x));
+        }
+    }
+
+    getPopulation() {
+        return this.particles;
+    }
+}
+
+// Multi-objective PSO (Coello Coello et al., 2004) on the PSO's velocity rule
+// and boundary handling. Non-dominated positions are kept in an external
+// archive, trimmed by crowding distance, and each particle follows a leader
+// drawn from it by a binary tournament favouring less crowded members. A new
+// position replaces the personal best when it dominates it, or by a coin
+// flip when neither dominates the other. Coello's mutation operator keeps
+// the swarm from collapsing onto one end of the front early in the run.
+class MOPSO extends PSO {
+    constructor(problem, params, rng) {
+        // The PSO constructor already evaluates the swarm into the archive
+        super(problem, { ...params, topology: 'global', dynamicMemory: 'keep' }, rng);
+        this.archiveSize = params.archiveSize;
+        this.mutationRate = params.mutationRate;
+        this.trimArchive();
+        trackFront(this, this.archive);
+    }
+
+    evaluate() {
+        if (!this.archive) this.archive = [];
+        this.particles.forEach(p => {
+            // Moved particles mutate right before they're scored (not the initial swarm)
+            if (this.mutationRate > 0) this.mutateParticle(p);
+            scoreObjectives(this, p);
+            const keep = p.pbestObjectives && (dominates(p.pbestObjectives, p.objectives) ||
+                (!dominates(p.objectives, p.pbestObjectives) && this.rng() < 0.5));
+            if (!keep) {
+                p.pbest = p.position.slice();
+                p.pbestObjectives = p.objectives.slice();
+                p.pbestFit = p.fitness;
+            }
+            this.archiveInsert(p);
+        });
+        this.evaluations += this.particles.length;
+        this.trimArchive();
+        trackFront(this, this.archive);
+    }
+
+    // Adds a position no member dominates or repeats, dropping the members it dominates
+    archiveInsert(p) {
+        const same = m => m.objectives[0] === p.objectives[0] && m.objectives[1] === p.objectives[1];
+        if (this.archive.some(m => same(m) || dominates(m.objectives, p.objectives))) return;
+        this.archive = this.archive.filter(m => !dominates(p.objectives, m.objectives));
+        this.archive.push({ position: p.position.slice(), objectives: p.objectives.slice(), fitness: p.fitness });
+    }
+
+    // Drops the most crowded members until the archive fits (no limit before it's known)
+    trimArchive() {
+        assignCrowding(this.archive);
+        while (this.archive.length > this.archiveSize) {
+            let crowded = 0;
+            this.archive.forEach((m, i) => {
+                if (m.crowding < this.archive[crowded].crowding) crowded = i;
+            });
+            this.archive.splice(crowded, 1);
+            assignCrowding(this.archive);
+        }
+    }
+
+    // With a chance that fades from 1 to 0 over the run, one coordinate is
+    // redrawn from a window around it that shrinks at the same pace. A run
+    // with no iteration or evaluation limit has no progress to fade with, so
+    // both stay at a small fixed fraction instead.
+    mutateParticle(p) {
+        const bounded = this.maxIterations > 0 || this.maxEvaluations > 0;
+        const chance = bounded
+            ? Math.pow(1 - this.progress(), 5 / this.mutationRate)
+            : MOPSO_STEADY_MUTATION * this.mutationRate;
+        if (this.rng() >= chance) return;
+        const [lower, upper] = this.bounds;
+        const d = Math.floor(this.rng() * this.dimensions);
+        const reach = (bounded ? chance : MOPSO_STEADY_MUTATION) * (upper - lower);
+        const x = p.position[d];
+        p.position[d] = uniform(this.rng, Math.max(lower, x - reach), Math.min(upper, x + reach));
+    }
+
+    guide() {
+        const a = this.archive[Math.floor(this.rng() * this.archive.length)];
+        const b = this.archive[Math.floor(this.rng() * this.archive.length)];
+        return (b.crowding > a.crowding ? b : a).position;
+    }
+}
+
+// MOPSO's mutation chance (times the rate) and window (fraction of the
+// domain) when the run has no iteration or evaluation limit
+const MOPSO_STEADY_MUTATION = 0.1;
+
+// Differential Evolution, DE/rand/1/bin: every target vector competes with a
+// trial built from three other random members and binomial crossover.
+class DE {
+    constructor(problem, { popSize, F, CR }, rng) {
+        this.popSize = popSize;
+        this.F = F;
+        this.CR = CR;
+        this.population = [];
+        this.fn = problem.fn;
+        this.bounds = problem.fn.bounds;
+        this.dimensions = problem.dimensions;
+        this.rng = rng;
+        this.bestFitness = Infinity;
+        this.bestViolation = Infinity;
+        this.bestPosition = null;
+        this.evaluations = 0;
+        this.iterations = 0;
+
+        for (let i = 0; i < popSize; i++) {
+            this.population.push(this.evaluate(initialPosition(problem, this.rng, i)));
+        }
+    }
+
+    // A new member { position, fitness }, plus `violation` under feasibility rules
+    evaluate(position) {
+        const { fitness, violation } = evaluatePoint(this.fn, position);
+        this.evaluations++;
+        if (feasibilityOrder(fitness, violation, this.bestFitness, this.bestViolation) < 0) {
+            this.bestFitness = fitness;
+            this.bestViolation = violation;
+            this.bestPosition = position.slice();
+        }
+        const member = { position, fitness };
+        if (this.fn.evaluate) member.violation = violation;
+        return member;
+    }
+
+    // Index of a random member other than the ones in `exclude`
+    pickOther(exclude) {
+        // Fewer candidates than picks would never end; the schema asks for 4
+        if (this.popSize <= exclude.length) throw new Error("DE: a população precisa de ao menos 4 indivíduos.");
+        let index;
+        do {
+            index = Math.floor(this.rng() * this.popSize);
+        } while (exclude.includes(index));
+        return index;
+    }
+
+    step() {
+        // Trials are built from the current generation before any replacement
+        const trials = this.population.map((target, i) => {
+            const r1 = this.pickOther([i]);
+            const r2 = this.pickOther([i, r1]);
+            const r3 = this.pickOther([i, r1, r2]);
+            const a = this.population[r1].position;
+            const b = this.population[r2].position;
+            const c = this.population[r3].position;
+            const forced = Math.floor(this.rng() * this.dimensions); // At least one gene from the mutant
+            const position = target.position.map((x, d) => {
+                if (d !== forced && this.rng() >= this.CR) return x;
+                const mutant = a[d] + this.F * (b[d] - c[d]);
+                return Math.max(this.bounds[0], Math.min(this.bounds[1], mutant));
+            });
+            return position;
+        });
+
+        trials.forEach((position, i) => {
+            const trial = this.evaluate(position);
+            if (compareIndividuals(trial, this.population[i]) <= 0) {
+                this.population[i] = trial;
+            }
+        });
+        this.iterations++;
+    }
+
+    getPopulation() {
+        return this.population;
+    }
+}
+
+// Eigen decomposition of a symmetric matrix by cyclic Jacobi rotations.
+// Returns the eigenvalues and the eigenvectors as the columns of `vectors`.
+function symmetricEigen(matrix) {
+    const n = matrix.length;
+    const a = matrix.map(row => row.slice());
+    const vectors = a.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+        let off = 0;
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) off += a[p][q] * a[p][q];
+        }
+        if (off < 1e-30) break;
+
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                if (a[p][q] === 0) continue;
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+                for (let k = 0; k < n; k++) {
+                    const akp = a[k][p];
+                    const akq = a[k][q];
+                    a[k][p] = c * akp - s * akq;
+                    a[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const apk = a[p][k];
+                    const aqk = a[q][k];
+                    a[p][k] = c * apk - s * aqk;
+                    a[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < n; k++) {
+                    const vkp = vectors[k][p];
+                    const vkq = vectors[k][q];
+                    vectors[k][p] = c * vkp - s * vkq;
+                    vectors[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+    return { values: a.map((row, i) => row[i]), vectors };
+}
+
+// Covariance Matrix Adaptation Evolution Strategy, (mu/mu_w, lambda) with
+// the default learning rates from Hansen's tutorial. Samples that leave the
+// domain are clamped back into it before evaluation and adaptation.
+class CMAES {
+    constructor(problem, { lambda, sigma0 }, rng) {
+        const n = problem.dimensions;
+        this.lambda = lambda;
+        this.mu = Math.floor(lambda / 2);
+        this.fn = problem.fn;
+        this.bounds = problem.fn.bounds;
+        this.dimensions = n;
+        this.rng = rng;
+        this.bestFitness = Infinity;
+        this.bestPosition = null;
+        this.evaluations = 0;
+        this.iterations = 0;
+
+        // Recombination weights
+        const raw = Array.from({ length: this.mu }, (_, i) => Math.log(this.mu + 0.5) - Math.log(i + 1));
+        const total = raw.reduce((sum, w) => sum + w, 0);
+        this.weights = raw.map(w => w / total);
+        this.mueff = 1 / this.weights.reduce((sum, w) => sum + w * w, 0);
+
+        // Adaptation rates
+        this.cc = (4 + this.mueff / n) / (n + 4 + 2 * this.mueff / n);
+        this.cs = (this.mueff + 2) / (n + this.mueff + 5);
+        this.c1 = 2 / ((n + 1.3) * (n + 1.3) + this.mueff);
+        this.cmu = Math.min(1 - this.c1, 2 * (this.mueff - 2 + 1 / this.mueff) / ((n + 2) * (n + 2) + this.mueff));
+        this.damps = 1 + 2 * Math.max(0, Math.sqrt((this.mueff - 1) / (n + 1)) - 1) + this.cs;
+        this.chiN = Math.sqrt(n) * (1 - 1 / (4 * n) + 1 / (21 * n * n));
+
+        // Distribution state. A hand-placed population gives its centroid as the mean.
+        this.mean = problem.start
+            ? problem.start[0].map((_, d) => mean(problem.start.map(position => position[d])))
+            : initialPosition(problem, this.rng, 0);
+        this.sigma = sigma0 * (this.bounds[1] - this.bounds[0]);
+        this.pc = new Array(n).fill(0);
+        this.ps = new Array(n).fill(0);
+        this.C = this.mean.map((_, i) => this.mean.map((_, j) => (i === j ? 1 : 0)));
+        this.B = this.C.map(row => row.slice());
+        this.D = new Array(n).fill(1);
+        this.eigenEvaluations = 0;
+
+        this.population = [];
+        this.sample();
+    }
+
+    // Draws and evaluates a new generation around the current mean
+    sample() {
+        const n = this.dimensions;
+        this.population = [];
+        for (let k = 0; k < this.lambda; k++) {
+            const z = Array.from({ length: n }, () => gaussian(this.rng));
+            const position = this.mean.map((m, i) => {
+                let y = 0;
+                for (let j = 0; j < n; j++) y += this.B[i][j] * this.D[j] * z[j];
+                const x = m + this.sigma * y;
+                return Math.max(this.bounds[0], Math.min(this.bounds[1], x));
+            });
+            const fitness = this.fn.func(position);
+            if (fitness < this.bestFitness) {
+                this.bestFitness = fitness;
+                this.bestPosition = position.slice();
+            }
+            this.population.push({ position, fitness });
+        }
+        this.evaluations += this.lambda;
+    }
+
+    step() {
+        const n = this.dimensions;
+        const selected = this.population.slice().sort((a, b) => a.fitness - b.fitness).slice(0, this.mu);
+        const oldMean = this.mean;
+        this.mean = oldMean.map((_, i) => selected.reduce((sum, ind, k) => sum + this.weights[k] * ind.position[i], 0));
+        const shift = this.mean.map((m, i) => (m - oldMean[i]) / this.sigma);
+
+        // C^-1/2 * shift = B * D^-1 * B^T * shift
+        const projected = this.D.map((d, j) => {
+            let sum = 0;
+            for (let i = 0; i < n; i++) sum += this.B[i][j] * shift[i];
+            return sum / d;
+        });
+        const whitened = shift.map((_, i) => {
+            let sum = 0;
+            for (let j = 0; j < n; j++) sum += this.B[i][j] * projected[j];
+            return sum;
+        });
+
+        // Evolution paths
+        const csFactor = Math.sqrt(this.cs * (2 - this.cs) * this.mueff);
+        this.ps = this.ps.map((p, i) => (1 - this.cs) * p + csFactor * whitened[i]);
+        const psNorm = Math.sqrt(this.ps.reduce((sum, p) => sum + p * p, 0));
+        const generations = this.evaluations / this.lambda;
+        const hsig = psNorm / Math.sqrt(1 - Math.pow(1 - this.cs, 2 * generations)) / this.chiN < 1.4 + 2 / (n + 1) ? 1 : 0;
+        const ccFactor = Math.sqrt(this.cc * (2 - this.cc) * this.mueff);
+        this.pc = this.pc.map((p, i) => (1 - this.cc) * p + hsig * ccFactor * shift[i]);
+
+        // Covariance: rank-one update from pc plus rank-mu update from the selected steps
+        const steps = selected.map(ind => ind.position.map((x, i) => (x - oldMean[i]) / this.sigma));
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j <= i; j++) {
+                let rankMu = 0;
+                steps.forEach((y, k) => {
+                    rankMu += this.weights[k] * y[i] * y[j];
+                });
+                const value = (1 - this.c1 - this.cmu) * this.C[i][j] +
+                    this.c1 * (this.pc[i] * this.pc[j] + (1 - hsig) * this.cc * (2 - this.cc) * this.C[i][j]) +
+                    this.cmu * rankMu;
+                this.C[i][j] = value;
+                this.C[j][i] = value;
+            }
+        }
+
+        // Step size
+        this.sigma *= Math.exp((this.cs / this.damps) * (psNorm / this.chiN - 1));
+        this.sigma = Math.min(this.sigma, this.bounds[1] - this.bounds[0]);
+
+        // The decomposition is O(n^3), so it lags behind C as in the reference implementation
+        if (this.evaluations - this.eigenEvaluations > this.lambda / (this.c1 + this.cmu) / n / 10) {
+            this.eigenEvaluations = this.evaluations;
+            const { values, vectors } = symmetricEigen(this.C);
+            this.B = vectors;
+            this.D = values.map(v => Math.sqrt(Math.max(v, 1e-20)));
+        }
+
+        this.sample();
+        this.iterations++;
+    }
+
+    getPopulation() {
+        return this.population;
+    }
+}
+
+// Simulated Annealing with several independent chains sharing one cooling
+// schedule. Neighbours are Gaussian moves whose size shrinks with the
+// temperature; worse moves are accepted with the Metropolis probability.
+class SA {
+    constructor(problem, { chains, initialTemp, coolingRate, stepSize }, rng) {
+        this.chains = chains;
+        this.initialTemp = initialTemp;
+        this.temperature = initialTemp;
+        this.coolingRate = coolingRate;
+        this.stepSize = stepSize;
+        this.population = [];
+        this.fn = problem.fn;
+        this.bounds = problem.fn.bounds;
+        this.dimensions = problem.dimensions;
+        this.rng = rng;
+        this.bestFitness = Infinity;
+        this.bestPosition = null;
+        this.evaluations = 0;
+        this.iterations = 0;
+
+        for (let i = 0; i < chains; i++) {
+            const position = initialPosition(problem, this.rng, i);
+            this.population.push({ position, fitness: this.evaluate(position) });
+        }
+    }
+
+    evaluate(position) {
+        const fitness = this.fn.func(position);
+        this.evaluations++;
+        if (fitness < this.bestFitness) {
+            this.bestFitness = fitness;
+            this.bestPosition = position.slice();
+        }
+        return fitness;
+    }
+
+    step() {
+        const range = this.bounds[1] - this.bounds[0];
+        const scale = this.stepSize * range * Math.max(Math.sqrt(this.temperature / this.initialTemp), 0.01);
+
+        this.population = this.population.map(current => {
+            const position = current.position.map(x => {
+                const moved = x + gaussian(this.rng, 0, scale);
+                return Math.max(this.bounds[0], Math.min(this.bounds[1], moved));
+            });
+            const fitness = this.evaluate(position);
+            const delta = fitness - current.fitness;
+            if (delta <= 0 || this.rng() < Math.exp(-delta / this.temperature)) {
+                return { position, fitness };
+            }
+            return current;
+        });
+
+        this.temperature *= this.coolingRate;
+        this.iterations++;
+    }
+
+    getPopulation() {
+        return this.population;
+    }
+}
+
+// --- Stopping Criteria ---
+
+// Normalized criteria of a run config. A criterion set to 0 (null for the
+// target error) is off; maxIterations stays top-level for older configs.
+function stoppingCriteria(config) {
+    const stopping = config.stopping || {};
+    const positive = value => (value > 0 ? value : 0);
+    return {
+        maxIterations: positive(config.maxIterations),
+        maxEvaluations: positive(stopping.maxEvaluations),
+        targetError: Number.isFinite(stopping.targetError) && stopping.targetError >= 0 ? stopping.targetError : null,
+        stagnation: positive(stopping.stagnation),
+        timeLimit: positive(stopping.timeLimit)
+    };
+}
+
+// Whether the criteria are sure to end a run; target error and stagnation
+// may never be met
+function isBounded(criteria) {
+    return criteria.maxIterations > 0 || criteria.maxEvaluations > 0 || criteria.timeLimit > 0;
+}
+
+const stopReasons = {
+    target: "Erro alvo atingido",
+    iterations: "Máximo de iterações",
+    evaluations: "Orçamento de avaliações",
+    stagnation: "Estagnação",
+    time: "Tempo limite",
+    manual: "Parada manual"
+};
+
+// Short text of the active criteria, e.g. "200 it., erro ≤ 0.0001"
+function describeStopping(criteria) {
+    const parts = [];
+    if (criteria.maxIterations > 0) parts.push(`${criteria.maxIterations} it.`);
+    if (criteria.maxEvaluations > 0) parts.push(`${criteria.maxEvaluations} aval.`);
+    if (criteria.targetError !== null) parts.push(`erro ≤ ${criteria.targetError}`);
+    if (criteria.stagnation > 0) parts.push(`${criteria.stagnation} it. sem melhora`);
+    if (criteria.timeLimit > 0) parts.push(`${criteria.timeLimit} ms`);
+    return parts.length > 0 ? parts.join(', ') : 'livre';
+}
+
+// Decides when one algorithm is done. The time limit is wall-clock time
+// since the run was set up, animation frames and pauses included.
+class Termination {
+    constructor(criteria, globalMin) {
+        this.criteria = criteria;
+        this.globalMin = globalMin;
+        this.started = performance.now(); // Milliseconds
+        this.bestFitness = Infinity;
+        this.bestViolation = Infinity;
+        this.lastImprovement = 0; // Iteration of the last best-so-far improvement
+    }
+
+    // Key of the first criterion the algorithm meets (see stopReasons), or null
+    check(algo) {
+        const violation = algo.bestViolation || 0;
+        if (feasibilityOrder(algo.bestFitness, violation, this.bestFitness, this.bestViolation) < 0) {
+            this.bestFitness = algo.bestFitness;
+            this.bestViolation = violation;
+            this.lastImprovement = algo.iterations;
+        }
+        const c = this.criteria;
+        // On a dynamic or noisy landscape the best-so-far is stale, the true
+        // current error counts; under constraints only feasible points count
+        let error = algo.bestFitness - this.globalMin;
+        if (algo.landscape) error = algo.landscape.currentError;
+        else if (algo.constraints) error = algo.constraints.bestFeasible ? algo.constraints.bestFeasible.fitness - this.globalMin : Infinity;
+        if (c.targetError !== null && error <= c.targetError) return 'target';
+        if (c.maxIterations > 0 && algo.iterations >= c.maxIterations) return 'iterations';
+        // The next step evaluates a whole population, which must fit in the budget
+        const perStep = algo.evaluationsPerStep ? algo.evaluationsPerStep() : algo.getPopulation().length;
+        if (c.maxEvaluations > 0 && algo.evaluations + perStep > c.maxEvaluations) return 'evaluations';
+        if (c.stagnation > 0 && algo.iterations - this.lastImprovement >= c.stagnation) return 'stagnation';
+        if (c.timeLimit > 0 && performance.now() - this.started >= c.timeLimit) return 'time';
+        return null;
+    }
+}
+
+// Steps an algorithm that hasn't stopped yet and checks its criteria
+function advance(algo) {
+    if (algo.stopReason) return;
+    if (algo.landscape) algo.landscape.moveTo(algo.iterations + 1);
+    algo.step();
+    if (algo.landscape) algo.landscape.observe(algo);
+    if (algo.constraints) algo.constraints.adapt(algo);
+    algo.stopReason = algo.termination.check(algo);
+}
+
+// Runs several algorithms side by side on the same landscape. Each tick
+// advances whichever running members have used the fewest function
+// evaluations, so populations of different sizes consume their budget at the
+// same rate. A member leaves the race when its own criteria stop it.
+class Race {
+    constructor(members) {
+        this.members = members;
+    }
+
+    step() {
+        const active = this.members.filter(algo => !algo.stopReason);
+        if (active.length === 0) return;
+        const fewest = Math.min(...active.map(algo => algo.evaluations));
+        active.forEach(algo => {
+            if (algo.evaluations === fewest) advance(algo);
+        });
+    }
+}
+
+// --- Algorithm Registry ---
+// Everything the interface needs to offer an algorithm. `params` is the
+// schema its sidebar form is built from (type 'int', 'number', 'boolean' or
+// 'choice' with `options`; `when` limits a parameter to some values of
+// another one) and `summary` lists the parameters quoted in the results tables.
+// `live` marks the parameters an algorithm reads afresh every iteration, which
+// can be changed while it runs (see tuneAlgorithm()). `persistent` marks
+// algorithms whose individuals keep their index from one iteration to the
+// next, so the interface can draw each one's trail, and `multiObjective` the
+// ones that take the bi-objective problems (and only those).
+// Operator choices shared by the GA and NSGA-II, and by both swarms:
+const crossoverOptions = [
+    { value: 'arithmetic', label: "Aritmético" },
+    { value: 'blx', label: "BLX-α" },
+    { value: 'sbx', label: "SBX" },
+    { value: 'uniform', label: "Uniforme" }
+];
+const mutationOptions = [
+    { value: 'gaussian', label: "Gaussiana" },
+    { value: 'adaptive', label: "Gaussiana autoadaptativa", short: 'Autoadaptativa' },
+    { value: 'polynomial', label: "Polinomial" },
+    { value: 'reset', label: "Reinício uniforme", short: 'Reinício' }
+];
+const inertiaOptions = [
+    { value: 'constant', label: "Inércia constante", short: 'w fixo' },
+    { value: 'linear', label: "Inércia decrescente linear", short: 'w linear' },
+    { value: 'random', label: "Inércia aleatória (0.5 a 1)", short: 'w aleatório' },
+    { value: 'constriction', label: "Constrição de Clerc (χ)", short: 'χ' }
+];
+const boundaryOptions = [
+    { value: 'clamp', label: "Limitar (clamp)", short: 'clamp' },
+    { value: 'reflect', label: "Refletir", short: 'refletir' },
+    { value: 'absorb', label: "Absorver (zera a velocidade)", short: 'absorver' },
+    { value: 'periodic', label: "Periódica", short: 'periódica' },
+    { value: 'random', label: "Reinicializar aleatoriamente", short: 'aleatória' }
+];
+
+const algorithms = {
+    ga: {
+        name: "Algoritmo Genético (GA)",
+        label: 'GA',
+        color: '#e74c3c', // Red
+        Class: GA,
+        params: [
+            { key: 'popSize', label: "Tamanho da População", short: 'Pop', type: 'int', default: 50, min: 2 },
+            { key: 'eliteCount', label: "Elitismo (indivíduos)", short: 'Elite', type: 'int', default: 1, min: 0, live: true },
+            { key: 'selection', label: "Seleção", short: 'Sel', type: 'choice', default: 'tournament', options: [
+                { value: 'tournament', label: "Torneio" },
+                { value: 'roulette', label: "Roleta" },
+                { value: 'rank', label: "Ranking linear", short: 'Ranking' },
+                { value: 'sus', label: "Amostragem universal estocástica (SUS)", short: 'SUS' }
+            ], live: true },
+            { key: 'tournamentSize', label: "Tamanho do Torneio", short: 'k', type: 'int', default: 3, min: 1, when: { selection: ['tournament'] }, live: true },
+            { key: 'crossover', label: "Crossover", short: 'Cx', type: 'choice', default: 'arithmetic', options: crossoverOptions, live: true },
+            { key: 'crossoverRate', label: "Taxa de Crossover", short: 'pc', type: 'number', default: 0.8, step: 0.1, min: 0, max: 1, live: true },
+            { key: 'blxAlpha', label: "α do BLX", short: 'α', type: 'number', default: 0.5, step: 0.1, min: 0, when: { crossover: ['blx'] }, live: true },
+            { key: 'sbxEta', label: "η do SBX", short: 'η', type: 'number', default: 15, step: 1, min: 0, when: { crossover: ['sbx'] }, live: true },
+            { key: 'mutation', label: "Mutação", short: 'Mut', type: 'choice', default: 'gaussian', options: mutationOptions },
+            { key: 'mutationRate', label: "Taxa de Mutação (por gene)", short: 'pm', type: 'number', default: 0.05, step: 0.01, min: 0, max: 1, live: true },
+            { key: 'mutationSigma', label: "σ da Mutação (fração do domínio)", short: 'σ', type: 'number', default: 0.05, step: 0.01, min: 0, when: { mutation: ['gaussian', 'adaptive'] }, live: true },
+            { key: 'polynomialEta', label: "η da Mutação Polinomial", short: 'ηm', type: 'number', default: 20, step: 1, min: 0, when: { mutation: ['polynomial'] }, live: true }
+        ],
+        summary: ['popSize', 'eliteCount', 'selection', 'tournamentSize', 'crossover', 'crossoverRate', 'blxAlpha', 'sbxEta',
+            'mutation', 'mutationRate', 'mutationSigma', 'polynomialEta']
+    },
+    pso: {
+        name: "PSO",
+        label: 'PSO',
+        color: '#3498db', // Blue
+        Class: PSO,
+        persistent: true,
+        params: [
+            { key: 'swarmSize', label: "Tamanho do Enxame", short: 'Swarm', type: 'int', default: 50, min: 1 },
+            { key: 'inertia', label: "Regra de Velocidade", short: 'Vel', type: 'choice', default: 'constant', options: inertiaOptions, live: true },
+            { key: 'w', label: "Inércia (w)", short: 'w', type: 'number', default: 0.7, step: 0.1, when: { inertia: ['constant', 'linear'] }, live: true },
+            { key: 'wEnd', label: "Inércia Final (ao fim do orçamento)", short: 'w final', type: 'number', default: 0.4, step: 0.1, when: { inertia: ['linear'] }, live: true },
+            { key: 'c1', label: "Cognitivo (c1)", short: 'c1', type: 'number', default: 1.5, step: 0.1, live: true },
+            { key: 'c2', label: "Social (c2)", short: 'c2', type: 'number', default: 1.5, step: 0.1, live: true },
+            { key: 'maxVelocity', label: "Velocidade Máxima (fração do domínio, 0 = sem limite)", short: 'vmax', type: 'number', default: 0, step: 0.05, min: 0, live: true },
+            { key: 'topology', label: "Topologia", short: 'Topo', type: 'choice', default: 'global', options: [
+                { value: 'global', label: "Global (gbest)", short: 'gbest' },
+                { value: 'ring', label: "Anel (lbest)", short: 'anel' },
+                { value: 'vonNeumann', label: "Von Neumann", short: 'von Neumann' }
+            ] },
+            { key: 'boundary', label: "Tratamento de Fronteira", short: 'Fronteira', type: 'choice', default: 'clamp', options: boundaryOptions, live: true },
+            { key: 'dynamicMemory', label: "Memória em Paisagem Dinâmica", short: 'Memória', type: 'choice', default: 'keep', options: [
+                { value: 'keep', label: "Manter pbest", short: 'manter' },
+                { value: 'reevaluate', label: "Reavaliar pbest a cada passo", short: 'reavaliar' },
+                { value: 'reset', label: "Detectar mudança e reiniciar memória", short: 'reiniciar' }
+            ] }
+        ],
+        summary: ['swarmSize', 'inertia', 'w', 'wEnd', 'c1', 'c2', 'maxVelocity', 'topology', 'boundary', 'dynamicMemory']
+    },
+    de: {
+        name: "Evolução Diferencial (DE/rand/1/bin)",
+        label: 'DE',
+        color: '#27ae60', // Green
+        Class: DE,
+        persistent: true,
+        params: [
+            { key: 'popSize', label: "Tamanho da População", short: 'Pop', type: 'int', default: 50, min: 4 },
+            { key: 'F', label: "Fator de Escala (F)", short: 'F', type: 'number', default: 0.5, step: 0.1, min: 0, max: 2, live: true },
+            { key: 'CR', label: "Taxa de Crossover (CR)", short: 'CR', type: 'number', default: 0.9, step: 0.1, min: 0, max: 1, live: true }
+        ],
+        summary: ['popSize', 'F', 'CR']
+    },
+    cmaes: {
+        name: "CMA-ES",
+        label: 'CMA-ES',
+        color: '#8e44ad', // Purple
+        Class: CMAES,
+        params: [
+            { key: 'lambda', label: "Amostras por Geração (λ)", short: 'λ', type: 'int', default: 20, min: 4 },
+            { key: 'sigma0', label: "Passo Inicial (σ0, fração do domínio)", short: 'σ0', type: 'number', default: 0.3, step: 0.05, min: 0 }
+        ],
+        summary: ['lambda', 'sigma0']
+    },
+    sa: {
+        name: "Recozimento Simulado (SA)",
+        label: 'SA',
+        color: '#f39c12', // Orange
+        Class: SA,
+        persistent: true,
+        params: [
+            { key: 'chains', label: "Cadeias Independentes", short: 'Cadeias', type: 'int', default: 10, min: 1 },
+            { key: 'initialTemp', label: "Temperatura Inicial", short: 'T0', type: 'number', default: 10, step: 1, min: 0 },
+            { key: 'coolingRate', label: "Taxa de Resfriamento", short: 'α', type: 'number', default: 0.95, step: 0.01, min: 0, max: 1, live: true },
+            { key: 'stepSize', label: "Passo (fração do domínio)", short: 'Passo', type: 'number', default: 0.1, step: 0.01, min: 0, live: true }
+        ],
+        summary: ['chains', 'initialTemp', 'coolingRate', 'stepSize']
+    },
+    nsga2: {
+        name: "NSGA-II (multiobjetivo)",
+        label: 'NSGA-II',
+        color: '#d35400', // Dark orange
+        Class: NSGA2,
+        multiObjective: true,
+        params: [
+            { key: 'popSize', label: "Tamanho da População", short: 'Pop', type: 'int', default: 100, min: 2 },
+            { key: 'tournamentSize', label: "Tamanho do Torneio (rank e aglomeração)", short: 'k', type: 'int', default: 2, min: 1, live: true },
+            { key: 'crossover', label: "Crossover", short: 'Cx', type: 'choice', default: 'sbx', options: crossoverOptions, live: true },
+            { key: 'crossoverRate', label: "Taxa de Crossover", short: 'pc', type: 'number', default: 0.9, step: 0.1, min: 0, max: 1, live: true },
+            { key: 'blxAlpha', label: "α do BLX", short: 'α', type: 'number', default: 0.5, step: 0.1, min: 0, when: { crossover: ['blx'] }, live: true },
+            { key: 'sbxEta', label: "η do SBX", short: 'η', type: 'number', default: 15, step: 1, min: 0, when: { crossover: ['sbx'] }, live: true },
+            { key: 'mutation', label: "Mutação", short: 'Mut', type: 'choice', default: 'polynomial', options: mutationOptions },
+            { key: 'mutationRate', label: "Taxa de Mutação (por gene)", short: 'pm', type: 'number', default: 0.1, step: 0.01, min: 0, max: 1, live: true },
+            { key: 'mutationSigma', label: "σ da Mutação (fração do domínio)", short: 'σ', type: 'number', default: 0.05, step: 0.01, min: 0, when: { mutation: ['gaussian', 'adaptive'] }, live: true },
+            { key: 'polynomialEta', label: "η da Mutação Polinomial", short: 'ηm', type: 'number', default: 20, step: 1, min: 0, when: { mutation: ['polynomial'] }, live: true }
+        ],
+        summary: ['popSize', 'tournamentSize', 'crossover', 'crossoverRate', 'blxAlpha', 'sbxEta',
+            'mutation', 'mutationRate', 'mutationSigma', 'polynomialEta']
+    },
+    mopso: {
+        name: "MOPSO (multiobjetivo)",
+        label: 'MOPSO',
+        color: '#16a085', // Teal
+        Class: MOPSO,
+        persistent: true,
+        multiObjective: true,
+        params: [
+            { key: 'swarmSize', label: "Tamanho do Enxame", short: 'Swarm', type: 'int', default: 100, min: 1 },
+            { key: 'archiveSize', label: "Tamanho do Arquivo Externo", short: 'Arquivo', type: 'int', default: 100, min: 1 },
+            { key: 'mutationRate', label: "Taxa de Mutação (0 = sem mutação)", short: 'pm', type: 'number', default: 0.5, step: 0.1, min: 0, max: 1, live: true },
+            { key: 'inertia', label: "Regra de Velocidade", short: 'Vel', type: 'choice', default: 'constant', options: inertiaOptions, live: true },
+            { key: 'w', label: "Inércia (w)", short: 'w', type: 'number', default: 0.4, step: 0.1, when: { inertia: ['constant', 'linear'] }, live: true },
+            { key: 'wEnd', label: "Inércia Final (ao fim do orçamento)", short: 'w final', type: 'number', default: 0.1, step: 0.1, when: { inertia: ['linear'] }, live: true },
+            { key: 'c1', label: "Cognitivo (c1)", short: 'c1', type: 'number', default: 1.5, step: 0.1, live: true },
+            { key: 'c2', label: "Social (c2, rumo ao líder do arquivo)", short: 'c2', type: 'number', default: 1.5, step: 0.1, live: true },
+            { key: 'maxVelocity', label: "Velocidade Máxima (fração do domínio, 0 = sem limite)", short: 'vmax', type: 'number', default: 0, step: 0.05, min: 0, live: true },
+            { key: 'boundary', label: "Tratamento de Fronteira", short: 'Fronteira', type: 'choice', default: 'clamp', options: boundaryOptions, live: true }
+        ],
+        summary: ['swarmSize', 'archiveSize', 'mutationRate', 'inertia', 'w', 'wEnd', 'c1', 'c2', 'maxVelocity', 'boundary']
+    }
+};
+
+// Whether a parameter matters given the other values, see `when`
+function paramApplies(param, values) {
+    return !param.when || Object.entries(param.when).every(([key, allowed]) => allowed.includes(values[key]));
+}
+
+// Short summary of a parameter set for the results tables, e.g. "Pop=50, Sel=Torneio, k=3"
+function describeAlgorithmParams(algoType, values) {
+    const entry = algorithms[algoType];
+    return entry.summary
+        .map(key => entry.params.find(param => param.key === key))
+        .filter(param => paramApplies(param, values))
+        .map(param => {
+            let value = values[param.key];
+            if (param.type === 'choice') {
+                const option = param.options.find(o => o.value === value);
+                value = option ? option.short || option.label : value;
+            }
+            return `${param.short}=${value}`;
+        }).join(', ');
+}
+
+// Throws unless `value` suits the parameter: one of its options, or a
+// number (whole for 'int') within its min/max
+function checkParam(algoType, param, value) {
+    const name = `${algorithms[algoType].label}: "${param.label}"`;
+    if (param.type === 'boolean') {
+        if (typeof value !== 'boolean') throw new Error(`${name} espera verdadeiro ou falso.`);
+    } else if (param.type === 'choice') {
+        if (!param.options.some(option => option.value === value)) throw new Error(`${name} não aceita "${value}".`);
+    } else {
+        if (typeof value !== 'number' || !Number.isFinite(value)) throw new Error(`${name} espera um número.`);
+        if (param.type === 'int' && !Number.isInteger(value)) throw new Error(`${name} espera um número inteiro.`);
+        if (param.min !== undefined && value < param.min) throw new Error(`${name} deve ser ≥ ${param.min}.`);
+        if (param.max !== undefined && value > param.max) throw new Error(`${name} deve ser ≤ ${param.max}.`);
+    }
+}
+
+// Parameters with the schema defaults filled in for anything missing. Given
+// values are checked against the schema, see checkParam()
+function algorithmParams(algoType, params = {}) {
+    const values = {};
+    algorithms[algoType].params.forEach(param => {
+        if (!(param.key in params)) {
+            values[param.key] = param.default;
+            return;
+        }
+        checkParam(algoType, param, params[param.key]);
+        values[param.key] = params[param.key];
+    });
+    return values;
+}
+
+// --- Optimizer Factory ---
+
+// Run config: { algorithm: registry key | 'race', members (race only): [keys],
+//               function: spec, dimensions, seed, maxIterations,
+//               stopping: { maxEvaluations, targetError, stagnation, timeLimit },
+//               dynamics: see dynamicsOf(), constraints: see constraintsOf(),
+//               parameters: { [key]: params }, initialPopulation: see initialPopulationOf(),
+//               tuning: [{ step, parameters: { [key]: params } }], see tuneOptimizer() }
+function createAlgorithm(algoType, problem, params, rng) {
+    const entry = algorithms[algoType];
+    if (!entry) throw new Error(`Algoritmo desconhecido "${algoType}".`);
+    const algo = new entry.Class(problem, algorithmParams(algoType, params), rng);
+    algo.type = algoType;
+    algo.label = entry.label;
+    algo.color = entry.color;
+    algo.persistent = !!entry.persistent;
+    return algo;
+}
+
+// On a dynamic landscape each algorithm gets its own copy, so race members
+// see it move with their own iteration counts. Constraints sit on top, fixed
+// in space, with their own record of the best feasible point per algorithm.
+function createMember(algoType, problem, params, rng, { dynamics, constraints, seed }) {
+    checkObjectives(algoType, problem.fn, dynamics, constraints);
+    const landscape = dynamics ? new DynamicLandscape(problem.fn, dynamics, problem.dimensions, seed) : null;
+    let fn = landscape ? landscape.fn : problem.fn;
+    const handler = constraints ? new ConstraintHandler(fn, constraints) : null;
+    if (handler) fn = handler.fn;
+
+    const algo = createAlgorithm(algoType, { ...problem, fn }, params, rng);
+    if (landscape) {
+        algo.landscape = landscape;
+        landscape.observe(algo); // The initial population
+    }
+    if (handler) algo.constraints = handler;
+    return algo;
+}
+
+// The bi-objective problems and the multi-objective algorithms only go together,
+// on the plain problem
+function checkObjectives(algoType, fn, dynamics, constraints) {
+    const entry = algorithms[algoType];
+    if (!entry) return;
+    if (fn.objectives && !entry.multiObjective) {
+        throw new Error(`"${fn.name}" tem dois objetivos; use NSGA-II ou MOPSO.`);
+    }
+    if (!fn.objectives && entry.multiObjective) {
+        throw new Error(`${entry.label} otimiza os problemas da categoria Multiobjetivo.`);
+    }
+    if (fn.objectives && (dynamics || constraints || fn.transform)) {
+        throw new Error("O modo multiobjetivo não combina com paisagem dinâmica, restrições nem deslocamento/rotação.");
+    }
+}
+
+// Hands an algorithm its criteria; the initial population may already meet them
+function attachTermination(algo, criteria, globalMin) {
+    algo.termination = new Termination(criteria, globalMin);
+    algo.stopReason = algo.termination.check(algo);
+    return algo;
+}
+
+// Hand-placed starting positions, [[x1, ..., xD], ...], or null for the
+// uniform spread. Points outside the domain are pulled back onto its edge.
+function initialPopulationOf(config, fn) {
+    const positions = config.initialPopulation;
+    if (!positions || positions.length === 0) return null;
+    const [lower, upper] = fn.bounds;
+    return positions.map(position => {
+        if (!Array.isArray(position) || position.length !== config.dimensions || !position.every(Number.isFinite)) {
+            throw new Error(`A população inicial desenhada não tem ${config.dimensions} coordenadas por ponto; desenhe-a de novo.`);
+        }
+        return position.map(x => Math.max(lower, Math.min(upper, x)));
+    });
+}
+
+// Algorithms racing on the same landscape with a matched evaluation budget:
+// the larger population gets `maxIterations` generations, the others as many
+// as fit in the same number of evaluations (or the explicit evaluation
+// budget, if lower). All draw from one random stream.
+function createOptimizer(config) {
+    const criteria = stoppingCriteria(config);
+    const fn = resolveFunction(config.function);
+    const problem = {
+        fn: fn,
+        dimensions: config.dimensions,
+        maxIterations: criteria.maxIterations,
+        maxEvaluations: criteria.maxEvaluations,
+        start: initialPopulationOf(config, fn)
+    };
+    const rng = createRng(config.seed);
+    const extras = { dynamics: dynamicsOf(config), constraints: constraintsOf(config), seed: config.seed };
+    if (config.algorithm !== 'race') {
+        const algo = createMember(config.algorithm, problem, config.parameters[config.algorithm], rng, extras);
+        return attachTermination(algo, criteria, globalMinOf(fn, config.dimensions));
+    }
+
+    const members = config.members.map(type => createMember(type, problem, config.parameters[type], rng, extras));
+    const largest = Math.max(...members.map(algo => algo.getPopulation().length));
+    // The initial population is evaluated too, hence the extra generation
+    const budgets = [criteria.maxEvaluations, criteria.maxIterations > 0 ? (criteria.maxIterations + 1) * largest : 0]
+        .filter(budget => budget > 0);
+    const memberCriteria = {
+        ...criteria,
+        maxIterations: 0,
+        maxEvaluations: budgets.length > 0 ? Math.min(...budgets) : 0
+    };
+    members.forEach(algo => attachTermination(algo, memberCriteria, globalMinOf(fn, config.dimensions)));
+    return new Race(members);
+}
+
+// Algorithms animated by a run: the race members, or the algorithm itself
+function algorithmMembers(algo) {
+    return algo.members || [algo];
+}
+
+function stepOptimizer(optimizer) {
+    if (optimizer.members) optimizer.step();
+    else advance(optimizer);
+}
+
+function isFinished(optimizer) {
+    return algorithmMembers(optimizer).every(algo => algo.stopReason);
+}
+
+// Changes the live parameters of a running algorithm from its next iteration
+// on; the others are left alone. Returns the previous values of the ones that
+// changed. A class with state derived from its parameters recomputes it in
+// `retune()`, and if that rejects the new values the old ones are put back.
+// Values outside the schema (see checkParam()) change nothing.
+function tuneAlgorithm(algo, values) {
+    const previous = {};
+    const changes = algorithms[algo.type].params.filter(param =>
+        param.live && param.key in values && algo[param.key] !== values[param.key]);
+    changes.forEach(param => checkParam(algo.type, param, values[param.key]));
+    changes.forEach(param => {
+        previous[param.key] = algo[param.key];
+        algo[param.key] = values[param.key];
+    });
+    if (algo.retune) {
+        try {
+            algo.retune();
+        } catch (e) {
+            Object.assign(algo, previous);
+            throw e;
+        }
+    }
+    return previous;
+}
+
+// Applies one tuning event, { [registry key]: params }, to the members of
+// each algorithm it names; a run config replays them by step number, counted
+// from 0 before the first step. Returns the previous values per key for the
+// members that changed. All or none change.
+function tuneOptimizer(optimizer, parameters) {
+    const changed = [];
+    try {
+        algorithmMembers(optimizer).forEach(algo => {
+            if (parameters[algo.type]) changed.push([algo, tuneAlgorithm(algo, parameters[algo.type])]);
+        });
+    } catch (e) {
+        changed.forEach(([algo, previous]) => Object.assign(algo, previous));
+        throw e;
+    }
+    const previous = {};
+    changed.forEach(([algo, values]) => {
+        if (Object.keys(values).length > 0) previous[algo.type] = values;
+    });
+    return previous;
+}
+
+// Deep copy of an individual, whatever fields the algorithm keeps on it
+function cloneIndividual(ind) {
+    const copy = {};
+    for (const key in ind) {
+        copy[key] = Array.isArray(ind[key]) ? ind[key].slice() : ind[key];
+    }
+    return copy;
+}
+
+// Mean Euclidean distance of the population to its centroid, over all dimensions
+function populationDiversity(population) {
+    const n = population.length;
+    const centroid = population[0].position.map((_, d) => population.reduce((sum, ind) => sum + ind.position[d], 0) / n);
+    return mean(population.map(ind => Math.sqrt(ind.position.reduce((sum, x, d) => sum + (x - centroid[d]) ** 2, 0))));
+}
+
+function convergenceOf(algo) {
+    const population = algo.getPopulation();
+    const fitnesses = population.map(p => p.fitness);
+    const entry = {
+        best: algo.bestFitness,
+        iterBest: Math.min(...fitnesses),
+        mean: mean(fitnesses),
+        worst: Math.max(...fitnesses),
+        evaluations: algo.evaluations,
+        diversity: populationDiversity(population)
+    };
+    if (algo.landscape) {
+        const { currentError, offlineError } = algo.landscape.state();
+        entry.currentError = currentError;
+        entry.offlineError = offlineError;
+    }
+    if (algo.constraints) {
+        const { bestFeasible, violation, feasibleShare } = algo.constraints.state(algo);
+        entry.bestFeasible = bestFeasible;
+        entry.violation = violation;
+        entry.feasibleShare = feasibleShare;
+    }
+    // Multi-objective: best and iteration best follow the IGD, mean and worst
+    // the distances of the individuals to the true front
+    if (algo.front) {
+        entry.iterBest = algo.igd;
+        entry.igd = algo.igd;
+        entry.hypervolume = algo.hypervolume;
+        entry.frontSize = algo.front.length;
+    }
+    return entry;
+}
+
+// Plain-data state of an optimizer, safe to post to another thread:
+// { finished, members: [{ label, color, iterations, evaluations, bestFitness,
+//   bestPosition, population, convergence, stopReason, persistent,
+//   landscape (dynamic runs, see DynamicLandscape.state()),
+//   constraints (constrained runs, see ConstraintHandler.state()),
+//   pareto (multi-objective runs, see paretoState()), front ([f1, f2] of the
+//   non-dominated set, multi-objective runs) }] }
+function snapshotOf(optimizer) {
+    return {
+        finished: isFinished(optimizer),
+        members: algorithmMembers(optimizer).map(algo => ({
+            label: algo.label,
+            color: algo.color,
+            persistent: algo.persistent,
+            iterations: algo.iterations,
+            evaluations: algo.evaluations,
+            bestFitness: algo.bestFitness,
+            bestPosition: algo.bestPosition.slice(),
+            population: algo.getPopulation().map(cloneIndividual),
+            convergence: convergenceOf(algo),
+            stopReason: algo.stopReason,
+            landscape: algo.landscape ? algo.landscape.state() : null,
+            constraints: algo.constraints ? algo.constraints.state(algo) : null,
+            pareto: algo.front ? paretoState(algo) : null,
+            front: algo.front ? algo.front.map(m => m.objectives.slice()) : null
+        }))
+    };
+}
+
+// Runs a whole config without animation and returns the final results, with
+// each member's convergence entry per iteration (see convergenceOf()) if asked
+function runHeadless(config, recordConvergence = false) {
+    if (!isBounded(stoppingCriteria(config))) {
+        throw new Error("Defina um máximo de iterações, de avaliações ou um tempo limite.");
+    }
+    const optimizer = createOptimizer(config);
+    const members = algorithmMembers(optimizer);
+    const curves = members.map(algo => (recordConvergence ? [convergenceOf(algo)] : null));
+    const tuning = config.tuning || [];
+    for (let step = 0; !isFinished(optimizer); step++) {
+        tuning.filter(event => event.step === step).forEach(event => tuneOptimizer(optimizer, event.parameters));
+        stepOptimizer(optimizer);
+        if (recordConvergence) members.forEach((algo, i) => curves[i].push(convergenceOf(algo)));
+    }
+    return {
+        members: members.map((algo, i) => ({
+            label: algo.label,
+            iterations: algo.iterations,
+            evaluations: algo.evaluations,
+            bestFitness: algo.bestFitness,
+            bestPosition: algo.bestPosition.slice(),
+            stopReason: algo.stopReason,
+            landscape: algo.landscape ? algo.landscape.state() : null,
+            constraints: algo.constraints ? algo.constraints.state(algo) : null,
+            pareto: algo.front ? paretoState(algo) : null,
+            convergence: curves[i]
+        }))
+    };
+}
+
+// What a headless run is judged by: its best fitness or, on a dynamic
+// landscape where that goes stale, its offline error. Under constraints only
+// the best feasible fitness counts (Infinity when none was found), and a
+// multi-objective run is judged by the IGD of its final front.
+function scoreOf(member) {
+    if (member.pareto) return member.pareto.igd;
+    if (member.landscape) return member.landscape.offlineError;
+    if (member.constraints) return member.constraints.bestFeasible !== null ? member.constraints.bestFeasible : Infinity;
+    return member.bestFitness;
+}
+
+// --- Parameter Sweeps ---
+
+// Numeric parameters of an algorithm that a sweep can vary, given the
+// current values (parameters of operators not in use are left out)
+function sweepableParams(algoType, values) {
+    return algorithms[algoType].params.filter(param =>
+        (param.type === 'int' || param.type === 'number') && paramApplies(param, values));
+}
+
+// Sweep: { x: axis, y: axis, mode: 'grid' | 'random', samples (random only) },
+// axis: { key, min, max, steps }. Grid search takes every pair of the `steps`
+// evenly spaced values per axis; random search draws `samples` points over
+// the ranges. Each point { x, y, cell: [col, row] } falls into the grid cell
+// of the nearest grid values, so both searches fill the same heatmap.
+// Integer parameters are rounded.
+function sweepPoints(algoType, sweep, rng) {
+    const axes = [sweep.x, sweep.y].map(axis => {
+        const param = algorithms[algoType].params.find(p => p.key === axis.key);
+        if (!param) throw new Error(`Parâmetro desconhecido "${axis.key}".`);
+        const steps = Math.max(1, Math.floor(axis.steps));
+        // Grid values are trimmed of float noise like 0.6000000000000001
+        const round = param.type === 'int' ? Math.round : (v => Number(v.toPrecision(12)));
+        checkParam(algoType, param, round(axis.min));
+        checkParam(algoType, param, round(axis.max));
+        return {
+            steps,
+            valueAt: i => round(steps > 1 ? axis.min + (axis.max - axis.min) * i / (steps - 1) : axis.min),
+            cellOf: v => (steps > 1 && axis.max !== axis.min
+                ? Math.max(0, Math.min(steps - 1, Math.round((v - axis.min) / (axis.max - axis.min) * (steps - 1))))
+                : 0),
+            draw: () => round(uniform(rng, Math.min(axis.min, axis.max), Math.max(axis.min, axis.max)))
+        };
+    });
+    const [ax, ay] = axes;
+
+    const points = [];
+    if (sweep.mode === 'random') {
+        for (let i = 0; i < sweep.samples; i++) {
+            const x = ax.draw();
+            const y = ay.draw();
+            points.push({ x, y, cell: [ax.cellOf(x), ay.cellOf(y)] });
+        }
+    } else {
+        for (let row = 0; row < ay.steps; row++) {
+            for (let col = 0; col < ax.steps; col++) {
+                points.push({ x: ax.valueAt(col), y: ay.valueAt(row), cell: [col, row] });
+            }
+        }
+    }
+    return points;
+}
+
+// --- Rasterization ---
+
+// Evaluates the landscape for the canvas background. The viewed pair of
+// dimensions spans `view` ({ x: [min, max], y: [min, max] }, the whole domain
+// by default) and the others stay at `center`. A dynamic landscape is drawn
+// noise-free, translated by its current `offset`. Values come in `block` x
+// `block` pixel cells (cols x rows, row-major) along with their finite
+// min/max, as used for color normalization. With `constraints` (see
+// constraintsOf()), `infeasible` flags the cells that violate them; the thin
+// band an equality allows is kept visible wherever its sign flips.
+function rasterize({ function: spec, center, viewDimX, viewDimY, width, height, block, view, offset, constraints }) {
+    const base = resolveFunction(spec);
+    const fn = offset ? { func: v => base.func(v.map((x, i) => x - offset[i])) } : base;
+    const { x: rangeX, y: rangeY } = view || { x: base.bounds, y: base.bounds };
+    const point = center.slice();
+
+    const cols = Math.ceil(width / block);
+    const rows = Math.ceil(height / block);
+    const values = new Float64Array(cols * rows);
+    let minVal = Infinity;
+    let maxVal = -Infinity;
+    for (let row = 0; row < rows; row++) {
+        point[viewDimY] = map(row * block, 0, height, rangeY[0], rangeY[1]);
+        for (let col = 0; col < cols; col++) {
+            point[viewDimX] = map(col * block, 0, width, rangeX[0], rangeX[1]);
+            const val = fn.func(point);
+            values[row * cols + col] = val;
+            if (!Number.isFinite(val)) continue;
+            if (val < minVal) minVal = val;
+            if (val > maxVal) maxVal = val;
+        }
+    }
+    const infeasible = constraints ? rasterizeConstraints(constraints, point, viewDimX, viewDimY, cols, rows, block, width, height, rangeX, rangeY) : null;
+    return { values, cols, rows, block, minVal, maxVal, infeasible };
+}
+
+function rasterizeConstraints(constraints, point, viewDimX, viewDimY, cols, rows, block, width, height, rangeX, rangeY) {
+    const compiled = constraints.definitions.map(compileConstraint);
+    const inequalities = violationFunction({ ...constraints, definitions: compiled.filter(c => c.type === 'ineq').map(c => c.source) });
+    const equalities = compiled.filter(c => c.type === 'eq');
+    const infeasible = new Uint8Array(cols * rows);
+    const signs = equalities.map(() => new Int8Array(cols * rows));
+    for (let row = 0; row < rows; row++) {
+        point[viewDimY] = map(row * block, 0, height, rangeY[0], rangeY[1]);
+        for (let col = 0; col < cols; col++) {
+            point[viewDimX] = map(col * block, 0, width, rangeX[0], rangeX[1]);
+            const cell = row * cols + col;
+            let violated = inequalities(point) > 0;
+            equalities.forEach(({ g }, k) => {
+                const value = g(point);
+                signs[k][cell] = Math.sign(value);
+                if (!(Math.abs(value) <= constraints.tolerance)) violated = true;
+            });
+            infeasible[cell] = violated ? 1 : 0;
+        }
+    }
+    // A cell an equality's zero line crosses, and that meets everything else, stays clear
+    if (equalities.length > 0) {
+        const crossed = (sign, cell) => (cell % cols < cols - 1 && sign[cell] !== sign[cell + 1]) ||
+            (cell + cols < cols * rows && sign[cell] !== sign[cell + cols]);
+        for (let cell = 0; cell < cols * rows; cell++) {
+            if (!infeasible[cell]) continue;
+            const onLines = signs.every(sign => sign[cell] === 0 || crossed(sign, cell));
+            if (onLines) {
+                point[viewDimX] = map((cell % cols) * block, 0, width, rangeX[0], rangeX[1]);
+                point[viewDimY] = map(Math.floor(cell / cols) * block, 0, height, rangeY[0], rangeY[1]);
+                if (!(inequalities(point) > 0)) infeasible[cell] = 0;
+            }
+        }
+    }
+    return infeasible;
+}
+
+// --- Session ---
+
+// Request handling shared by the Web Worker and the main-thread fallback.
+// A session holds at most one live optimizer; the other requests are stateless.
+function createSession() {
+    let optimizer = null;
+
+    const handlers = {
+        init(config) {
+            optimizer = createOptimizer(config);
+            return snapshotOf(optimizer);
+        },
+        step({ count }) {
+            if (!optimizer) throw new Error("Nenhuma execução em andamento.");
+            for (let i = 0; i < count; i++) stepOptimizer(optimizer);
+            return snapshotOf(optimizer);
+        },
+        tune({ parameters }) {
+            if (!optimizer) throw new Error("Nenhuma execução em andamento.");
+            return tuneOptimizer(optimizer, parameters);
+        },
+        run(config) {
+            return runHeadless(config);
+        },
+        raster(request) {
+            return rasterize(request);
+        },
+        front({ function: spec, dimensions }) {
+            return referenceFrontOf(resolveFunction(spec), dimensions);
+        },
+        dispose() {
+            optimizer = null;
+            return null;
+        }
+    };
+
+    return {
+        handle(type, payload) {
+            if (!handlers[type]) throw new Error(`Requisição desconhecida "${type}".`);
+            return handlers[type](payload);
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        functions, functionCategories, globalMinOf, transformFunction, compileExpression, buildCustomFunction,
+        customDefinition, resolveFunction, optimaOf,
+        createRng, uniform, gaussian, map,
+        mean, median, stdDev, summarize, wilcoxonRankSum,
+        algorithms, algorithmParams, checkParam, paramApplies, describeAlgorithmParams, GA, PSO, DE, CMAES, SA, NSGA2, MOPSO, Race,
+        dominates, nondominatedSort, referenceFrontOf, invertedGenerationalDistance, hypervolume,
+        stoppingCriteria, isBounded, stopReasons, describeStopping, Termination, dynamicsOf, describeDynamics, DynamicLandscape,
+        constraintsOf, constraintMethods, constraintPresets, compileConstraint, violationFunction, ConstraintHandler,
+        createOptimizer, stepOptimizer, isFinished, tuneAlgorithm, tuneOptimizer, snapshotOf, runHeadless, scoreOf, populationDiversity, sweepableParams, sweepPoints,
+        rasterize, createSession
+    };
+}
@@ -6,686 +6,3896 @@ const height = canvas.height;
 
 let isRunning = false;
 let isReplaying = false;
+let replayState = null; // { tracks, tuning, frame, paused, timer } while a replay is loaded
 let animationId = null;
-let currentAlgorithm = null;
+let currentConfig = null; // Run config sent to the engine, see createOptimizer()
+let currentSnapshot = null; // Latest engine state of the run, see snapshotOf()
+let pendingStep = null; // Step request in flight, if any
+let loopGeneration = 0; // Bumped on stop so late answers don't restart the loop
 let iteration = 0;
-let bestGlobalFitness = Infinity;
-let bestGlobalPosition = null;
 let executionCount = 0;
+let currentSeed = null;
+let isBatchRunning = false;
 
 // History storage
-let currentRunHistory = [];
-let executionHistories = {}; // Map execution ID -> { history: [], color: string, functionName: string }
+// A run records one track per algorithm it animates (two in a GA vs PSO race).
+// Track: { label: string, color: string, persistent (see the algorithm registry),
+//          history: [positions per iteration], bests: [best position per iteration],
+//          details: [{ velocity?, pbest?, parents? } per iteration, one entry per individual],
+//          convergence: [{ best, iterBest, mean, worst, evaluations, diversity } per iteration],
+//          offsets (dynamic landscapes): [landscape offset per iteration],
+//          fronts, objectives (multi-objective runs): [[f1, f2] of the non-dominated
+//          set, and of the population, per iteration] }
+let currentRunTracks = [];
+let executionHistories = {}; // Map execution ID -> run record, see logResult()
+let batchResults = []; // Summaries of headless batch experiments
 
 // --- Benchmark Functions ---
-const functions = {
-    sphere: {
-        name: "Sphere",
-        func: (x, y) => x*x + y*y,
-        bounds: [-5.12, 5.12],
-        globalMin: 0
-    },
-    rastrigin: {
-        name: "Rastrigin",
-        func: (x, y) => {
-            const A = 10;
-            return 2 * A + (x*x - A * Math.cos(2 * Math.PI * x)) + (y*y - A * Math.cos(2 * Math.PI * y));
-        },
-        bounds: [-5.12, 5.12],
-        globalMin: 0
-    },
-    schwefel: {
-        name: "Schwefel",
-        func: (x, y) => {
-            return 418.9829 * 2 - (x * Math.sin(Math.sqrt(Math.abs(x))) + y * Math.sin(Math.sqrt(Math.abs(y))));
-        },
-        bounds: [-500, 500],
-        globalMin: 0
-    },
-    rosenbrock: {
-        name: "Rosenbrock",
-        func: (x, y) => {
-            return Math.pow(1 - x, 2) + 100 * Math.pow(y - x*x, 2);
-        },
-        bounds: [-2, 2], // Usually evaluated on smaller range for visualization
-        globalMin: 0
-    },
-    ackley: {
-        name: "Ackley",
-        func: (x, y) => {
-            return -20 * Math.exp(-0.2 * Math.sqrt(0.5 * (x*x + y*y))) - Math.exp(0.5 * (Math.cos(2*Math.PI*x) + Math.cos(2*Math.PI*y))) + Math.E + 20;
-        },
-        bounds: [-32.768, 32.768], // Standard bounds
-        globalMin: 0
+// `functions`, the expression parser and the algorithms live in engine.js.
+// The selector picks a function; `currentFunction` is that function resolved
+// with its shift/rotation, see applyFunction().
+let currentFunctionKey = 'sphere';
+let currentFunction = functions.sphere;
+
+// Problem dimension and the pair of dimensions shown on the canvas
+let dimensions = 2;
+let viewDimX = 0;
+let viewDimY = 1;
+
+// --- Utils ---
+function readSeed() {
+    const seed = parseInt(document.getElementById('seedInput').value);
+    if (Number.isInteger(seed)) return seed >>> 0;
+    // Empty field: draw a fresh seed so the run can still be reproduced later
+    return Math.floor(Math.random() * 4294967296);
+}
+
+// Text for template HTML: run records may come from imported files and
+// localStorage, so nothing they hold is markup
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+// --- Engine ---
+// Optimizers and background rasterization run in a Web Worker
+// (engine-worker.js). Where workers are unavailable, e.g. pages opened from
+// file://, the same session runs on the main thread behind the same
+// asynchronous interface.
+
+// Requests that build up the session's run, from its 'init' on
+const RUN_REQUESTS = ['init', 'step', 'tune'];
+
+class EngineClient {
+    constructor(workerUrl) {
+        this.requests = new Map(); // id -> { type, payload, resolve, reject }
+        this.runHistory = []; // [{ type, payload }] answered by the worker for the current run
+        this.nextId = 1;
+        this.session = null;
+        this.worker = null;
+        try {
+            this.worker = new Worker(workerUrl);
+            this.worker.onmessage = (e) => this.settle(e.data);
+            this.worker.onerror = (e) => {
+                e.preventDefault();
+                this.fallBack();
+            };
+        } catch (e) {
+            this.fallBack();
+        }
+    }
+
+    call(type, payload = null) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.requests.set(id, { type, payload, resolve, reject });
+            this.dispatch(id);
+        });
+    }
+
+    dispatch(id) {
+        const { type, payload } = this.requests.get(id);
+        if (this.worker) {
+            this.worker.postMessage({ id, type, payload });
+            return;
+        }
+        // Answer on a later task, like the worker would
+        setTimeout(() => {
+            try {
+                this.settle({ id, result: this.session.handle(type, payload) });
+            } catch (e) {
+                this.settle({ id, error: e.message });
+            }
+        }, 0);
+    }
+
+    settle({ id, result, error }) {
+        const request = this.requests.get(id);
+        if (!request) return;
+        this.requests.delete(id);
+        if (error !== undefined) {
+            request.reject(new Error(error));
+            return;
+        }
+        if (this.worker) {
+            if (request.type === 'init' || request.type === 'dispose') this.runHistory = [];
+            if (RUN_REQUESTS.includes(request.type)) this.runHistory.push({ type: request.type, payload: request.payload });
+        }
+        request.resolve(result);
+    }
+
+    // The worker couldn't be loaded or failed: handle everything here from
+    // now on. A run the worker held is rebuilt first by replaying its
+    // requests (runs are seeded, so it ends up in the same state) and the
+    // pending ones carry on from there.
+    fallBack() {
+        if (this.session) return;
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.session = createSession();
+        let restored = true;
+        try {
+            this.runHistory.forEach(({ type, payload }) => this.session.handle(type, payload));
+        } catch (e) {
+            restored = false;
+        }
+        this.runHistory = [];
+        [...this.requests.keys()].forEach(id => {
+            const { type } = this.requests.get(id);
+            if (!restored && type !== 'init' && RUN_REQUESTS.includes(type)) {
+                this.settle({ id, error: "O motor em segundo plano falhou e a execução não pôde ser retomada; reinicie-a." });
+            } else {
+                this.dispatch(id);
+            }
+        });
+    }
+}
+
+const engine = new EngineClient('engine-worker.js');
+
+// How the engine finds a function: built-ins by key, custom functions by
+// their definition, since the worker has its own copy of `functions`
+function functionSpec() {
+    const fn = functions[currentFunctionKey];
+    const spec = fn.isCustom ? { definition: customDefinition(fn) } : { key: currentFunctionKey };
+    const transform = readTransform();
+    if (transform) spec.transform = { ...transform, dimensions: dimensions };
+    return spec;
+}
+
+// Random shift/rotation chosen in the sidebar, or null
+function readTransform() {
+    const shift = document.getElementById('functionShift').checked;
+    const rotate = document.getElementById('functionRotate').checked;
+    if (!shift && !rotate) return null;
+    const seed = parseInt(document.getElementById('transformSeed').value);
+    return { shift, rotate, seed: Number.isInteger(seed) ? seed >>> 0 : 1 };
+}
+
+function setTransformControls(transform) {
+    document.getElementById('functionShift').checked = !!(transform && transform.shift);
+    document.getElementById('functionRotate').checked = !!(transform && transform.rotate);
+    if (transform) document.getElementById('transformSeed').value = transform.seed;
+    document.getElementById('transformSeedLabel').classList.toggle('hidden', !transform);
+}
+
+// Resolves the selected function with its transform and redraws the landscape;
+// resolves once the landscape is drawn
+function applyFunction() {
+    currentFunction = resolveFunction(functionSpec());
+    landscapeOffset = null;
+    showFunctionInfo();
+    resetView();
+    loadReferenceFront();
+    return drawBackground();
+}
+
+// Metadata line under the selector, e.g. "Multimodal, separável · f* = 0 em (0, 0)"
+function showFunctionInfo() {
+    const fn = currentFunction;
+    const parts = [];
+    if (fn.objectives) {
+        parts.push(`Biobjetivo, frente ${fn.shape} · fundo: f1 + f2`);
+        if (fn.dimensions) parts.push(`somente D = ${fn.dimensions}`);
+        document.getElementById('functionInfo').innerText = parts.join(' · ');
+        return;
+    }
+    if (fn.multimodal !== undefined) {
+        parts.push(`${fn.multimodal ? 'Multimodal' : 'Unimodal'}, ${fn.separable ? 'separável' : 'não separável'}`);
+    }
+    const format = x => String(Number(x.toPrecision(4)));
+    const optima = optimaOf(fn, dimensions).map(o => `(${o.slice(0, 3).map(format).join(', ')}${o.length > 3 ? ', …' : ''})`);
+    const where = optima.length > 1 ? ` em ${optima.length} pontos: ${optima.join(' ')}` : optima.length === 1 ? ` em ${optima[0]}` : '';
+    parts.push(`f* = ${format(globalMinOf(fn, dimensions))}${where}`);
+    if (fn.dimensions) parts.push(`somente D = ${fn.dimensions}`);
+    document.getElementById('functionInfo').innerText = parts.join(' · ');
+}
+
+// Built-in functions grouped by category, ahead of the custom ones
+function buildFunctionSelect() {
+    const select = document.getElementById('functionSelect');
+    const customGroup = document.getElementById('customFunctionGroup');
+    Object.entries(functionCategories).forEach(([category, label]) => {
+        const group = document.createElement('optgroup');
+        group.label = label;
+        Object.entries(functions)
+            .filter(([, fn]) => fn.category === category)
+            .forEach(([key, fn]) => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.innerText = fn.name;
+                group.appendChild(option);
+            });
+        select.insertBefore(group, customGroup);
+    });
+    select.value = currentFunctionKey;
+}
+
+// --- Visualization ---
+// Cache background to improve performance
+let backgroundCanvas = document.createElement('canvas');
+backgroundCanvas.width = width;
+backgroundCanvas.height = height;
+let bgCtx = backgroundCanvas.getContext('2d');
+
+// Redraw the slice every N iterations while it follows the best individual
+const SLICE_REDRAW_INTERVAL = 10;
+
+// Number of iso-contour levels drawn over the landscape
+const CONTOUR_LEVELS = 12;
+
+// Domain window shown on the canvas for the viewed pair of dimensions,
+// changed by zooming and panning: { x: [min, max], y: [min, max] }
+let view = null;
+
+// The window and slice center the cached background was drawn for
+let backgroundView = null;
+let backgroundCenter = null;
+
+function fullView() {
+    const bounds = currentFunction.bounds;
+    return { x: bounds.slice(), y: bounds.slice() };
+}
+
+function resetView() {
+    view = fullView();
+}
+
+function toCanvasX(x) {
+    return map(x, view.x[0], view.x[1], 0, width);
+}
+
+function toCanvasY(y) {
+    return map(y, view.y[0], view.y[1], 0, height);
+}
+
+// How far a dynamic landscape has moved away from the selected function, as
+// drawn on the canvas; null while it sits still
+let landscapeOffset = null;
+
+// Known optimum as a D-dimensional vector, or the middle of the domain for a
+// custom function whose optimum location isn't known
+function optimumVector() {
+    const optima = optimaOf(currentFunction, dimensions);
+    const bounds = currentFunction.bounds;
+    const optimum = optima.length > 0 ? optima[0] : new Array(dimensions).fill((bounds[0] + bounds[1]) / 2);
+    return landscapeOffset ? optimum.map((x, i) => x + landscapeOffset[i]) : optimum;
+}
+
+// Point whose remaining coordinates are held fixed when D > 2: the best
+// position found so far in slice mode, otherwise the known optimum.
+function sliceCenter(best = null) {
+    if (document.getElementById('viewMode').value === 'slice' && best) return best;
+    return optimumVector();
+}
+
+// Only the latest background request gets drawn
+let backgroundRequest = 0;
+
+// Layers last drawn by render(), redrawn over a background that arrives later
+let renderedLayers = [];
+
+// Last raster painted, kept so colormap, scale and contour changes don't
+// need a new evaluation of the landscape
+let shownRaster = null;
+
+// The engine evaluates the landscape; the answer is painted when it arrives
+function drawBackground(center = optimumVector()) {
+    const request = ++backgroundRequest;
+    const requestView = { x: view.x.slice(), y: view.y.slice() };
+    const offset = landscapeOffset;
+    const constraints = activeConstraints();
+    backgroundCenter = center;
+    return engine.call('raster', {
+        function: functionSpec(),
+        center: center,
+        viewDimX: viewDimX,
+        viewDimY: viewDimY,
+        width: width,
+        height: height,
+        view: requestView,
+        offset: offset,
+        constraints: constraints,
+        // Full resolution in 2D; higher dimensions cost D times more per
+        // evaluation, so they are drawn in 3x3 pixel blocks
+        block: dimensions > 2 ? 3 : 1
+    }).then(raster => {
+        if (request !== backgroundRequest) return;
+        shownRaster = { raster, view: requestView, offset };
+        paintBackground();
+        render(renderedLayers);
+    }).catch(e => console.warn("Não foi possível desenhar a função:", e.message));
+}
+
+// Zooming and panning fire many events; the landscape is evaluated again
+// once they settle, meanwhile the old background is stretched to fit
+let backgroundTimer = null;
+
+function scheduleBackground() {
+    clearTimeout(backgroundTimer);
+    backgroundTimer = setTimeout(() => drawBackground(backgroundCenter || optimumVector()), 120);
+}
+
+// A moving landscape is redrawn as often as the engine keeps up: while one
+// raster is on its way, the next waits and then takes the latest offset
+let followingLandscape = null; // { pending } while a redraw is in flight
+
+function followLandscape(offset) {
+    const current = landscapeOffset || offset.map(() => 0);
+    if (offset.every((x, i) => x === current[i])) return;
+    landscapeOffset = offset;
+    redrawMovedLandscape();
+}
+
+function redrawMovedLandscape() {
+    if (followingLandscape) {
+        followingLandscape.pending = true;
+        return;
+    }
+    followingLandscape = { pending: false };
+    const slice = dimensions > 2 && document.getElementById('viewMode').value === 'slice' && backgroundCenter;
+    drawBackground(slice ? backgroundCenter : optimumVector()).then(() => {
+        const pending = followingLandscape.pending;
+        followingLandscape = null;
+        if (pending) redrawMovedLandscape();
+    });
+}
+
+// Back to the landscape as selected, e.g. when a dynamic run is reset
+function settleLandscape() {
+    if (!landscapeOffset) return;
+    landscapeOffset = null;
+    drawBackground();
+}
+
+// --- Colormaps ---
+// Perceptual maps given by ten evenly spaced stops (matplotlib's), plus the
+// original gamma-corrected blue-to-yellow ramp
+const colormaps = {
+    viridis: { name: "Viridis", stops: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'] },
+    magma: { name: "Magma", stops: ['#000004', '#180f3d', '#440f76', '#721f81', '#9e2f7f', '#cd4071', '#f1605d', '#fd9668', '#feca8d', '#fcfdbf'] },
+    inferno: { name: "Inferno", stops: ['#000004', '#1b0c41', '#4a0c6b', '#781c6d', '#a52c60', '#cf4446', '#ed6925', '#fb9b06', '#f7d13d', '#fcffa4'] },
+    plasma: { name: "Plasma", stops: ['#0d0887', '#46039f', '#7201a8', '#9c179e', '#bd3786', '#d8576b', '#ed7953', '#fb9f3a', '#fdca26', '#f0f921'] },
+    classic: {
+        name: "Clássico",
+        color: t => {
+            const c = Math.pow(t, 0.3); // Gamma correction to emphasize minima
+            return [c * 255, (1 - Math.abs(c - 0.5) * 2) * 100 + 100, (1 - c) * 255];
+        }
+    }
+};
+
+const colormapTables = {};
+
+// 256-entry RGB lookup table of a colormap
+function colormapTable(key) {
+    if (colormapTables[key]) return colormapTables[key];
+    const colormap = colormaps[key];
+    const rgb = colormap.stops && colormap.stops.map(hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)));
+    const table = new Uint8ClampedArray(256 * 3);
+    for (let i = 0; i < 256; i++) {
+        const t = i / 255;
+        let color;
+        if (rgb) {
+            const pos = t * (rgb.length - 1);
+            const k = Math.min(Math.floor(pos), rgb.length - 2);
+            const f = pos - k;
+            color = rgb[k].map((c, j) => c + (rgb[k + 1][j] - c) * f);
+        } else {
+            color = colormap.color(t);
+        }
+        table.set(color.map(Math.round), i * 3);
+    }
+    colormapTables[key] = table;
+    return table;
+}
+
+// Maps function values to [0, 1] and back. The log scale measures the
+// height above the lowest value over six decades, which opens up flat
+// valleys like Rosenbrock's and deep basins like Ackley's.
+function landscapeScale(minVal, maxVal) {
+    const range = maxVal - minVal;
+    if (!(range > 0) || !Number.isFinite(range)) {
+        return { normalize: () => 0, valueAt: () => minVal };
+    }
+    if (!document.getElementById('landscapeLogScale').checked) {
+        return {
+            normalize: v => (v - minVal) / range,
+            valueAt: t => minVal + t * range
+        };
+    }
+    const offset = range * 1e-6;
+    const low = Math.log10(offset);
+    const high = Math.log10(range + offset);
+    return {
+        normalize: v => (Math.log10(Math.max(v - minVal, 0) + offset) - low) / (high - low),
+        valueAt: t => minVal + Math.pow(10, low + t * (high - low)) - offset
+    };
+}
+
+function paintBackground() {
+    if (!shownRaster) return;
+    const { raster: { values, cols, rows, block, minVal, maxVal, infeasible }, view: rasterView, offset } = shownRaster;
+    const imgData = bgCtx.createImageData(width, height);
+    const data = imgData.data;
+    const colormapKey = document.getElementById('colormapSelect').value;
+    const table = colormapTable(colormapKey);
+    const scale = landscapeScale(minVal, maxVal);
+    const levels = new Float32Array(values.length);
+
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            const px = col * block;
+            const py = row * block;
+            const val = values[row * cols + col];
+            // Infinite or undefined values take the top of the map
+            const norm = Number.isFinite(val) ? Math.max(0, Math.min(1, scale.normalize(val))) : 1;
+            levels[row * cols + col] = norm;
+            const entry = Math.round(norm * 255) * 3;
+            // Infeasible cells are washed out towards gray, on alternating diagonals
+            const shaded = infeasible && infeasible[row * cols + col];
+
+            for (let by = py; by < Math.min(py + block, height); by++) {
+                for (let bx = px; bx < Math.min(px + block, width); bx++) {
+                    const index = (by * width + bx) * 4;
+                    const keep = shaded ? ((bx + by) % 8 < 2 ? 0.15 : 0.35) : 1;
+                    const gray = (1 - keep) * 90;
+                    data[index] = table[entry] * keep + gray;         // R
+                    data[index + 1] = table[entry + 1] * keep + gray; // G
+                    data[index + 2] = table[entry + 2] * keep + gray; // B
+                    data[index + 3] = 255;                            // Alpha
+                }
+            }
+        }
+    }
+    bgCtx.putImageData(imgData, 0, 0);
+    backgroundView = rasterView;
+
+    if (document.getElementById('landscapeContours').checked) {
+        drawContours(levels, cols, rows, block);
+    }
+
+    // Global minimum markers, for every optimum whose location is known
+    const toX = x => map(x, rasterView.x[0], rasterView.x[1], 0, width);
+    const toY = y => map(y, rasterView.y[0], rasterView.y[1], 0, height);
+    const shift = i => (offset ? offset[i] : 0);
+    optimaOf(currentFunction, dimensions).forEach(optimum => {
+        bgCtx.beginPath();
+        bgCtx.arc(toX(optimum[viewDimX] + shift(viewDimX)), toY(optimum[viewDimY] + shift(viewDimY)), 5, 0, Math.PI * 2);
+        bgCtx.fillStyle = 'white';
+        bgCtx.fill();
+        bgCtx.strokeStyle = 'black';
+        bgCtx.lineWidth = 1;
+        bgCtx.stroke();
+    });
+
+    drawLegend(scale, table);
+}
+
+// Corners of a marching-squares cell are top-left 8, top-right 4,
+// bottom-right 2 and bottom-left 1; edges are top 0, right 1, bottom 2 and
+// left 3. Each case lists the edge pairs the iso-line crosses.
+const CONTOUR_SEGMENTS = [
+    [], [[3, 2]], [[2, 1]], [[3, 1]], [[0, 1]], [[3, 0], [2, 1]], [[0, 2]], [[3, 0]],
+    [[3, 0]], [[0, 2]], [[0, 1], [3, 2]], [[0, 1]], [[3, 1]], [[2, 1]], [[3, 2]], []
+];
+
+// Iso-lines at evenly spaced normalized levels, so they follow the color scale
+function drawContours(levels, cols, rows, block) {
+    bgCtx.beginPath();
+    for (let k = 1; k <= CONTOUR_LEVELS; k++) {
+        const t = k / (CONTOUR_LEVELS + 1);
+        for (let row = 0; row < rows - 1; row++) {
+            for (let col = 0; col < cols - 1; col++) {
+                const a = levels[row * cols + col];
+                const b = levels[row * cols + col + 1];
+                const c = levels[(row + 1) * cols + col + 1];
+                const d = levels[(row + 1) * cols + col];
+                const index = (a > t ? 8 : 0) | (b > t ? 4 : 0) | (c > t ? 2 : 0) | (d > t ? 1 : 0);
+                if (index === 0 || index === 15) continue;
+
+                const edgePoint = edge => {
+                    switch (edge) {
+                        case 0: return [col + (t - a) / (b - a), row];
+                        case 1: return [col + 1, row + (t - b) / (c - b)];
+                        case 2: return [col + (t - d) / (c - d), row + 1];
+                        default: return [col, row + (t - a) / (d - a)];
+                    }
+                };
+                CONTOUR_SEGMENTS[index].forEach(([from, to]) => {
+                    const [x1, y1] = edgePoint(from);
+                    const [x2, y2] = edgePoint(to);
+                    bgCtx.moveTo(x1 * block, y1 * block);
+                    bgCtx.lineTo(x2 * block, y2 * block);
+                });
+            }
+        }
+    }
+    bgCtx.strokeStyle = 'rgba(255, 255, 255, 0.45)';
+    bgCtx.lineWidth = 1;
+    bgCtx.stroke();
+}
+
+// Color bar next to the canvas, labelled with function values
+const legendCanvas = document.getElementById('legendCanvas');
+const legendCtx = legendCanvas.getContext('2d');
+
+function drawLegend(scale, table) {
+    const w = legendCanvas.width;
+    const h = legendCanvas.height;
+    const pad = 10;
+    const barWidth = 14;
+    legendCtx.fillStyle = 'white';
+    legendCtx.fillRect(0, 0, w, h);
+
+    // Low values at the bottom
+    for (let y = pad; y < h - pad; y++) {
+        const entry = Math.round((1 - (y - pad) / (h - 2 * pad - 1)) * 255) * 3;
+        legendCtx.fillStyle = `rgb(${table[entry]}, ${table[entry + 1]}, ${table[entry + 2]})`;
+        legendCtx.fillRect(4, y, barWidth, 1);
+    }
+    legendCtx.strokeStyle = '#7f8c8d';
+    legendCtx.lineWidth = 1;
+    legendCtx.strokeRect(4.5, pad + 0.5, barWidth - 1, h - 2 * pad - 1);
+
+    legendCtx.fillStyle = '#2c3e50';
+    legendCtx.font = '10px monospace';
+    legendCtx.textAlign = 'left';
+    legendCtx.textBaseline = 'middle';
+    const ticks = 6;
+    for (let i = 0; i <= ticks; i++) {
+        const t = i / ticks;
+        const y = pad + (1 - t) * (h - 2 * pad - 1);
+        legendCtx.fillRect(4 + barWidth, y, 3, 1);
+        legendCtx.fillText(scale.valueAt(t).toExponential(1), 8 + barWidth, y);
+    }
+}
+
+// Tick positions at a 1, 2 or 5 times a power of ten step
+function axisTicks(min, max, count) {
+    const rough = (max - min) / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const step = [1, 2, 5, 10].map(f => f * magnitude).find(s => s >= rough);
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+    const ticks = [];
+    for (let t = Math.ceil(min / step) * step; t <= max + step * 1e-9; t += step) {
+        ticks.push({ value: t, label: t.toFixed(decimals) });
+    }
+    return ticks;
+}
+
+// --- Convergence Chart ---
+const convCanvas = document.getElementById('convCanvas');
+const convCtx = convCanvas.getContext('2d');
+
+const convergenceSeries = [
+    { key: 'worst', label: 'Pior', color: '#e67e22', width: 1 },
+    { key: 'mean', label: 'Média', color: '#9b59b6', width: 1 },
+    { key: 'iterBest', label: 'Melhor da iteração', color: '#1abc9c', width: 1 },
+    { key: 'best', label: 'Melhor global', color: '#2c3e50', width: 2 }
+];
+
+const paretoSeries = [
+    { key: 'worst', label: 'Maior distância à frente', color: '#e67e22', width: 1 },
+    { key: 'mean', label: 'Distância média à frente', color: '#9b59b6', width: 1 },
+    { key: 'iterBest', label: 'IGD atual', color: '#1abc9c', width: 1 },
+    { key: 'best', label: 'Menor IGD', color: '#2c3e50', width: 2 }
+];
+
+// Last curves drawn, so toggling the scale can redraw them
+let shownConvergence = { tracks: [], upTo: 0, tuning: [] };
+
+// Plots the convergence of every track up to iteration `upTo`. A single run
+// shows all four series; a race shows best-so-far and iteration best per
+// algorithm against evaluations, since both consume the same budget. The
+// run's parameter changes are marked where they took effect. The diversity
+// chart below it follows along.
+function drawConvergence(tracks, upTo = Infinity, tuning = []) {
+    shownConvergence = { tracks, upTo, tuning };
+    drawDiversity(tracks, upTo);
+    const w = convCanvas.width;
+    const h = convCanvas.height;
+    const pad = { left: 60, right: 12, top: 12, bottom: 28 };
+    const plotW = w - pad.left - pad.right;
+    const plotH = h - pad.top - pad.bottom;
+
+    convCtx.fillStyle = 'white';
+    convCtx.fillRect(0, 0, w, h);
+
+    const length = Math.max(0, ...tracks.map(t => t.convergence.length));
+    if (length === 0) {
+        convCtx.fillStyle = '#95a5a6';
+        convCtx.font = '13px sans-serif';
+        convCtx.textAlign = 'center';
+        convCtx.textBaseline = 'middle';
+        convCtx.fillText('Sem dados de convergência', w / 2, h / 2);
+        return;
+    }
+
+    // Log scale plots the error to the known optimum so it can reach zero
+    const logScale = document.getElementById('chartLogScale').checked;
+    const globalMin = globalMinOf(currentFunction, dimensions);
+    const value = v => logScale ? Math.log10(Math.max(v - globalMin, 1e-16)) : v;
+
+    const isRace = tracks.length > 1;
+    // Multi-objective runs plot the IGD, see convergenceOf()
+    const series = tracks[0].convergence[0].igd !== undefined ? paretoSeries : convergenceSeries;
+    const lines = [];
+    tracks.forEach(track => {
+        if (isRace) {
+            lines.push({ track, key: 'best', label: `${track.label} melhor global`, color: track.color, width: 2 });
+            lines.push({ track, key: 'iterBest', label: `${track.label} melhor da iteração`, color: track.color, width: 1, dash: [4, 3] });
+        } else {
+            series.forEach(line => lines.push({ track, ...line }));
+        }
+    });
+    const xOf = (entry, i) => isRace ? entry.evaluations : i;
+
+    // Axis range covers the whole series so replays don't rescale while drawing
+    let yMin = Infinity;
+    let yMax = -Infinity;
+    let xMax = 1;
+    lines.forEach(line => {
+        line.track.convergence.forEach((entry, i) => {
+            const v = value(entry[line.key]);
+            if (v < yMin) yMin = v;
+            if (v > yMax) yMax = v;
+            xMax = Math.max(xMax, xOf(entry, i));
+        });
+    });
+    if (yMax - yMin === 0) {
+        yMin -= 1;
+        yMax += 1;
+    }
+    const toX = i => pad.left + (i / xMax) * plotW;
+    const toY = v => pad.top + (1 - (value(v) - yMin) / (yMax - yMin)) * plotH;
+
+    // Axes and ticks
+    convCtx.strokeStyle = '#bdc3c7';
+    convCtx.lineWidth = 1;
+    convCtx.fillStyle = '#7f8c8d';
+    convCtx.font = '10px monospace';
+    convCtx.textAlign = 'right';
+    convCtx.textBaseline = 'middle';
+    const ticks = 5;
+    for (let i = 0; i <= ticks; i++) {
+        const t = yMin + (yMax - yMin) * (i / ticks);
+        const y = pad.top + (1 - i / ticks) * plotH;
+        convCtx.beginPath();
+        convCtx.moveTo(pad.left, y);
+        convCtx.lineTo(pad.left + plotW, y);
+        convCtx.stroke();
+        const label = logScale ? `1e${t.toFixed(1)}` : t.toExponential(1);
+        convCtx.fillText(label, pad.left - 4, y);
+    }
+    convCtx.textAlign = 'center';
+    convCtx.textBaseline = 'top';
+    for (let i = 0; i <= ticks; i++) {
+        const it = Math.round(xMax * i / ticks);
+        convCtx.fillText(it, toX(it), pad.top + plotH + 4);
+    }
+    const xLabel = isRace ? 'avaliações' : 'iteração';
+    convCtx.fillText(logScale ? `${xLabel}  (eixo y: erro f - f*)` : xLabel, pad.left + plotW / 2, h - 12);
+
+    // Series
+    lines.forEach(line => {
+        const convergence = line.track.convergence;
+        const last = Math.min(upTo, convergence.length);
+        convCtx.beginPath();
+        for (let i = 0; i < last; i++) {
+            const x = toX(xOf(convergence[i], i));
+            const y = toY(convergence[i][line.key]);
+            if (i === 0) convCtx.moveTo(x, y);
+            else convCtx.lineTo(x, y);
+        }
+        convCtx.setLineDash(line.dash || []);
+        convCtx.strokeStyle = line.color;
+        convCtx.lineWidth = line.width;
+        convCtx.stroke();
+    });
+    convCtx.setLineDash([]);
+
+    // Parameter changes, after the iteration they were made at (in a race,
+    // at the evaluations of the algorithm changed)
+    convCtx.setLineDash([2, 3]);
+    convCtx.lineWidth = 1;
+    tuning.forEach(event => {
+        if (event.step >= upTo) return;
+        Object.keys(event.parameters).forEach(algoType => {
+            const entry = algorithms[algoType];
+            const track = isRace ? tracks.find(t => entry && t.label === entry.label) : tracks[0];
+            if (!track || !track.convergence[event.step]) return;
+            const x = toX(xOf(track.convergence[event.step], event.step));
+            convCtx.strokeStyle = isRace ? track.color : '#e67e22';
+            convCtx.beginPath();
+            convCtx.moveTo(x, pad.top);
+            convCtx.lineTo(x, pad.top + plotH);
+            convCtx.stroke();
+        });
+    });
+    convCtx.setLineDash([]);
+
+    // Legend
+    convCtx.font = '10px sans-serif';
+    convCtx.textAlign = 'left';
+    convCtx.textBaseline = 'middle';
+    lines.forEach((line, i) => {
+        const y = pad.top + 8 + i * 13;
+        const x = pad.left + plotW - 140;
+        convCtx.fillStyle = line.color;
+        convCtx.fillRect(x, y - 1, 12, line.dash ? 1 : 3);
+        convCtx.fillStyle = '#2c3e50';
+        convCtx.fillText(line.label, x + 16, y);
+    });
+}
+
+// --- Diversity Chart ---
+const divCanvas = document.getElementById('divCanvas');
+const divCtx = divCanvas.getContext('2d');
+
+// Mean distance to the centroid per track, on the same x axis as the
+// convergence chart; a curve collapsing early means premature convergence
+function drawDiversity(tracks, upTo = Infinity) {
+    const w = divCanvas.width;
+    const h = divCanvas.height;
+    const pad = { left: 60, right: 12, top: 10, bottom: 22 };
+    const plotW = w - pad.left - pad.right;
+    const plotH = h - pad.top - pad.bottom;
+
+    divCtx.fillStyle = 'white';
+    divCtx.fillRect(0, 0, w, h);
+
+    const series = tracks.filter(track => track.convergence.some(entry => entry.diversity !== undefined));
+    if (series.length === 0) {
+        divCtx.fillStyle = '#95a5a6';
+        divCtx.font = '13px sans-serif';
+        divCtx.textAlign = 'center';
+        divCtx.textBaseline = 'middle';
+        divCtx.fillText('Sem dados de diversidade', w / 2, h / 2);
+        return;
+    }
+
+    const isRace = tracks.length > 1;
+    const xOf = (entry, i) => isRace ? entry.evaluations : i;
+    let xMax = 1;
+    let yMax = 0;
+    series.forEach(track => track.convergence.forEach((entry, i) => {
+        xMax = Math.max(xMax, xOf(entry, i));
+        if (entry.diversity > yMax) yMax = entry.diversity;
+    }));
+    if (yMax === 0) yMax = 1;
+    const toX = x => pad.left + (x / xMax) * plotW;
+    const toY = v => pad.top + (1 - v / yMax) * plotH;
+
+    divCtx.strokeStyle = '#bdc3c7';
+    divCtx.lineWidth = 1;
+    divCtx.fillStyle = '#7f8c8d';
+    divCtx.font = '10px monospace';
+    divCtx.textAlign = 'right';
+    divCtx.textBaseline = 'middle';
+    const ticks = 3;
+    for (let i = 0; i <= ticks; i++) {
+        const v = yMax * i / ticks;
+        divCtx.beginPath();
+        divCtx.moveTo(pad.left, toY(v));
+        divCtx.lineTo(pad.left + plotW, toY(v));
+        divCtx.stroke();
+        divCtx.fillText(v.toPrecision(3), pad.left - 4, toY(v));
+    }
+    divCtx.textAlign = 'center';
+    divCtx.textBaseline = 'top';
+    divCtx.fillText(isRace ? 'avaliações' : 'iteração', pad.left + plotW / 2, h - 12);
+
+    series.forEach(track => {
+        const last = Math.min(upTo, track.convergence.length);
+        divCtx.beginPath();
+        for (let i = 0; i < last; i++) {
+            const entry = track.convergence[i];
+            if (i === 0) divCtx.moveTo(toX(xOf(entry, i)), toY(entry.diversity));
+            else divCtx.lineTo(toX(xOf(entry, i)), toY(entry.diversity));
+        }
+        divCtx.strokeStyle = isRace ? track.color : '#1abc9c';
+        divCtx.lineWidth = 2;
+        divCtx.stroke();
+    });
+}
+
+// --- Objective Space ---
+// Bi-objective problems get a second canvas with f1 x f2: the true Pareto
+// front (from the engine, which may have to sample it), each algorithm's
+// non-dominated set and, faded, its population.
+const objCanvas = document.getElementById('objCanvas');
+const objCtx = objCanvas.getContext('2d');
+
+// True front of the selected problem: { key, points, referencePoint }
+let referenceFront = null;
+
+// Last tracks and frame drawn, redrawn when the true front arrives
+let shownObjectives = { tracks: [], frame: Infinity };
+
+function referenceFrontKey() {
+    return `${currentFunctionKey}/${dimensions}`;
+}
+
+function loadReferenceFront() {
+    const multiObjective = !!currentFunction.objectives;
+    document.getElementById('objectivePanel').classList.toggle('hidden', !multiObjective);
+    if (!multiObjective) return;
+    const key = referenceFrontKey();
+    if (referenceFront && referenceFront.key === key) return;
+    engine.call('front', { function: functionSpec(), dimensions: dimensions }).then(front => {
+        if (key !== referenceFrontKey()) return;
+        referenceFront = { key, ...front };
+        drawObjectiveSpace(shownObjectives.tracks, shownObjectives.frame);
+    }).catch(e => console.warn('Frente de Pareto indisponível:', e.message));
+}
+
+function drawObjectiveSpace(tracks, frame = Infinity) {
+    shownObjectives = { tracks, frame };
+    if (!currentFunction.objectives) return;
+    const w = objCanvas.width;
+    const h = objCanvas.height;
+    const pad = { left: 50, right: 12, top: 12, bottom: 32 };
+    const plotW = w - pad.left - pad.right;
+    const plotH = h - pad.top - pad.bottom;
+
+    objCtx.fillStyle = 'white';
+    objCtx.fillRect(0, 0, w, h);
+
+    const reference = referenceFront && referenceFront.key === referenceFrontKey() ? referenceFront.points : [];
+    const shown = tracks.filter(track => track.fronts && track.fronts.length > 0).map(track => {
+        const i = Math.min(frame, track.fronts.length - 1);
+        return { track, front: track.fronts[i], population: track.objectives[i] };
+    });
+
+    // Axes cover the true front and the current fronts; stray individuals are clipped
+    const points = reference.concat(...shown.map(entry => entry.front));
+    if (points.length === 0) {
+        objCtx.fillStyle = '#95a5a6';
+        objCtx.font = '13px sans-serif';
+        objCtx.textAlign = 'center';
+        objCtx.textBaseline = 'middle';
+        objCtx.fillText('Calculando a frente de Pareto...', w / 2, h / 2);
+        return;
+    }
+    const range = m => {
+        const values = points.map(p => p[m]).filter(Number.isFinite);
+        let min = Math.min(...values);
+        let max = Math.max(...values);
+        if (max - min === 0) {
+            min -= 1;
+            max += 1;
+        }
+        const margin = (max - min) * 0.05;
+        return [min - margin, max + margin];
+    };
+    const [x0, x1] = range(0);
+    const [y0, y1] = range(1);
+    const toX = v => pad.left + (v - x0) / (x1 - x0) * plotW;
+    const toY = v => pad.top + (1 - (v - y0) / (y1 - y0)) * plotH;
+
+    objCtx.strokeStyle = '#bdc3c7';
+    objCtx.lineWidth = 1;
+    objCtx.fillStyle = '#7f8c8d';
+    objCtx.font = '10px monospace';
+    objCtx.textAlign = 'right';
+    objCtx.textBaseline = 'middle';
+    axisTicks(y0, y1, 5).forEach(({ value, label }) => {
+        objCtx.beginPath();
+        objCtx.moveTo(pad.left, toY(value));
+        objCtx.lineTo(pad.left + plotW, toY(value));
+        objCtx.stroke();
+        objCtx.fillText(label, pad.left - 4, toY(value));
+    });
+    objCtx.textAlign = 'center';
+    objCtx.textBaseline = 'top';
+    axisTicks(x0, x1, 5).forEach(({ value, label }) => {
+        objCtx.beginPath();
+        objCtx.moveTo(toX(value), pad.top);
+        objCtx.lineTo(toX(value), pad.top + plotH);
+        objCtx.stroke();
+        objCtx.fillText(label, toX(value), pad.top + plotH + 4);
+    });
+    objCtx.fillText('f1', pad.left + plotW / 2, h - 12);
+    objCtx.save();
+    objCtx.translate(12, pad.top + plotH / 2);
+    objCtx.rotate(-Math.PI / 2);
+    objCtx.fillText('f2', 0, 0);
+    objCtx.restore();
+
+    const dot = (point, radius) => {
+        objCtx.beginPath();
+        objCtx.arc(toX(point[0]), toY(point[1]), radius, 0, Math.PI * 2);
+        objCtx.fill();
+    };
+    objCtx.save();
+    objCtx.beginPath();
+    objCtx.rect(pad.left, pad.top, plotW, plotH);
+    objCtx.clip();
+    objCtx.fillStyle = '#95a5a6';
+    reference.forEach(point => dot(point, 1.2));
+    shown.forEach(({ track, front, population }) => {
+        objCtx.globalAlpha = 0.25;
+        objCtx.fillStyle = track.color;
+        population.forEach(point => dot(point, 2));
+        objCtx.globalAlpha = 1;
+        objCtx.strokeStyle = '#2c3e50';
+        objCtx.lineWidth = 0.5;
+        front.forEach(point => {
+            dot(point, 3);
+            objCtx.stroke();
+        });
+    });
+    objCtx.restore();
+
+    // Legend
+    const entries = [{ label: 'Frente verdadeira', color: '#95a5a6' }]
+        .concat(shown.map(({ track, front }) => ({ label: `${track.label} (${front.length} não dominados)`, color: track.color })));
+    objCtx.font = '10px sans-serif';
+    objCtx.textAlign = 'left';
+    objCtx.textBaseline = 'middle';
+    entries.forEach(({ label, color }, i) => {
+        const y = pad.top + 8 + i * 13;
+        const x = pad.left + plotW - 150;
+        objCtx.fillStyle = color;
+        objCtx.fillRect(x, y - 3, 6, 6);
+        objCtx.fillStyle = '#2c3e50';
+        objCtx.fillText(label, x + 10, y);
+    });
+}
+
+// --- Overlays ---
+// Optional drawings over the population: fading trails of the last N
+// iterations, PSO velocities and links to the personal bests, and the links
+// from the GA's newest offspring to their parents.
+
+function readOverlays() {
+    const trailLength = parseInt(document.getElementById('trailLength').value);
+    return {
+        trails: document.getElementById('overlayTrails').checked ? Math.max(0, trailLength || 0) : 0,
+        velocity: document.getElementById('overlayVelocity').checked,
+        pbest: document.getElementById('overlayPbest').checked,
+        parents: document.getElementById('overlayParents').checked
+    };
+}
+
+// Per-individual extras of a population that the overlays draw and the
+// inspector shows, or null
+function populationDetails(population) {
+    const details = {};
+    ['velocity', 'pbest', 'pbestFit', 'parents'].forEach(key => {
+        if (population.some(ind => ind[key] !== undefined)) {
+            details[key] = population.map(ind => (ind[key] !== undefined ? ind[key] : null));
+        }
+    });
+    return Object.keys(details).length > 0 ? details : null;
+}
+
+// Layers of the tracks at one recorded iteration, see render()
+function trackLayers(tracks, frame) {
+    const trailLength = readOverlays().trails;
+    return tracks.map(track => ({
+        population: track.history[frame],
+        label: track.label,
+        color: track.color,
+        best: track.bests[frame],
+        persistent: track.persistent,
+        trail: track.history.slice(Math.max(0, frame - trailLength), frame),
+        previous: frame > 0 ? track.history[frame - 1] : null,
+        details: track.details ? track.details[frame] : null,
+        fitnesses: track.fitnesses ? track.fitnesses[frame] : null,
+        objectives: track.objectives ? track.objectives[frame] : null
+    }));
+}
+
+function drawOverlays(layer, overlays, surface = ctx) {
+    const { population, color, trail, previous, details, persistent } = layer;
+    const point = position => [toCanvasX(position[viewDimX]), toCanvasY(position[viewDimY])];
+    const line = (from, to) => {
+        surface.beginPath();
+        surface.moveTo(...point(from));
+        surface.lineTo(...point(to));
+        surface.stroke();
+    };
+
+    // Trails fade out with age. Individuals that keep their index are
+    // followed with lines; the others leave dots behind.
+    if (overlays.trails > 0 && trail && trail.length > 0) {
+        surface.strokeStyle = color;
+        surface.fillStyle = color;
+        surface.lineWidth = 1.5;
+        trail.forEach((positions, k) => {
+            surface.globalAlpha = 0.6 * (k + 1) / (trail.length + 1);
+            const next = trail[k + 1] || population;
+            positions.forEach((position, i) => {
+                if (persistent && next[i]) {
+                    line(position, next[i]);
+                } else {
+                    const [x, y] = point(position);
+                    surface.fillRect(x - 1, y - 1, 2, 2);
+                }
+            });
+        });
+        surface.globalAlpha = 1;
+    }
+
+    if (!details) return;
+
+    if (overlays.pbest && details.pbest) {
+        surface.strokeStyle = color;
+        surface.lineWidth = 1;
+        surface.setLineDash([3, 3]);
+        details.pbest.forEach((pbest, i) => {
+            if (pbest) line(population[i], pbest);
+        });
+        surface.setLineDash([]);
+        surface.fillStyle = 'white';
+        details.pbest.forEach(pbest => {
+            if (!pbest) return;
+            const [x, y] = point(pbest);
+            surface.fillRect(x - 1.5, y - 1.5, 3, 3);
+        });
+    }
+
+    if (overlays.velocity && details.velocity) {
+        surface.strokeStyle = 'white';
+        surface.lineWidth = 1;
+        details.velocity.forEach((velocity, i) => {
+            if (!velocity) return;
+            const [x1, y1] = point(population[i]);
+            const tip = population[i].map((x, d) => x + velocity[d]);
+            const [x2, y2] = point(tip);
+            const angle = Math.atan2(y2 - y1, x2 - x1);
+            const head = Math.min(5, Math.hypot(x2 - x1, y2 - y1) / 2);
+            surface.beginPath();
+            surface.moveTo(x1, y1);
+            surface.lineTo(x2, y2);
+            surface.lineTo(x2 - head * Math.cos(angle - 0.5), y2 - head * Math.sin(angle - 0.5));
+            surface.moveTo(x2, y2);
+            surface.lineTo(x2 - head * Math.cos(angle + 0.5), y2 - head * Math.sin(angle + 0.5));
+            surface.stroke();
+        });
+    }
+
+    if (overlays.parents && details.parents && previous) {
+        surface.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        surface.lineWidth = 1;
+        details.parents.forEach((parents, i) => {
+            if (!parents) return;
+            parents.forEach(p => {
+                if (previous[p]) line(previous[p], population[i]);
+            });
+        });
+        // Parents as hollow rings where they stood
+        surface.strokeStyle = color;
+        const drawn = new Set(details.parents.flat());
+        drawn.forEach(p => {
+            if (!previous[p]) return;
+            const [x, y] = point(previous[p]);
+            surface.beginPath();
+            surface.arc(x, y, 4, 0, Math.PI * 2);
+            surface.stroke();
+        });
+    }
+}
+
+// Redraws the population with the overlays as currently chosen
+function redrawPopulation() {
+    if (replayState) render(trackLayers(replayState.tracks, replayState.frame));
+    else if (currentSnapshot) render();
+    else render(renderedLayers);
+}
+
+// Each layer is { population, color, best } where `population` holds position
+// vectors and `best` is an optional position vector; the overlays also use
+// `trail`, `previous`, `details` and `persistent`, and the inspector `label`,
+// `fitnesses` and `objectives`, see trackLayers(). Drawing
+// goes to the simulation canvas unless another 2D context of the same logical
+// size (scaled as needed) is given.
+function render(layersOverride = null, surface = ctx) {
+    // Draw cached background, stretched if it was drawn for another window
+    surface.fillStyle = '#2c3e50';
+    surface.fillRect(0, 0, width, height);
+    if (backgroundView) {
+        const sx = map(view.x[0], backgroundView.x[0], backgroundView.x[1], 0, width);
+        const sy = map(view.y[0], backgroundView.y[0], backgroundView.y[1], 0, height);
+        const sw = map(view.x[1], backgroundView.x[0], backgroundView.x[1], 0, width) - sx;
+        const sh = map(view.y[1], backgroundView.y[0], backgroundView.y[1], 0, height) - sy;
+        surface.drawImage(backgroundCanvas, sx, sy, sw, sh, 0, 0, width, height);
+    }
+    
+    let layers = [];
+
+    if (layersOverride) {
+        layers = layersOverride;
+    } else if (currentSnapshot && currentRunTracks.length > 0) {
+        layers = trackLayers(currentRunTracks, currentRunTracks[0].history.length - 1);
+    }
+    if (surface === ctx) renderedLayers = layers;
+
+    const overlays = readOverlays();
+    layers.forEach(layer => drawOverlays(layer, overlays, surface));
+
+    // Draw particles/individuals
+    layers.forEach(({ population, color, best }) => {
+        population.forEach(position => {
+            const px = toCanvasX(position[viewDimX]);
+            const py = toCanvasY(position[viewDimY]);
+            
+            surface.beginPath();
+            surface.arc(px, py, 3, 0, Math.PI * 2);
+            surface.fillStyle = color;
+            surface.fill();
+            surface.strokeStyle = 'black';
+            surface.lineWidth = 0.5;
+            surface.stroke();
+        });
+
+        // Draw current best. In a race each marker takes its algorithm's color.
+        if (best) {
+            const bx = toCanvasX(best[viewDimX]);
+            const by = toCanvasY(best[viewDimY]);
+            
+            surface.beginPath();
+            surface.moveTo(bx - 6, by - 6);
+            surface.lineTo(bx + 6, by + 6);
+            surface.moveTo(bx + 6, by - 6);
+            surface.lineTo(bx - 6, by + 6);
+            surface.strokeStyle = layers.length > 1 ? color : 'white';
+            surface.lineWidth = 2;
+            surface.stroke();
+        }
+    });
+
+    // Hand-placed starting points wait as rings for the next run
+    if (surface === ctx && !isRunning && !isReplaying) drawPaintedPopulation();
+
+    // Axis ticks along the left and bottom edges
+    surface.font = '11px monospace';
+    surface.fillStyle = 'white';
+    surface.strokeStyle = 'black';
+    surface.lineWidth = 2;
+    
+    const drawLabel = (text, x, y, align, baseline) => {
+        surface.textAlign = align;
+        surface.textBaseline = baseline;
+        surface.strokeText(text, x, y);
+        surface.fillText(text, x, y);
+    };
+    const drawTick = (x1, y1, x2, y2) => {
+        surface.beginPath();
+        surface.moveTo(x1, y1);
+        surface.lineTo(x2, y2);
+        surface.strokeStyle = 'white';
+        surface.lineWidth = 1;
+        surface.stroke();
+        surface.strokeStyle = 'black';
+        surface.lineWidth = 2;
+    };
+
+    axisTicks(view.x[0], view.x[1], 6).forEach(({ value, label }) => {
+        const x = toCanvasX(value);
+        drawTick(x, height, x, height - 6);
+        drawLabel(label, x, height - 8, 'center', 'bottom');
+    });
+    axisTicks(view.y[0], view.y[1], 6).forEach(({ value, label }) => {
+        const y = toCanvasY(value);
+        drawTick(0, y, 6, y);
+        drawLabel(label, 8, y, 'left', 'middle');
+    });
+
+    // Which dimensions are shown, and how
+    if (dimensions > 2) {
+        const mode = document.getElementById('viewMode').value === 'slice' ? 'fatia pelo melhor' : 'projeção';
+        drawLabel(`x${viewDimX + 1} × x${viewDimY + 1} (${mode}, D=${dimensions})`, width / 2, 5, 'center', 'top');
+    }
+
+    if (surface === ctx) showInspector();
+}
+
+// --- Main Loop ---
+// The engine steps the run and answers with a snapshot (see snapshotOf() in
+// engine.js); the loop records it into the tracks and draws it.
+
+function captureTracks(snapshot) {
+    snapshot.members.forEach((member, i) => {
+        currentRunTracks[i].history.push(member.population.map(ind => ind.position));
+        currentRunTracks[i].bests.push(member.bestPosition);
+        currentRunTracks[i].details.push(populationDetails(member.population));
+        currentRunTracks[i].fitnesses.push(member.population.map(ind => ind.fitness));
+        currentRunTracks[i].convergence.push(member.convergence);
+        if (member.landscape) currentRunTracks[i].offsets.push(member.landscape.offset);
+        if (member.front) {
+            currentRunTracks[i].fronts.push(member.front);
+            currentRunTracks[i].objectives.push(member.population.map(ind => ind.objectives));
+        }
+    });
+}
+
+// The canvas shows the landscape as the first algorithm sees it
+function showLandscape(member) {
+    if (member.landscape) followLandscape(member.landscape.offset);
+}
+
+// In slice mode with D > 2 the background follows the best position found
+// so far. `bests` holds one [fitness, position] pair per algorithm.
+function refreshSlice(bests) {
+    if (dimensions <= 2 || document.getElementById('viewMode').value !== 'slice') return;
+    const [, position] = bests.reduce((a, b) => (b[0] < a[0] ? b : a));
+    drawBackground(sliceCenter(position));
+}
+
+function loop() {
+    if (!isRunning) return;
+
+    const speed = parseInt(document.getElementById('speedRange').value);
+    const generation = loopGeneration;
+    const tracks = currentRunTracks;
+    
+    pendingStep = engine.call('step', { count: 1 }).then(snapshot => {
+        // The run was reset while the step was in flight
+        if (tracks !== currentRunTracks) return;
+
+        currentSnapshot = snapshot;
+        iteration++;
+        
+        // Capture history
+        captureTracks(snapshot);
+        showLandscape(snapshot.members[0]);
+        
+        if (iteration % SLICE_REDRAW_INTERVAL === 0) {
+            refreshSlice(snapshot.members.map(member => [member.bestFitness, member.bestPosition]));
+        }
+        
+        updateStats();
+        render();
+        drawConvergence(currentRunTracks, Infinity, currentConfig.tuning);
+        drawObjectiveSpace(currentRunTracks);
+        
+        // Stopped while the step was in flight
+        if (generation !== loopGeneration) return;
+
+        // The engine checks the stopping criteria (a race ends when every member has stopped)
+        if (snapshot.finished) {
+            stopSimulation(true);
+            lockFixedParams(false);
+            return;
+        }
+
+        // Speed control via setTimeout for next frame
+        const delay = Math.max(0, 60 - speed); 
+        
+        if (delay === 0) {
+            animationId = requestAnimationFrame(loop);
+        } else {
+            setTimeout(() => {
+                if (generation === loopGeneration) animationId = requestAnimationFrame(loop);
+            }, delay * 5); 
+        }
+    }).catch(e => {
+        stopSimulation(false);
+        alert(`Erro na otimização: ${e.message}`);
+    });
+}
+
+// --- Live Tuning ---
+// Parameters marked `live` in the registry can be changed while a run is
+// loaded, running or stopped, and take effect from its next iteration; the
+// others stay locked until it's reset. Each change becomes a tuning event of
+// the run config, { step, at, parameters: { [key]: values }, previous: {
+// [key]: values } } (see tuneOptimizer()), so the run can be reproduced, and
+// is marked on the convergence chart and the replay timeline.
+
+function lockFixedParams(locked) {
+    Object.entries(algorithms).forEach(([algoType, entry]) => {
+        entry.params.forEach(param => {
+            if (!param.live) document.getElementById(paramInputId(algoType, param.key)).disabled = locked;
+        });
+    });
+}
+
+// Parameters a run is using now: the initial ones with its tuning applied
+function tunedParams(config, algoType) {
+    const values = { ...config.parameters[algoType] };
+    config.tuning.forEach(event => Object.assign(values, event.parameters[algoType]));
+    return values;
+}
+
+function tuneLiveRun(algoType) {
+    const config = currentConfig;
+    if (!config || !config.parameters[algoType] || isReplaying) return;
+    const values = readParams(algoType);
+    const parameters = { [algoType]: {} };
+    algorithms[algoType].params.forEach(param => {
+        if (param.live) parameters[algoType][param.key] = values[param.key];
+    });
+
+    // Sent once the step in flight is back and before the next one leaves,
+    // as the engine answers requests in order
+    Promise.resolve(pendingStep).then(() => {
+        if (config !== currentConfig || !currentSnapshot || currentSnapshot.finished) return null;
+        const step = iteration;
+        return engine.call('tune', { parameters }).then(previous => {
+            if (!previous[algoType]) return;
+            const changed = {};
+            Object.keys(previous[algoType]).forEach(key => {
+                changed[key] = parameters[algoType][key];
+            });
+            config.tuning.push({ step, at: new Date().toISOString(), parameters: { [algoType]: changed }, previous });
+            if (config !== currentConfig) return;
+            showTuning(config.tuning, iteration);
+            drawConvergence(currentRunTracks, Infinity, config.tuning);
+        });
+    }).catch(e => {
+        // Back to what the run is using
+        if (config === currentConfig) setParams(algoType, tunedParams(config, algoType));
+        alert(`Ajuste não aplicado: ${e.message}`);
+    });
+}
+
+// e.g. "it. 40: PSO w 0.7 → 0.4, c1 1.5 → 2"
+function describeTuning(event) {
+    const parts = Object.entries(event.parameters).map(([algoType, values]) => {
+        const entry = algorithms[algoType];
+        const changes = Object.entries(values).map(([key, value]) => {
+            const param = entry && entry.params.find(p => p.key === key);
+            if (!param) return `${key} → ${value}`;
+            const show = v => {
+                const option = param.type === 'choice' && param.options.find(o => o.value === v);
+                return option ? option.short || option.label : v;
+            };
+            return `${param.short} ${show(event.previous[algoType][key])} → ${show(value)}`;
+        });
+        return `${entry ? entry.label : algoType} ${changes.join(', ')}`;
+    });
+    return `it. ${event.step}: ${parts.join('; ')}`;
+}
+
+// The latest change made at or before `step`
+function showTuning(tuning, step) {
+    const applied = tuning.filter(event => event.step <= step);
+    if (applied.length > 0) {
+        document.getElementById('statTuning').innerText = describeTuning(applied[applied.length - 1]);
+    }
+    document.getElementById('tuningStats').classList.toggle('hidden', applied.length === 0);
+}
+
+function showReplayMarks(tuning) {
+    const marks = document.getElementById('replayMarks');
+    const last = replayLength() - 1;
+    marks.innerHTML = '';
+    tuning.forEach(event => {
+        const mark = document.createElement('span');
+        mark.style.left = `${last > 0 ? (event.step / last) * 100 : 0}%`;
+        marks.appendChild(mark);
+    });
+}
+
+// --- Replay ---
+
+function replayLength() {
+    return replayState.tracks[0].history.length;
+}
+
+// Draws one stored frame with its stats. `jumped` means the previous frame
+// shown wasn't frame - 1, so a slice view must be redrawn right away.
+function showReplayFrame(frame, jumped = false) {
+    const tracks = replayState.tracks;
+    replayState.frame = frame;
+
+    if (tracks[0].offsets && tracks[0].offsets.length > 0) {
+        followLandscape(tracks[0].offsets[frame]);
+    }
+    if (jumped || frame % SLICE_REDRAW_INTERVAL === 0) {
+        refreshSlice(tracks.map(track => [track.convergence[frame].best, track.bests[frame]]));
+    }
+    render(trackLayers(tracks, frame));
+    drawConvergence(tracks, frame + 1, replayState.tuning);
+    drawObjectiveSpace(tracks, frame);
+    showStats(`${frame} (Replay)`, tracks, tracks.map(track => track.convergence[frame]));
+    showTuning(replayState.tuning, frame);
+
+    document.getElementById('replaySlider').value = frame;
+    document.getElementById('replayFrame').innerText = `${frame} / ${replayLength() - 1}`;
+}
+
+function scheduleReplay() {
+    const speed = parseInt(document.getElementById('speedRange').value);
+    const delay = Math.max(0, 60 - speed);
+    if (delay === 0) {
+        animationId = requestAnimationFrame(replayLoop);
+    } else {
+        replayState.timer = setTimeout(() => {
+            animationId = requestAnimationFrame(replayLoop);
+        }, delay * 5);
+    }
+}
+
+function replayLoop() {
+    if (!isReplaying || replayState.paused) return;
+
+    const next = replayState.frame + 1;
+    if (next < replayLength()) {
+        showReplayFrame(next);
+    } else if (document.getElementById('replayLoopToggle').checked) {
+        showReplayFrame(0, true);
+    } else {
+        // Hold the last frame; pressing play again starts over
+        pauseReplay();
+        return;
+    }
+    scheduleReplay();
+}
+
+function pauseReplay() {
+    if (!replayState) return;
+    replayState.paused = true;
+    clearTimeout(replayState.timer);
+    cancelAnimationFrame(animationId);
+    document.getElementById('btnReplayPause').innerText = '▶';
+}
+
+function resumeReplay() {
+    if (!replayState || !replayState.paused) return;
+    replayState.paused = false;
+    document.getElementById('btnReplayPause').innerText = '⏸';
+    if (replayState.frame >= replayLength() - 1) {
+        showReplayFrame(0, true);
+    }
+    scheduleReplay();
+}
+
+function toggleReplayPause() {
+    if (!replayState) return;
+    if (replayState.paused) resumeReplay();
+    else pauseReplay();
+}
+
+function stepReplay(delta) {
+    if (!replayState) return;
+    pauseReplay();
+    const frame = Math.max(0, Math.min(replayLength() - 1, replayState.frame + delta));
+    showReplayFrame(frame, delta !== 1);
+}
+
+function seekReplay(frame) {
+    if (!replayState) return;
+    showReplayFrame(parseInt(frame), true);
+}
+
+// Leaves the last frame shown on the canvas and hands the controls back
+function endReplay() {
+    pauseReplay();
+    isReplaying = false;
+    replayState = null;
+    document.getElementById('replayControls').classList.add('hidden');
+    document.getElementById('btnRun').disabled = false;
+    document.getElementById('btnStop').disabled = true;
+    document.getElementById('algorithmSelect').disabled = false;
+    document.getElementById('functionSelect').disabled = false;
+    document.getElementById('transformControls').disabled = false;
+    document.getElementById('dynamicsControls').disabled = false;
+    document.getElementById('constraintControls').disabled = false;
+    document.getElementById('dimensions').disabled = false;
+}
+
+// Fills the overlay from one convergence entry per track
+function showStats(iterationLabel, tracks, entries) {
+    document.getElementById('statIter').innerText = iterationLabel;
+    document.getElementById('statBestFit').innerText = Math.min(...entries.map(c => c.iterBest)).toExponential(4);
+    document.getElementById('statMean').innerText = Math.min(...entries.map(c => c.mean)).toExponential(4);
+    document.getElementById('statGlobalBest').innerText = Math.min(...entries.map(c => c.best)).toExponential(4);
+
+    // The best-so-far goes stale on a dynamic landscape; the errors tell how well it's tracked
+    const dynamicStats = document.getElementById('dynamicStats');
+    if (entries[0].offlineError !== undefined) {
+        document.getElementById('statCurrentError').innerText = Math.min(...entries.map(c => c.currentError)).toExponential(4);
+        document.getElementById('statOfflineError').innerText = Math.min(...entries.map(c => c.offlineError)).toExponential(4);
+        dynamicStats.classList.remove('hidden');
+    } else {
+        dynamicStats.classList.add('hidden');
+    }
+
+    // Under constraints the best feasible point is what counts
+    const constraintStats = document.getElementById('constraintStats');
+    if (entries[0].feasibleShare !== undefined) {
+        const feasible = entries.map(c => c.bestFeasible).filter(v => v !== null);
+        document.getElementById('statBestFeasible').innerText = feasible.length > 0 ? Math.min(...feasible).toExponential(4) : 'nenhum';
+        document.getElementById('statViolation').innerText = Math.min(...entries.map(c => c.violation)).toExponential(2);
+        document.getElementById('statFeasibleShare').innerText = `${Math.round(Math.max(...entries.map(c => c.feasibleShare)) * 100)}%`;
+        constraintStats.classList.remove('hidden');
+    } else {
+        constraintStats.classList.add('hidden');
+    }
+
+    // A multi-objective run is judged by its whole front
+    const paretoStats = document.getElementById('paretoStats');
+    if (entries[0].igd !== undefined) {
+        document.getElementById('statHypervolume').innerText = Math.max(...entries.map(c => c.hypervolume)).toPrecision(5);
+        document.getElementById('statIgd').innerText = Math.min(...entries.map(c => c.igd)).toExponential(3);
+        document.getElementById('statFrontSize').innerText = Math.max(...entries.map(c => c.frontSize));
+        paretoStats.classList.remove('hidden');
+    } else {
+        paretoStats.classList.add('hidden');
+    }
+
+    // Separate lines per algorithm in a race
+    const memberStats = document.getElementById('memberStats');
+    if (tracks.length > 1) {
+        memberStats.innerHTML = tracks.map((track, i) => `
+            <div style="border-left: 3px solid ${escapeHtml(track.color)}; padding-left: 6px;">
+                ${escapeHtml(track.label)}: <span>${entries[i].best.toExponential(4)}</span> (${entries[i].evaluations} aval.${
+                    entries[i].offlineError !== undefined ? `, offline ${entries[i].offlineError.toExponential(2)}` : ''})
+            </div>`).join('');
+        memberStats.classList.remove('hidden');
+    } else {
+        memberStats.classList.add('hidden');
+    }
+}
+
+function updateStats() {
+    const latest = currentRunTracks.map(track => track.convergence[track.convergence.length - 1]);
+    showStats(iteration, currentRunTracks, latest);
+    showTuning(currentConfig.tuning, iteration);
+}
+
+// The GA vs PSO race animates these registry entries side by side
+const RACE_MEMBERS = ['ga', 'pso'];
+
+// Input id of one algorithm parameter, e.g. ga + popSize -> gaPopSize
+function paramInputId(algoType, key) {
+    return algoType + key[0].toUpperCase() + key.slice(1);
+}
+
+// Fills the algorithm selector and one parameter section per registry entry
+function buildAlgorithmControls() {
+    const select = document.getElementById('algorithmSelect');
+    const container = document.getElementById('algorithmParams');
+    Object.entries(algorithms).forEach(([algoType, entry]) => {
+        const option = document.createElement('option');
+        option.value = algoType;
+        option.innerText = entry.name;
+        select.appendChild(option);
+
+        const section = document.createElement('div');
+        section.id = `params-${algoType}`;
+        section.className = 'params-section hidden';
+        const title = document.createElement('h3');
+        title.innerText = `Parâmetros ${entry.label}`;
+        section.appendChild(title);
+
+        entry.params.forEach(param => {
+            const label = document.createElement('label');
+            label.dataset.param = param.key;
+            const input = document.createElement(param.type === 'choice' ? 'select' : 'input');
+            input.id = paramInputId(algoType, param.key);
+            if (param.type === 'choice') {
+                param.options.forEach(({ value, label: text }) => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.innerText = text;
+                    input.appendChild(option);
+                });
+                input.value = param.default;
+                input.addEventListener('change', () => refreshParamVisibility(algoType));
+            } else if (param.type === 'boolean') {
+                input.type = 'checkbox';
+                input.checked = param.default;
+            } else {
+                input.type = 'number';
+                input.value = param.default;
+                input.step = param.type === 'int' ? 1 : param.step;
+                if (param.min !== undefined) input.min = param.min;
+                if (param.max !== undefined) input.max = param.max;
+            }
+            label.append(`${param.label}: `, input);
+            section.appendChild(label);
+        });
+        container.appendChild(section);
+        refreshParamVisibility(algoType);
+    });
+
+    const race = document.createElement('option');
+    race.value = 'race';
+    race.innerText = `Corrida ${RACE_MEMBERS.map(key => algorithms[key].label).join(' vs ')}`;
+    select.appendChild(race);
+}
+
+// Hides parameters that don't apply to the chosen operators
+function refreshParamVisibility(algoType) {
+    const values = readParams(algoType);
+    algorithms[algoType].params.forEach(param => {
+        const label = document.querySelector(`#params-${algoType} label[data-param="${param.key}"]`);
+        label.classList.toggle('hidden', !paramApplies(param, values));
+    });
+}
+
+// A race needs the parameters of every member
+function showAlgorithmParams(algoType) {
+    const shown = algoType === 'race' ? RACE_MEMBERS : [algoType];
+    Object.keys(algorithms).forEach(key => {
+        document.getElementById(`params-${key}`).classList.toggle('hidden', !shown.includes(key));
+    });
+}
+
+// Algorithm parameters from the sidebar; unreadable fields fall back to the default
+function readParams(algoType) {
+    const params = {};
+    algorithms[algoType].params.forEach(param => {
+        const input = document.getElementById(paramInputId(algoType, param.key));
+        if (param.type === 'boolean') {
+            params[param.key] = input.checked;
+            return;
+        }
+        if (param.type === 'choice') {
+            params[param.key] = input.value;
+            return;
+        }
+        const value = param.type === 'int' ? parseInt(input.value) : parseFloat(input.value);
+        params[param.key] = Number.isNaN(value) ? param.default : value;
+    });
+    return params;
+}
+
+// Writes a parameter set back into the sidebar inputs
+function setParams(algoType, values) {
+    algorithms[algoType].params.forEach(param => {
+        if (values[param.key] === undefined) return;
+        const input = document.getElementById(paramInputId(algoType, param.key));
+        if (param.type === 'boolean') input.checked = values[param.key];
+        else input.value = values[param.key];
+    });
+    refreshParamVisibility(algoType);
+}
+
+// Stopping criteria besides the iteration limit; blank or invalid fields are off
+function readStopping() {
+    const read = (id, parse) => {
+        const value = parse(document.getElementById(id).value);
+        return Number.isNaN(value) ? 0 : value;
+    };
+    const targetError = parseFloat(document.getElementById('targetError').value);
+    return {
+        maxEvaluations: read('maxEvaluations', parseInt),
+        targetError: Number.isNaN(targetError) ? null : targetError,
+        stagnation: read('stagnation', parseInt),
+        timeLimit: read('timeLimit', parseFloat)
+    };
+}
+
+// Moving optimum and evaluation noise; severity and period only matter when it moves
+function readDynamics() {
+    const read = id => {
+        const value = parseFloat(document.getElementById(id).value);
+        return Number.isNaN(value) ? 0 : value;
+    };
+    return {
+        motion: document.getElementById('dynamicMotion').value,
+        severity: read('dynamicSeverity'),
+        period: read('dynamicPeriod'),
+        noise: read('dynamicNoise')
+    };
+}
+
+function refreshDynamicsVisibility() {
+    const moving = document.getElementById('dynamicMotion').value !== 'static';
+    document.getElementById('dynamicMotionParams').classList.toggle('hidden', !moving);
+}
+
+// Constraint lines as typed, plus how to handle them; see constraintsOf()
+function readConstraints() {
+    return {
+        definitions: document.getElementById('constraintDefinitions').value.split('\n'),
+        method: document.getElementById('constraintMethod').value,
+        penalty: parseFloat(document.getElementById('constraintPenalty').value),
+        tolerance: parseFloat(document.getElementById('constraintTolerance').value)
+    };
+}
+
+function setConstraintControls(constraints) {
+    document.getElementById('constraintDefinitions').value = constraints ? constraints.definitions.join('\n') : '';
+    if (constraints) {
+        document.getElementById('constraintMethod').value = constraints.method;
+        document.getElementById('constraintPenalty').value = constraints.penalty;
+        document.getElementById('constraintTolerance').value = constraints.tolerance;
+    }
+    refreshConstraintVisibility();
+    validateConstraints();
+}
+
+// Normalized constraints from the sidebar, or null when there are none or
+// one of them doesn't parse
+function activeConstraints() {
+    const constraints = constraintsOf({ constraints: readConstraints() });
+    if (!constraints) return null;
+    try {
+        violationFunction(constraints);
+        return constraints;
+    } catch (e) {
+        return null;
+    }
+}
+
+function validateConstraints() {
+    const message = document.getElementById('constraintMessage');
+    const constraints = constraintsOf({ constraints: readConstraints() });
+    message.classList.remove('error-text');
+    if (!constraints) {
+        message.innerText = '';
+        return;
+    }
+    try {
+        violationFunction(constraints);
+        const count = constraints.definitions.length;
+        message.innerText = `${count} ${count === 1 ? 'restrição válida' : 'restrições válidas'}.`;
+    } catch (e) {
+        message.innerText = e.message;
+        message.classList.add('error-text');
+    }
+}
+
+// The penalty coefficient only matters to the penalty methods
+function refreshConstraintVisibility() {
+    const penalty = document.getElementById('constraintMethod').value !== 'feasibility';
+    document.getElementById('constraintPenaltyLabel').classList.toggle('hidden', !penalty);
+}
+
+function applyConstraintPreset(key) {
+    const preset = constraintPresets[key];
+    if (!preset) return;
+    const [lower, upper] = currentFunction.bounds;
+    document.getElementById('constraintDefinitions').value = preset.definitions(lower, upper).join('\n');
+    document.getElementById('constraintPreset').value = '';
+    validateConstraints();
+    drawBackground();
+}
+
+function buildConstraintPresetSelect() {
+    const select = document.getElementById('constraintPreset');
+    Object.entries(constraintPresets).forEach(([key, preset]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.innerText = preset.name;
+        select.appendChild(option);
+    });
+}
+
+// What headless runs are scored by, see scoreOf()
+function scoreMetric(config) {
+    if (resolveFunction(config.function).objectives) return 'igd';
+    if (dynamicsOf(config)) return 'offline';
+    return constraintsOf(config) ? 'feasible' : 'fitness';
+}
+
+const scoreLabels = { offline: "erro offline", feasible: "melhor factível", igd: "IGD final", fitness: "fitness final" };
+
+// Everything the engine needs to reproduce a run, see createOptimizer()
+function buildRunConfig(algoType, seed) {
+    const members = algoType === 'race' ? RACE_MEMBERS : [algoType];
+    const parameters = {};
+    members.forEach(type => {
+        parameters[type] = readParams(type);
+    });
+    const config = {
+        algorithm: algoType,
+        function: functionSpec(),
+        dimensions: dimensions,
+        seed: seed,
+        maxIterations: parseInt(document.getElementById('maxIterations').value),
+        stopping: readStopping(),
+        dynamics: readDynamics(),
+        constraints: readConstraints(),
+        parameters: parameters,
+        initialPopulation: paintedPopulation.length > 0 ? paintedPopulation.map(position => position.slice()) : null,
+        // Filled in as live parameters are changed during the run
+        tuning: []
+    };
+    if (algoType === 'race') config.members = members;
+    return config;
+}
+
+// Parameter summary for the results tables, one part per race member
+function describeParams(algoType, parameters) {
+    if (algoType === 'race') {
+        return Object.keys(parameters).map(type => describeParams(type, parameters)).join(' | ');
+    }
+    return describeAlgorithmParams(algoType, parameters[algoType]);
+}
+
+// Custom expressions may refer to more dimensions than currently configured,
+// and the classic 2D functions take exactly two
+function checkDimensions() {
+    if (currentFunction.dimensions && dimensions !== currentFunction.dimensions) {
+        alert(`A função "${currentFunction.name}" só é definida para D = ${currentFunction.dimensions}.`);
+        return false;
+    }
+    const required = currentFunction.func.minDimensions || 1;
+    if (dimensions < required) {
+        alert(`A função "${currentFunction.name}" usa ${required} dimensões; aumente D.`);
+        return false;
+    }
+    // Constraints are typed over the same variables
+    const constraints = constraintsOf({ constraints: readConstraints() });
+    if (constraints) {
+        let violation;
+        try {
+            violation = violationFunction(constraints);
+        } catch (e) {
+            alert(`Restrição inválida: ${e.message}`);
+            return false;
+        }
+        if (dimensions < violation.minDimensions) {
+            alert(`As restrições usam ${violation.minDimensions} dimensões; aumente D.`);
+            return false;
+        }
+    }
+    return true;
+}
+
+// Function name as shown in the results tables, e.g. "Rastrigin (D=10, deslocada e rotacionada #7)"
+function functionLabel(name, dims, transform, dynamics = null, constraints = null) {
+    const notes = [];
+    if (dims > 2) notes.push(`D=${dims}`);
+    if (transform) {
+        const kinds = [transform.shift && 'deslocada', transform.rotate && 'rotacionada'].filter(Boolean);
+        notes.push(`${kinds.join(' e ')} #${transform.seed}`);
+    }
+    if (dynamics) notes.push(describeDynamics(dynamics));
+    if (constraints) {
+        const count = constraints.definitions.length;
+        notes.push(`${count} ${count === 1 ? 'restrição' : 'restrições'} por ${constraintMethods[constraints.method]}`);
+    }
+    return notes.length > 0 ? `${name} (${notes.join(', ')})` : name;
+}
+
+function describeFunction() {
+    return functionLabel(currentFunction.name, dimensions, currentFunction.transform,
+        dynamicsOf({ dynamics: readDynamics() }), activeConstraints());
+}
+
+function startSimulation() {
+    if (isRunning || isReplaying || isBatchRunning) return;
+    
+    const algoType = document.getElementById('algorithmSelect').value;
+    
+    // Reset if starting fresh or after a run that met its stopping criteria,
+    // otherwise resume after the step in flight
+    let ready = Promise.resolve(pendingStep);
+    if (!currentSnapshot || currentSnapshot.finished) {
+        resetSimulation(false);
+        
+        if (!checkDimensions()) return;
+        
+        currentSeed = readSeed();
+        currentConfig = buildRunConfig(algoType, currentSeed);
+        updateLink();
+        const tracks = currentRunTracks;
+        ready = engine.call('init', currentConfig).then(snapshot => {
+            if (tracks !== currentRunTracks) return;
+            currentSnapshot = snapshot;
+            currentRunTracks = snapshot.members.map(member => ({
+                label: member.label,
+                color: member.color,
+                persistent: member.persistent,
+                history: [],
+                bests: [],
+                details: [],
+                fitnesses: [],
+                convergence: [],
+                offsets: [],
+                fronts: [],
+                objectives: []
+            }));
+            
+            // Capture initial state (Gen 0)
+            captureTracks(snapshot);
+            showLandscape(snapshot.members[0]);
+        });
+    }
+
+    isRunning = true;
+    lockFixedParams(true);
+    document.getElementById('btnRun').disabled = true;
+    document.getElementById('btnStop').disabled = false;
+    document.getElementById('algorithmSelect').disabled = true;
+    document.getElementById('functionSelect').disabled = true;
+    document.getElementById('transformControls').disabled = true;
+    document.getElementById('dynamicsControls').disabled = true;
+    document.getElementById('constraintControls').disabled = true;
+    document.getElementById('dimensions').disabled = true;
+    
+    const generation = loopGeneration;
+    ready.then(() => {
+        if (generation === loopGeneration) loop();
+    }).catch(e => {
+        resetSimulation(false);
+        alert(`Erro na otimização: ${e.message}`);
+    });
+}
+
+function startReplay(id) {
+    if (isRunning || isReplaying || isBatchRunning) return;
+    
+    const data = executionHistories[id];
+    if (!data || data.trimmed) return;
+    if (!loadRunContext(data)) return;
+    
+    // Setup for replay
+    isReplaying = true;
+    replayState = { tracks: data.tracks, tuning: data.tuning || [], frame: 0, paused: false, timer: null };
+    
+    // Stop ends the replay, see stopSimulation()
+    document.getElementById('btnRun').disabled = true;
+    document.getElementById('btnStop').disabled = false;
+    
+    document.getElementById('algorithmSelect').disabled = true;
+    document.getElementById('functionSelect').disabled = true;
+    document.getElementById('transformControls').disabled = true;
+    document.getElementById('dynamicsControls').disabled = true;
+    document.getElementById('constraintControls').disabled = true;
+    document.getElementById('dimensions').disabled = true;
+    
+    const slider = document.getElementById('replaySlider');
+    slider.max = replayLength() - 1;
+    showReplayMarks(replayState.tuning);
+    document.getElementById('btnReplayPause').innerText = '⏸';
+    document.getElementById('replayControls').classList.remove('hidden');
+    
+    showReplayFrame(0, true);
+    scheduleReplay();
+}
+
+// Sets dimension and function, with its shift/rotation and constraints, to
+// those a logged run used. Note: This changes the current view context!
+// Returns the landscape's drawing promise, or null when the function isn't
+// available here.
+function loadRunContext(data) {
+    if (!Object.values(functions).some(f => f.name === data.functionName)) {
+        alert(`A função "${data.functionName}" não está disponível neste navegador.`);
+        return null;
+    }
+    if (data.dimensions !== dimensions) {
+        setDimensions(data.dimensions);
+    }
+    currentFunctionKey = Object.keys(functions).find(key => functions[key].name === data.functionName);
+    document.getElementById('functionSelect').value = currentFunctionKey;
+    setTransformControls(data.transform || null);
+    setConstraintControls(data.constraints || null);
+    return applyFunction();
+}
+
+// Shows the stored convergence curve of a finished run
+function showConvergence(id) {
+    if (isRunning || isReplaying) return;
+    const data = executionHistories[id];
+    if (!data || !data.tracks[0].convergence) return;
+    drawConvergence(data.tracks, Infinity, data.tuning || []);
+}
+
+function stopSimulation(shouldLog = true) {
+    if (isReplaying) {
+        endReplay();
+        return;
+    }
+
+    isRunning = false;
+    loopGeneration++;
+    cancelAnimationFrame(animationId);
+    document.getElementById('btnRun').disabled = false;
+    document.getElementById('btnStop').disabled = true;
+    
+    // Log result, including the step that may still be in flight
+    if (shouldLog) {
+        const tracks = currentRunTracks;
+        Promise.resolve(pendingStep).then(() => {
+            if (tracks === currentRunTracks && iteration > 0) logResult();
+        });
+    }
+}
+
+function resetSimulation(clearLog = false) {
+    stopSimulation(false);
+    if (currentSnapshot) engine.call('dispose');
+    currentConfig = null;
+    currentSnapshot = null;
+    iteration = 0;
+    currentRunTracks = [];
+    
+    document.getElementById('statIter').innerText = '0';
+    document.getElementById('statBestFit').innerText = '-';
+    document.getElementById('statMean').innerText = '-';
+    document.getElementById('statGlobalBest').innerText = '-';
+    document.getElementById('memberStats').classList.add('hidden');
+    document.getElementById('dynamicStats').classList.add('hidden');
+    document.getElementById('constraintStats').classList.add('hidden');
+    document.getElementById('paretoStats').classList.add('hidden');
+    document.getElementById('tuningStats').classList.add('hidden');
+    lockFixedParams(false);
+    
+    document.getElementById('algorithmSelect').disabled = false;
+    document.getElementById('functionSelect').disabled = false;
+    document.getElementById('transformControls').disabled = false;
+    document.getElementById('dynamicsControls').disabled = false;
+    document.getElementById('constraintControls').disabled = false;
+    document.getElementById('dimensions').disabled = false;
+    
+    // Redraw background (clears particles), with a moved landscape back in place
+    settleLandscape();
+    render();
+    drawConvergence(currentRunTracks);
+    drawObjectiveSpace(currentRunTracks);
+}
+
+// Run record (also the unit of export/import):
+// { id, algorithm, functionName, functionDefinition (custom functions only),
+//   transform: { shift, rotate, seed } | null, dimensions, seed, maxIterations, stopping,
+//   dynamics (see dynamicsOf()) | null, constraints (see constraintsOf()) | null,
+//   parameters: { ga?, pso? }, tuning (see tuneLiveRun()),
+//   initialPopulation: [[x1, ..., xD]] (painted by hand) | null, params: string, createdAt,
+//   trimmed?, tracks: [{ label,
+//   color, iterations, evaluations, bestFitness, stopReason, landscape (dynamic runs),
+//   constraints (constrained runs), pareto (multi-objective runs), history, bests,
+//   details, fitnesses, convergence, offsets, fronts, objectives }] }
+function logResult() {
+    executionCount++;
+    
+    const algoType = currentConfig.algorithm;
+    const members = currentSnapshot.members;
+    
+    // Save history
+    const run = {
+        id: executionCount,
+        algorithm: algoType,
+        functionName: currentFunction.name,
+        functionDefinition: currentFunction.isCustom ? customDefinition(currentFunction) : null,
+        transform: currentFunction.transform || null,
+        dimensions: dimensions,
+        seed: currentSeed,
+        maxIterations: currentConfig.maxIterations,
+        stopping: currentConfig.stopping,
+        dynamics: dynamicsOf(currentConfig),
+        constraints: constraintsOf(currentConfig),
+        parameters: currentConfig.parameters,
+        tuning: currentConfig.tuning.slice(),
+        initialPopulation: currentConfig.initialPopulation,
+        params: describeParams(algoType, currentConfig.parameters),
+        createdAt: new Date().toISOString(),
+        tracks: currentRunTracks.map((track, i) => ({
+            ...track,
+            iterations: members[i].iterations,
+            evaluations: members[i].evaluations,
+            bestFitness: members[i].bestFitness,
+            landscape: members[i].landscape,
+            constraints: members[i].constraints,
+            pareto: members[i].pareto,
+            // A run still going when it was logged was stopped by the user
+            stopReason: members[i].stopReason || 'manual'
+        }))
+    };
+    executionHistories[run.id] = run;
+
+    addResultRow(run);
+    persistResults();
+}
+
+function addResultRow(run) {
+    const tbody = document.querySelector('#resultsTable tbody');
+    const row = document.createElement('tr');
+    const tracks = run.tracks;
+    
+    // A race logs a single row with one value per algorithm
+    const algoLabel = escapeHtml(tracks.map(track => track.label).join(' vs '));
+    const funcName = escapeHtml(functionLabel(run.functionName, run.dimensions, run.transform, run.dynamics, run.constraints));
+    const perTrack = value => escapeHtml(tracks.length > 1
+        ? tracks.map(track => `${track.label}: ${value(track)}`).join(' / ')
+        : value(tracks[0]));
+    const iterations = perTrack(track => track.iterations);
+    const evaluations = perTrack(track => trackEvaluations(track));
+    const stopReason = perTrack(track => stopReasons[track.stopReason] || '-');
+    const tracking = run.dynamics ? perTrack(describeTracking) : '-';
+    const feasibility = run.constraints ? perTrack(describeFeasibility) : '-';
+    const pareto = tracks[0].pareto ? perTrack(describePareto) : '-';
+    let bestFitness = tracks[0].bestFitness.toExponential(4);
+    if (tracks.length > 1) {
+        const winner = tracks.reduce((a, b) => (b.bestFitness < a.bestFitness ? b : a));
+        bestFitness = tracks.map(track => {
+            const text = escapeHtml(`${track.label}: ${track.bestFitness.toExponential(4)}`);
+            return track === winner ? `<strong>${text}</strong>` : text;
+        }).join(' / ');
+    }
+    
+    // Runs restored without their trajectory (storage cap) can't be replayed
+    const replayAttrs = run.trimmed ? 'disabled title="Trajetória não foi salva (limite de armazenamento)"' : '';
+    const curveAttrs = run.tracks[0].convergence ? '' : 'disabled';
+    // Parameters changed during the run are listed on hover
+    const tuning = run.tuning || [];
+    const tuningNote = tuning.length > 0
+        ? ` <span title="${escapeHtml(tuning.map(describeTuning).join('\n'))}">(+${tuning.length} ${tuning.length === 1 ? 'ajuste' : 'ajustes'})</span>`
+        : '';
+    const start = run.initialPopulation;
+    const startNote = start ? ` (início desenhado: ${start.length} ${start.length === 1 ? 'ponto' : 'pontos'})` : '';
+    
+    row.innerHTML = `
+        <td><input type="checkbox" class="run-select" value="${run.id}"></td>
+        <td>${escapeHtml(run.id)}</td>
+        <td>${algoLabel}</td>
+        <td>${funcName}</td>
+        <td>${iterations}</td>
+        <td>${evaluations}</td>
+        <td>${bestFitness}</td>
+        <td>${escapeHtml(run.params)}${tuningNote}${startNote}</td>
+        <td>${escapeHtml(run.seed)}</td>
+        <td>${stopReason}</td>
+        <td>${tracking}</td>
+        <td>${feasibility}</td>
+        <td>${pareto}</td>
+        <td>
+            <button onclick="startReplay(${run.id})" class="tertiary" style="padding: 0.3rem 0.6rem; font-size: 0.8rem;" ${replayAttrs}>▶ Replay</button>
+            <button onclick="showConvergence(${run.id})" class="tertiary" style="padding: 0.3rem 0.6rem; font-size: 0.8rem;" ${curveAttrs}>📈 Curva</button>
+            <button onclick="exportAnimation(${run.id})" class="tertiary" style="padding: 0.3rem 0.6rem; font-size: 0.8rem;" ${replayAttrs}>🎞 Animação</button>
+        </td>
+    `;
+    
+    tbody.insertBefore(row, tbody.firstChild);
+}
+
+// Offline error and mean recovery time of a track on a dynamic landscape
+function describeTracking(track) {
+    const state = track.landscape;
+    if (!state) return '-';
+    const parts = [`offline ${state.offlineError.toExponential(3)}`];
+    if (state.recoveryTime !== null) parts.push(`recuperação ${state.recoveryTime.toFixed(1)} it.`);
+    if (state.unrecovered > 0) parts.push(`${state.unrecovered} sem recuperar`);
+    return parts.join(', ');
+}
+
+// Best feasible fitness and the violation of the algorithm's own best
+function describeFeasibility(track) {
+    const state = track.constraints;
+    if (!state) return '-';
+    const best = state.bestFeasible !== null ? state.bestFeasible.toExponential(4) : 'nenhum';
+    return `factível ${best}, violação ${state.violation.toExponential(2)}`;
+}
+
+// Quality of a multi-objective track's final front
+function describePareto(track) {
+    const state = track.pareto;
+    if (!state) return '-';
+    return `HV ${state.hypervolume.toPrecision(5)}, IGD ${state.igd.toExponential(3)}, ${state.size} pontos`;
+}
+
+// Runs logged before evaluations were stored on the track still have them in
+// their convergence curve, unless storage trimmed it
+function trackEvaluations(track) {
+    if (track.evaluations !== undefined) return track.evaluations;
+    return track.convergence ? track.convergence[track.convergence.length - 1].evaluations : '-';
+}
+
+// --- Export, Import & Persistence ---
+const RESULTS_STORAGE_KEY = 'gaPso.results';
+const RESULTS_STORAGE_CAP = 4 * 1024 * 1024; // Characters, below the usual 5 MB localStorage quota
+const EXPORT_FORMAT = 'ga-pso-runs';
+const EXPORT_VERSION = 1;
+
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+}
+
+function timestamp() {
+    return new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+}
+
+// Checked runs, or every run when nothing is checked
+function selectedRuns() {
+    const checked = [...document.querySelectorAll('#resultsTable .run-select:checked')].map(box => parseInt(box.value));
+    const ids = checked.length > 0 ? checked : Object.keys(executionHistories).map(Number);
+    return ids.sort((a, b) => a - b).map(id => executionHistories[id]).filter(Boolean);
+}
+
+function exportRunsJson() {
+    const runs = selectedRuns();
+    if (runs.length === 0) {
+        alert("Não há execuções para exportar.");
+        return;
+    }
+    const payload = { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: new Date().toISOString(), runs: runs };
+    downloadFile(`execucoes-${timestamp()}.json`, JSON.stringify(payload), 'application/json');
+}
+
+function csvCell(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportRunsCsv() {
+    const runs = selectedRuns();
+    if (runs.length === 0) {
+        alert("Não há execuções para exportar.");
+        return;
+    }
+    const header = ['id', 'algoritmo', 'funcao', 'dimensoes', 'iteracoes', 'avaliacoes', 'melhor_fitness', 'parada',
+        'erro_offline', 'tempo_recuperacao', 'melhor_factivel', 'violacao', 'hipervolume', 'igd', 'parametros', 'ajustes', 'pontos_iniciais', 'semente', 'data'];
+    const lines = [header.join(',')];
+    // One line per algorithm, so a race gives two lines with the same id
+    runs.forEach(run => {
+        run.tracks.forEach(track => {
+            const evaluations = trackEvaluations(track);
+            const state = track.landscape || {};
+            const feasibility = track.constraints || {};
+            const pareto = track.pareto || {};
+            lines.push([
+                run.id, track.label, functionLabel(run.functionName, 0, run.transform, run.dynamics, run.constraints), run.dimensions, track.iterations,
+                evaluations === '-' ? '' : evaluations, track.bestFitness, track.stopReason || '',
+                state.offlineError !== undefined ? state.offlineError : '', state.recoveryTime != null ? state.recoveryTime : '',
+                feasibility.bestFeasible != null ? feasibility.bestFeasible : '', feasibility.violation != null ? feasibility.violation : '',
+                pareto.hypervolume !== undefined ? pareto.hypervolume : '', pareto.igd !== undefined ? pareto.igd : '',
+                run.params, (run.tuning || []).map(describeTuning).join(' | '),
+                run.initialPopulation ? run.initialPopulation.length : '', run.seed, run.createdAt
+            ].map(csvCell).join(','));
+        });
+    });
+    downloadFile(`execucoes-${timestamp()}.csv`, lines.join('\n'), 'text/csv');
+}
+
+function importRuns(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        let payload;
+        try {
+            payload = JSON.parse(reader.result);
+        } catch (e) {
+            alert(`Arquivo inválido: ${e.message}`);
+            return;
+        }
+        if (!payload || payload.format !== EXPORT_FORMAT || !Array.isArray(payload.runs)) {
+            alert("O arquivo não é uma exportação de execuções deste simulador.");
+            return;
+        }
+        if (payload.version > EXPORT_VERSION) {
+            alert("O arquivo foi gerado por uma versão mais nova do simulador.");
+            return;
+        }
+
+        let imported = 0;
+        const skipped = []; // Positions in the file
+        payload.runs.forEach((run, i) => {
+            if (!isValidRun(run)) {
+                skipped.push(i + 1);
+                return;
+            }
+            try {
+                restoreRunFunction(run);
+                // Imported runs get fresh ids so they never clash with existing ones
+                const copy = restoreRun({ ...run, id: executionCount + 1 });
+                addResultRow(copy);
+                executionCount++;
+                executionHistories[copy.id] = copy;
+                imported++;
+            } catch (e) {
+                skipped.push(i + 1);
+            }
+        });
+        persistResults();
+        showResultsTab('runsPanel');
+        alert(`${imported} execução(ões) importada(s).` +
+            (skipped.length > 0 ? ` Ignoradas por formato inválido: ${skipped.join(', ')} (posição no arquivo).` : ''));
+    };
+    reader.readAsText(file);
+}
+
+const isText = value => typeof value === 'string';
+const isNumber = value => typeof value === 'number';
+const isRecord = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Optional record: absent, or an object with the given number fields
+const isOptionalState = (value, keys) => value == null || (isRecord(value) && keys.every(key => isNumber(value[key])));
+
+// Whether an imported or restored run has the fields the tables and the
+// replay read, with the types they expect; other runs are skipped. A
+// best fitness that wasn't finite was saved by JSON as null.
+function isValidRun(run) {
+    return isRecord(run) && isNumber(run.id) && isText(run.functionName) && Number.isInteger(run.dimensions)
+        && run.dimensions >= 1 && isNumber(run.seed) && isText(run.params)
+        && (run.transform == null || isRecord(run.transform))
+        && isOptionalState(run.dynamics, ['severity', 'period', 'noise'])
+        && (run.constraints == null || (isRecord(run.constraints) && Array.isArray(run.constraints.definitions)))
+        && (run.tuning === undefined || (Array.isArray(run.tuning) && run.tuning.every(event =>
+            isRecord(event) && isNumber(event.step) && isRecord(event.parameters) && isRecord(event.previous)
+            && Object.keys(event.parameters).every(key => isRecord(event.parameters[key]) && isRecord(event.previous[key])))))
+        && (run.initialPopulation == null || Array.isArray(run.initialPopulation))
+        && Array.isArray(run.tracks) && run.tracks.length > 0
+        && run.tracks.every(track => isRecord(track) && isText(track.label) && isText(track.color)
+            && isNumber(track.iterations) && (isNumber(track.bestFitness) || track.bestFitness === null)
+            && (track.stopReason === undefined || isText(track.stopReason))
+            && (track.convergence === undefined || Array.isArray(track.convergence))
+            && isOptionalState(track.landscape, ['offlineError'])
+            && isOptionalState(track.constraints, ['violation'])
+            && isOptionalState(track.pareto, ['hypervolume', 'igd', 'size']));
+}
+
+// Puts back what JSON turned into null
+function restoreRun(run) {
+    run.tracks.forEach(track => {
+        if (track.bestFitness === null) track.bestFitness = Infinity;
+    });
+    return run;
+}
+
+// Same for a batch restored from localStorage
+function isValidBatch(batch) {
+    return isRecord(batch) && isNumber(batch.id) && isText(batch.algorithm) && isText(batch.functionName)
+        && isText(batch.params) && isNumber(batch.baseSeed) && Array.isArray(batch.fitnesses) && batch.fitnesses.every(isNumber)
+        && isRecord(batch.stats) && ['best', 'worst', 'mean', 'median', 'std', 'successRate'].every(key => isNumber(batch.stats[key]));
+}
+
+// Registers the custom function an imported or restored run was made with
+function restoreRunFunction(run) {
+    if (!run.functionDefinition || functions[customKey(run.functionName)]) return;
+    try {
+        registerCustomFunction(buildCustomFunction(run.functionDefinition));
+        saveCustomDefinitions();
+    } catch (e) {
+        console.warn(`Função personalizada "${run.functionName}" não pôde ser restaurada:`, e.message);
+    }
+}
+
+// Fits the run log under the storage cap by dropping trajectories, then
+// convergence curves, then whole runs, oldest first. Only the stored copy is
+// trimmed; the runs in memory keep everything until the page is reloaded.
+function trimForStorage(runs, cap) {
+    const stored = runs.map(run => ({ ...run, tracks: run.tracks.map(track => ({ ...track })) }));
+    const sizes = stored.map(run => JSON.stringify(run).length);
+    let total = sizes.reduce((sum, size) => sum + size, 0);
+    for (const stage of ['history', 'convergence', 'run']) {
+        for (let i = 0; i < stored.length && total > cap; i++) {
+            if (stage === 'run') {
+                total -= sizes[i];
+                stored[i] = null;
+            } else if (stored[i].tracks[0][stage]) {
+                stored[i].trimmed = true;
+                stored[i].tracks.forEach(track => {
+                    delete track[stage];
+                    if (stage === 'history') {
+                        delete track.bests;
+                        delete track.details;
+                        delete track.fitnesses;
+                        delete track.offsets;
+                        delete track.fronts;
+                        delete track.objectives;
+                    }
+                });
+                total -= sizes[i];
+                sizes[i] = JSON.stringify(stored[i]).length;
+                total += sizes[i];
+            }
+        }
+    }
+    return stored.filter(Boolean);
+}
+
+function persistResults() {
+    const runs = Object.keys(executionHistories).map(Number).sort((a, b) => a - b).map(id => executionHistories[id]);
+    let cap = RESULTS_STORAGE_CAP;
+    // The real quota varies by browser; keep halving the cap until it fits
+    while (cap > 1024) {
+        try {
+            const payload = { runs: trimForStorage(runs, cap), batches: batchResults };
+            localStorage.setItem(RESULTS_STORAGE_KEY, JSON.stringify(payload));
+            return;
+        } catch (e) {
+            cap /= 2;
+        }
+    }
+    console.warn("Não foi possível salvar o histórico no navegador.");
+}
+
+function loadPersistedResults() {
+    let payload;
+    try {
+        payload = JSON.parse(localStorage.getItem(RESULTS_STORAGE_KEY));
+    } catch (e) {
+        return;
+    }
+    if (!payload) return;
+
+    (payload.runs || []).filter(isValidRun).forEach(run => {
+        try {
+            restoreRunFunction(run);
+            addResultRow(restoreRun(run));
+            executionHistories[run.id] = run;
+            executionCount = Math.max(executionCount, run.id);
+        } catch (e) {
+            console.warn(`Execução #${run.id} salva não pôde ser restaurada:`, e.message);
+        }
+    });
+    (payload.batches || []).filter(isValidBatch).forEach(batch => {
+        batchResults.push(batch);
+        logBatchResult(batch);
+    });
+}
+
+function clearResults() {
+    if (!confirm("Apagar todo o histórico de execuções e lotes, inclusive o salvo no navegador?")) return;
+    executionHistories = {};
+    executionCount = 0;
+    batchResults = [];
+    document.querySelector('#resultsTable tbody').innerHTML = '';
+    document.querySelector('#batchTable tbody').innerHTML = '';
+    document.getElementById('compareA').innerHTML = '';
+    document.getElementById('compareB').innerHTML = '';
+    document.getElementById('compareResult').innerText = '';
+    try {
+        localStorage.removeItem(RESULTS_STORAGE_KEY);
+    } catch (e) {
+        // Storage unavailable, nothing to clear
+    }
+}
+
+// --- Animation Export ---
+// A logged run is drawn again frame by frame on an offscreen canvas, the
+// chosen factor larger than the simulation canvas, with a caption giving the
+// iteration and each track's best fitness. The landscape is the cached
+// background stretched to fit, so particles and text are what gain detail.
+
+// Offscreen canvas `scale` times the size of the simulation canvas, drawn on
+// in the simulation canvas' coordinates
+function exportSurface(scale) {
+    const surface = document.createElement('canvas');
+    surface.width = width * scale;
+    surface.height = height * scale;
+    const context = surface.getContext('2d');
+    context.setTransform(scale, 0, 0, scale, 0, 0);
+    return { surface, context };
+}
+
+function pngBytes(surface) {
+    return new Promise(resolve => surface.toBlob(resolve, 'image/png'))
+        .then(blob => blob.arrayBuffer())
+        .then(buffer => new Uint8Array(buffer));
+}
+
+// Iteration, best-so-far of each track and the latest parameter change in a
+// box near the bottom left
+function drawCaption(context, tracks, frame, tuning) {
+    const lines = [{ text: `Iteração ${frame}`, color: '#2c3e50' }];
+    tracks.forEach(track => {
+        if (!track.convergence) return;
+        lines.push({ text: `${track.label}: ${track.convergence[frame].best.toExponential(4)}`, color: track.color });
+    });
+    const applied = tuning.filter(event => event.step <= frame);
+    if (applied.length > 0) lines.push({ text: `Ajuste ${describeTuning(applied[applied.length - 1])}`, color: '#e67e22' });
+    context.font = '12px Consolas, monospace';
+    context.textBaseline = 'top';
+    const boxWidth = Math.max(...lines.map(line => context.measureText(line.text).width)) + 16;
+    const boxHeight = lines.length * 16 + 8;
+    context.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    // Clear of the tick labels along both axes
+    const top = height - boxHeight - 24;
+    context.fillRect(40, top, boxWidth, boxHeight);
+    lines.forEach((line, i) => {
+        context.fillStyle = line.color;
+        context.fillText(line.text, 48, top + 6 + i * 16);
+    });
+}
+
+function exportAnimation(id) {
+    if (isRunning || isReplaying || isBatchRunning) return;
+    const data = executionHistories[id];
+    if (!data || data.trimmed) return;
+    const loaded = loadRunContext(data);
+    if (!loaded) return;
+
+    const tracks = data.tracks;
+    const gifFormat = document.getElementById('animationFormat').value === 'gif';
+    const fps = Math.max(1, parseInt(document.getElementById('animationFps').value) || 10);
+    const skip = Math.max(1, parseInt(document.getElementById('animationSkip').value) || 1);
+    const { surface, context } = exportSurface(parseInt(document.getElementById('animationScale').value));
+
+    // Every skip-th iteration, always ending with the last one
+    const length = tracks[0].history.length;
+    const frames = [];
+    for (let frame = 0; frame < length; frame += skip) frames.push(frame);
+    if (frames[frames.length - 1] !== length - 1) frames.push(length - 1);
+
+    const gif = gifFormat ? new GifEncoder(surface.width, surface.height) : null;
+    const zip = gifFormat ? null : new ZipArchive();
+    const digits = String(length - 1).length;
+
+    // The landscape follows a dynamic run's offsets, and in slice mode the
+    // best position as often as a replay redraws it
+    const offsets = tracks[0].offsets && tracks[0].offsets.length > 0 ? tracks[0].offsets : null;
+    const slice = dimensions > 2 && document.getElementById('viewMode').value === 'slice';
+    let previous = null;
+    const drawLandscape = frame => {
+        const moved = offsets && (previous === null || offsets[frame].some((x, i) => x !== offsets[previous][i]));
+        const resliced = slice && (previous === null
+            || Math.floor(frame / SLICE_REDRAW_INTERVAL) !== Math.floor(previous / SLICE_REDRAW_INTERVAL));
+        previous = frame;
+        if (offsets) landscapeOffset = offsets[frame];
+        if (!moved && !resliced) return null;
+        const [, best] = tracks.map(track => [track.convergence[frame].best, track.bests[frame]])
+            .reduce((a, b) => (b[0] < a[0] ? b : a));
+        return drawBackground(sliceCenter(best));
+    };
+
+    const addFrame = frame => {
+        render(trackLayers(tracks, frame), context);
+        drawCaption(context, tracks, frame, data.tuning || []);
+        if (gif) {
+            gif.addFrame(context.getImageData(0, 0, surface.width, surface.height).data, 1000 / fps);
+            return null;
+        }
+        return pngBytes(surface).then(bytes => zip.addFile(`quadro-${String(frame).padStart(digits, '0')}.png`, bytes));
+    };
+
+    isBatchRunning = true;
+    setBatchControlsDisabled(true);
+    const status = document.getElementById('animationStatus');
+
+    // One frame at a time, yielding in between so progress can be shown
+    const exportNext = index => {
+        if (index >= frames.length) return null;
+        status.innerText = `Quadro ${index + 1} de ${frames.length}...`;
+        return Promise.resolve(drawLandscape(frames[index]))
+            .then(() => addFrame(frames[index]))
+            .then(() => new Promise(resolve => setTimeout(resolve, 0)))
+            .then(() => exportNext(index + 1));
+    };
+
+    loaded.then(() => exportNext(0)).then(() => {
+        const name = `execucao-${id}-${timestamp()}`;
+        if (gif) downloadFile(`${name}.gif`, gif.finish(), 'image/gif');
+        else downloadFile(`${name}.zip`, zip.finish(), 'application/zip');
+        status.innerText = `Execução #${id} exportada (${frames.length} quadros).`;
+    }).catch(e => {
+        status.innerText = `Exportação interrompida: ${e.message}`;
+    }).then(() => {
+        isBatchRunning = false;
+        setBatchControlsDisabled(false);
+        // Back to the landscape as selected
+        landscapeOffset = null;
+        drawBackground();
+    });
+}
+
+// The simulation canvas as it's shown, at the chosen resolution
+function exportCanvasPng() {
+    const { surface, context } = exportSurface(parseInt(document.getElementById('animationScale').value));
+    render(renderedLayers, context);
+    pngBytes(surface).then(bytes => downloadFile(`canvas-${timestamp()}.png`, bytes, 'image/png'));
+}
+
+// --- Shareable Links ---
+// The sidebar configuration is kept in the URL hash, one key per field, e.g.
+// #v=1&fn=rastrigin&d=10&algo=ga&ga.popSize=50&iter=200&speed=30&seed=7.
+// Links are read field by field: unknown keys and unreadable values are
+// skipped and a missing field keeps its default, so old links stay valid as
+// fields come and go. Algorithm parameters go by their registry keys.
+const LINK_VERSION = 1;
+
+// Hash for the sidebar as it is, without the leading '#'. The seed is the
+// one typed in, otherwise the one the last run drew.
+function configHash(autoRun = false) {
+    const algoType = document.getElementById('algorithmSelect').value;
+    const seed = parseInt(document.getElementById('seedInput').value);
+    const config = buildRunConfig(algoType, Number.isInteger(seed) ? seed >>> 0 : currentSeed);
+    const params = new URLSearchParams();
+    params.set('v', LINK_VERSION);
+
+    const fn = functions[currentFunctionKey];
+    params.set('fn', currentFunctionKey);
+    if (fn.isCustom) params.set('def', JSON.stringify(customDefinition(fn)));
+    params.set('d', dimensions);
+    const transform = readTransform();
+    if (transform) {
+        if (transform.shift) params.set('shift', 1);
+        if (transform.rotate) params.set('rotate', 1);
+        params.set('tseed', transform.seed);
+    }
+
+    params.set('algo', algoType);
+    Object.entries(config.parameters).forEach(([type, values]) => {
+        Object.entries(values).forEach(([key, value]) => {
+            params.set(`${type}.${key}`, typeof value === 'boolean' ? Number(value) : value);
+        });
+    });
+
+    if (!Number.isNaN(config.maxIterations)) params.set('iter', config.maxIterations);
+    const stopping = config.stopping;
+    if (stopping.maxEvaluations) params.set('evals', stopping.maxEvaluations);
+    if (stopping.targetError !== null) params.set('target', stopping.targetError);
+    if (stopping.stagnation) params.set('stagnation', stopping.stagnation);
+    if (stopping.timeLimit) params.set('time', stopping.timeLimit);
+
+    const dynamics = config.dynamics;
+    if (dynamics.motion !== 'static') {
+        params.set('motion', dynamics.motion);
+        params.set('severity', dynamics.severity);
+        params.set('period', dynamics.period);
+    }
+    if (dynamics.noise) params.set('noise', dynamics.noise);
+
+    const constraints = constraintsOf(config);
+    if (constraints) {
+        params.set('con', constraints.definitions.join('\n'));
+        params.set('method', constraints.method);
+        params.set('penalty', constraints.penalty);
+        params.set('tolerance', constraints.tolerance);
+    }
+
+    params.set('speed', document.getElementById('speedRange').value);
+    if (config.seed !== null) params.set('seed', config.seed);
+    if (autoRun) params.set('run', 1);
+    return params.toString();
+}
+
+// Keeps the address bar in step with the sidebar, without adding history entries
+function updateLink() {
+    history.replaceState(null, '', '#' + configHash());
+}
+
+function copyLink() {
+    const url = location.href.split('#')[0] + '#' + configHash(document.getElementById('linkAutoRun').checked);
+    const status = document.getElementById('linkStatus');
+    if (!navigator.clipboard) {
+        window.prompt("Copie o link:", url);
+        return;
+    }
+    navigator.clipboard.writeText(url)
+        .then(() => {
+            status.innerText = "Link copiado.";
+        })
+        .catch(() => window.prompt("Copie o link:", url));
+}
+
+// Fills the sidebar from a link and redraws the landscape. Returns whether
+// the link asks for the run to start right away.
+function applyLink(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if (!params.has('v')) return false;
+    const number = (key, parse = parseFloat) => {
+        const value = parse(params.get(key));
+        return Number.isNaN(value) ? null : value;
+    };
+    const numberOr = (key, fallback, parse = parseFloat) => {
+        const value = number(key, parse);
+        return value !== null ? value : fallback;
+    };
+    const setField = (id, value) => {
+        if (value !== null) document.getElementById(id).value = value;
+    };
+    // Choices the page no longer offers are skipped
+    const choice = (key, select) => {
+        const value = params.get(key);
+        return [...select.options].some(option => option.value === value) ? value : null;
+    };
+    const notes = [];
+
+    const algoSelect = document.getElementById('algorithmSelect');
+    const algoType = choice('algo', algoSelect);
+    if (algoType) {
+        algoSelect.value = algoType;
+        showAlgorithmParams(algoType);
+        buildSweepControls();
+    }
+    Object.entries(algorithms).forEach(([type, entry]) => {
+        const values = {};
+        entry.params.forEach(param => {
+            const key = `${type}.${param.key}`;
+            if (!params.has(key)) return;
+            if (param.type === 'boolean') {
+                values[param.key] = params.get(key) === '1';
+                return;
+            }
+            const value = param.type === 'choice'
+                ? choice(key, document.getElementById(paramInputId(type, param.key)))
+                : number(key, param.type === 'int' ? parseInt : parseFloat);
+            if (value !== null) values[param.key] = value;
+        });
+        setParams(type, values);
+        // Checked as a run would check them, so a bad value can't autostart
+        try {
+            algorithmParams(type, values);
+        } catch (e) {
+            notes.push(e.message);
+        }
+    });
+
+    setField('maxIterations', number('iter', parseInt));
+    document.getElementById('maxEvaluations').value = numberOr('evals', 0, parseInt);
+    document.getElementById('targetError').value = numberOr('target', '');
+    document.getElementById('stagnation').value = numberOr('stagnation', 0, parseInt);
+    document.getElementById('timeLimit').value = numberOr('time', 0);
+
+    document.getElementById('dynamicMotion').value = choice('motion', document.getElementById('dynamicMotion')) || 'static';
+    setField('dynamicSeverity', number('severity'));
+    setField('dynamicPeriod', number('period', parseInt));
+    document.getElementById('dynamicNoise').value = numberOr('noise', 0);
+    refreshDynamicsVisibility();
+
+    const constraints = readConstraints();
+    setConstraintControls({
+        definitions: params.has('con') ? params.get('con').split('\n') : [],
+        method: choice('method', document.getElementById('constraintMethod')) || constraints.method,
+        penalty: numberOr('penalty', constraints.penalty),
+        tolerance: numberOr('tolerance', constraints.tolerance)
+    });
+
+    const shift = params.get('shift') === '1';
+    const rotate = params.get('rotate') === '1';
+    setTransformControls(shift || rotate ? { shift, rotate, seed: numberOr('tseed', 1, parseInt) } : null);
+
+    setField('speedRange', number('speed', parseInt));
+    document.getElementById('seedInput').value = numberOr('seed', '', parseInt);
+
+    // Custom functions travel with their definition. Anyone can write a
+    // link, so a new one is only kept, and run, if the user agrees.
+    if (params.has('def')) {
+        try {
+            const definition = JSON.parse(params.get('def'));
+            if (!Object.prototype.hasOwnProperty.call(functions, customKey(definition.name))) {
+                const fn = buildCustomFunction(definition);
+                const action = params.get('run') === '1' ? 'Adicioná-la e iniciar a execução' : 'Adicioná-la às funções salvas';
+                if (confirm(`O link traz a função personalizada "${fn.name}":\n${fn.expression}\n\n${action}?`)) {
+                    registerCustomFunction(fn);
+                    saveCustomDefinitions();
+                } else {
+                    notes.push(`A função personalizada "${fn.name}" do link não foi adicionada.`);
+                }
+            }
+        } catch (e) {
+            notes.push(`Função personalizada inválida: ${e.message}`);
+        }
+    }
+    const d = number('d', parseInt);
+    if (d !== null) setDimensions(clampDimensions(d));
+    const key = params.get('fn');
+    if (Object.prototype.hasOwnProperty.call(functions, key)) {
+        document.getElementById('functionSelect').value = key;
+        selectFunction(key);
+    } else {
+        if (key) notes.push(`A função "${key}" não está disponível neste navegador.`);
+        applyFunction();
+        resetSimulation();
+    }
+
+    if (number('v', parseInt) > LINK_VERSION) notes.push("Link de uma versão mais nova; campos desconhecidos foram ignorados.");
+    const status = document.getElementById('linkStatus');
+    status.innerText = notes.length > 0 ? notes.join(' ') : "Configuração carregada do link.";
+    status.classList.toggle('error-text', notes.length > 0);
+    return params.get('run') === '1' && notes.length === 0;
+}
+
+// --- Batch Experiments ---
+
+function startBatch() {
+    if (isRunning || isReplaying || isBatchRunning) return;
+
+    const runs = parseInt(document.getElementById('batchRuns').value);
+    const tolerance = parseFloat(document.getElementById('batchTolerance').value);
+    const algoType = document.getElementById('algorithmSelect').value;
+    const baseSeed = readSeed();
+    const config = buildRunConfig(algoType, baseSeed);
+    const criteria = stoppingCriteria(config);
+    if (!(runs > 0) || !isBounded(criteria)) {
+        alert("Defina o número de execuções e um máximo de iterações, de avaliações ou um tempo limite para o modo em lote.");
+        return;
+    }
+
+    if (algoType === 'race') {
+        alert("O modo em lote compara um algoritmo por vez: rode um lote de GA e outro de PSO e compare-os.");
+        return;
+    }
+
+    resetSimulation(false);
+    if (!checkDimensions()) return;
+
+    const batch = {
+        id: batchResults.length + 1,
+        algorithm: algorithms[algoType].label,
+        functionName: describeFunction(),
+        params: describeParams(algoType, config.parameters),
+        criteria: describeStopping(criteria),
+        // Runs on a dynamic landscape are scored by offline error, constrained ones by their best feasible point
+        metric: scoreMetric(config),
+        baseSeed: baseSeed,
+        fitnesses: [],
+        evaluations: []
+    };
+
+    isBatchRunning = true;
+    setBatchControlsDisabled(true);
+    const status = document.getElementById('batchStatus');
+
+    // One engine request per run so progress can be shown between them
+    const runNext = () => {
+        const r = batch.fitnesses.length;
+        if (r >= runs) {
+            finishBatch(batch, tolerance);
+            return;
+        }
+
+        engine.call('run', { ...config, seed: (baseSeed + r) >>> 0 }).then(result => {
+            const member = result.members[0];
+            batch.fitnesses.push(scoreOf(member));
+            batch.evaluations.push(member.evaluations);
+            status.innerText = `Execução ${r + 1} de ${runs}...`;
+            runNext();
+        }).catch(e => {
+            isBatchRunning = false;
+            setBatchControlsDisabled(false);
+            status.innerText = `Lote interrompido: ${e.message}`;
+        });
+    };
+    runNext();
+}
+
+function finishBatch(batch, tolerance) {
+    const target = batch.metric === 'offline' ? 0 : globalMinOf(currentFunction, dimensions);
+    batch.stats = summarize(batch.fitnesses, target, tolerance);
+    batch.tolerance = tolerance;
+    batchResults.push(batch);
+
+    isBatchRunning = false;
+    setBatchControlsDisabled(false);
+    document.getElementById('batchStatus').innerText = `Lote #${batch.id} concluído (${batch.fitnesses.length} execuções).`;
+
+    logBatchResult(batch);
+    persistResults();
+    showResultsTab('batchPanel');
+}
+
+function setBatchControlsDisabled(disabled) {
+    document.getElementById('btnBatch').disabled = disabled;
+    document.getElementById('btnSweep').disabled = disabled;
+    document.getElementById('btnRun').disabled = disabled;
+    document.getElementById('algorithmSelect').disabled = disabled;
+    document.getElementById('functionSelect').disabled = disabled;
+    document.getElementById('transformControls').disabled = disabled;
+    document.getElementById('dynamicsControls').disabled = disabled;
+    document.getElementById('constraintControls').disabled = disabled;
+    document.getElementById('dimensions').disabled = disabled;
+}
+
+function logBatchResult(batch) {
+    const tbody = document.querySelector('#batchTable tbody');
+    const row = document.createElement('tr');
+    const s = batch.stats;
+
+    row.innerHTML = `
+        <td>${escapeHtml(batch.id)}</td>
+        <td>${escapeHtml(batch.algorithm)}${batch.metric && batch.metric !== 'fitness' ? ` (${escapeHtml(scoreLabels[batch.metric])})` : ''}</td>
+        <td>${escapeHtml(batch.functionName)}</td>
+        <td>${batch.fitnesses.length} × ${escapeHtml(batch.criteria || `${batch.iterations} it.`)}</td>
+        <td>${batch.evaluations ? Math.round(mean(batch.evaluations)) : '-'}</td>
+        <td>${s.best.toExponential(4)}</td>
+        <td>${s.worst.toExponential(4)}</td>
+        <td>${s.mean.toExponential(4)}</td>
+        <td>${s.median.toExponential(4)}</td>
+        <td>${s.std.toExponential(4)}</td>
+        <td>${(s.successRate * 100).toFixed(1)}%</td>
+        <td>${escapeHtml(batch.params)}</td>
+        <td>${escapeHtml(batch.baseSeed)}</td>
+    `;
+    tbody.insertBefore(row, tbody.firstChild);
+
+    // Offer the new batch in both comparison selectors
+    ['compareA', 'compareB'].forEach(id => {
+        const option = document.createElement('option');
+        option.value = batch.id;
+        option.innerText = `#${batch.id} ${batch.algorithm} - ${batch.functionName} (${batch.params})`;
+        document.getElementById(id).appendChild(option);
+    });
+    document.getElementById('compareB').value = batch.id;
+    if (batchResults.length > 1) {
+        document.getElementById('compareA').value = batchResults[batchResults.length - 2].id;
+    }
+}
+
+function compareBatches() {
+    const a = batchResults.find(b => b.id === parseInt(document.getElementById('compareA').value));
+    const b = batchResults.find(b => b.id === parseInt(document.getElementById('compareB').value));
+    const output = document.getElementById('compareResult');
+    if (!a || !b || a === b) {
+        output.innerText = "Selecione dois lotes diferentes.";
+        return;
+    }
+    if (a.functionName !== b.functionName) {
+        output.innerText = "Os lotes usam funções diferentes; a comparação não faz sentido.";
+        return;
+    }
+
+    const test = wilcoxonRankSum(a.fitnesses, b.fitnesses);
+    const alpha = 0.05;
+    let verdict = "sem diferença significativa";
+    if (test.p < alpha) {
+        const winner = a.stats.median < b.stats.median ? a : b;
+        verdict = `diferença significativa, lote #${winner.id} (${winner.algorithm}) é melhor`;
+    }
+    output.innerText = `#${a.id} mediana ${a.stats.median.toExponential(4)} vs #${b.id} mediana ${b.stats.median.toExponential(4)} | ` +
+        `Wilcoxon rank-sum: U=${test.u.toFixed(1)}, z=${test.z.toFixed(3)}, p=${test.p.toExponential(3)} → ${verdict} (α=${alpha})`;
+}
+
+function showResultsTab(panelId) {
+    document.querySelectorAll('.results-tabs .tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.tab === panelId);
+    });
+    document.querySelectorAll('.tab-panel').forEach(panel => {
+        panel.classList.toggle('hidden', panel.id !== panelId);
+    });
+}
+
+// --- Parameter Sweep ---
+// Headless runs over two numeric parameters of the selected algorithm, on a
+// grid or at random points, R repetitions each with the same seeds. Only the
+// latest sweep is kept; it can be exported.
+
+// { algorithm, algorithmLabel, functionName, params, parameters, criteria,
+//   metric: see scoreMetric(), target, tolerance, baseSeed, repetitions,
+//   mode, samples, x: axis, y: axis, points: [{ x, y, cell, scores }],
+//   status: 'running' | 'done' | 'cancelled', createdAt }, axis: { key, label, min, max, steps }
+let currentSweep = null;
+let sweepCancelled = false;
+
+const SWEEP_EXPORT_FORMAT = 'ga-pso-sweep';
+
+// Heatmap margins for the axis labels
+const SWEEP_MARGIN = { left: 56, right: 8, top: 8, bottom: 30 };
+
+// Axis selectors offer the numeric parameters of the selected algorithm
+function buildSweepControls() {
+    const algoType = document.getElementById('algorithmSelect').value;
+    const params = algoType === 'race' ? [] : sweepableParams(algoType, readParams(algoType));
+    ['X', 'Y'].forEach((axis, i) => {
+        const select = document.getElementById(`sweepParam${axis}`);
+        select.innerHTML = '';
+        params.forEach(param => {
+            const option = document.createElement('option');
+            option.value = param.key;
+            option.innerText = param.label;
+            select.appendChild(option);
+        });
+        if (params.length > 0) {
+            select.value = params[Math.min(i, params.length - 1)].key;
+            fillSweepRange(axis);
+        }
+    });
+}
+
+// Suggested range of a parameter: its schema limits, or up to twice the default
+function fillSweepRange(axis) {
+    const algoType = document.getElementById('algorithmSelect').value;
+    const key = document.getElementById(`sweepParam${axis}`).value;
+    const param = algorithms[algoType].params.find(p => p.key === key);
+    if (!param) return;
+    const min = param.min !== undefined ? param.min : 0;
+    const max = param.max !== undefined ? param.max : Math.max(min + 1, 2 * param.default);
+    document.getElementById(`sweepMin${axis}`).value = min;
+    document.getElementById(`sweepMax${axis}`).value = max;
+}
+
+function readSweepAxis(algoType, axis) {
+    const key = document.getElementById(`sweepParam${axis}`).value;
+    const param = algorithms[algoType].params.find(p => p.key === key);
+    return {
+        key: key,
+        label: param ? param.short : key,
+        min: parseFloat(document.getElementById(`sweepMin${axis}`).value),
+        max: parseFloat(document.getElementById(`sweepMax${axis}`).value),
+        steps: parseInt(document.getElementById(`sweepSteps${axis}`).value)
+    };
+}
+
+function refreshSweepModeVisibility() {
+    const random = document.getElementById('sweepMode').value === 'random';
+    document.getElementById('sweepSamplesLabel').classList.toggle('hidden', !random);
+}
+
+function startSweep() {
+    if (isRunning || isReplaying || isBatchRunning) return;
+
+    const algoType = document.getElementById('algorithmSelect').value;
+    if (algoType === 'race') {
+        alert("A varredura ajusta um algoritmo por vez; escolha um algoritmo que não seja a corrida.");
+        return;
+    }
+    const baseSeed = readSeed();
+    const config = buildRunConfig(algoType, baseSeed);
+    const criteria = stoppingCriteria(config);
+    const repetitions = parseInt(document.getElementById('sweepRepetitions').value);
+    const tolerance = parseFloat(document.getElementById('sweepTolerance').value);
+    const mode = document.getElementById('sweepMode').value;
+    const samples = parseInt(document.getElementById('sweepSamples').value);
+    const x = readSweepAxis(algoType, 'X');
+    const y = readSweepAxis(algoType, 'Y');
+
+    if (!isBounded(criteria)) {
+        alert("Defina um máximo de iterações, de avaliações ou um tempo limite para a varredura.");
+        return;
+    }
+    const sweepable = sweepableParams(algoType, config.parameters[algoType]).map(param => param.key);
+    if (!sweepable.includes(x.key) || !sweepable.includes(y.key) || x.key === y.key) {
+        alert("Escolha dois parâmetros diferentes, usados pelos operadores atuais, para os eixos da varredura.");
+        return;
+    }
+    const validAxis = axis => Number.isFinite(axis.min) && Number.isFinite(axis.max) && axis.steps > 0;
+    if (!validAxis(x) || !validAxis(y) || !(repetitions > 0) || (mode === 'random' && !(samples > 0))) {
+        alert("Preencha as faixas, os passos, as repetições e, na busca aleatória, o número de amostras.");
+        return;
+    }
+    let points;
+    try {
+        points = sweepPoints(algoType, { x, y, mode, samples }, createRng(baseSeed));
+    } catch (e) {
+        alert(`Faixa inválida: ${e.message}`);
+        return;
+    }
+
+    resetSimulation(false);
+    if (!checkDimensions()) return;
+
+    const metric = scoreMetric(config);
+    const sweep = {
+        algorithm: algoType,
+        algorithmLabel: algorithms[algoType].label,
+        functionName: describeFunction(),
+        params: describeParams(algoType, config.parameters),
+        parameters: config.parameters[algoType],
+        criteria: describeStopping(criteria),
+        metric: metric,
+        target: metric === 'offline' ? 0 : globalMinOf(currentFunction, dimensions),
+        tolerance: tolerance,
+        baseSeed: baseSeed,
+        repetitions: repetitions,
+        mode: mode,
+        samples: mode === 'random' ? samples : null,
+        x: x,
+        y: y,
+        points: points.map(point => ({ ...point, scores: [] })),
+        status: 'running',
+        createdAt: new Date().toISOString()
+    };
+    currentSweep = sweep;
+    sweepCancelled = false;
+
+    isBatchRunning = true;
+    setBatchControlsDisabled(true);
+    document.getElementById('btnCancelSweep').classList.remove('hidden');
+    showResultsTab('sweepPanel');
+    drawSweep();
+    const status = document.getElementById('sweepStatus');
+
+    // One engine request per run; every point runs the same R seeds
+    const total = sweep.points.length * repetitions;
+    let done = 0;
+    const runNext = () => {
+        if (sweepCancelled || done >= total) {
+            finishSweep(sweep, sweepCancelled ? 'cancelled' : 'done');
+            return;
+        }
+        const point = sweep.points[Math.floor(done / repetitions)];
+        const r = done % repetitions;
+        const params = { ...config.parameters[algoType], [x.key]: point.x, [y.key]: point.y };
+        const parameters = { ...config.parameters, [algoType]: params };
+
+        engine.call('run', { ...config, parameters, seed: (baseSeed + r) >>> 0 }).then(result => {
+            point.scores.push(scoreOf(result.members[0]));
+            done++;
+            status.innerText = `Execução ${done} de ${total}...`;
+            if (r === repetitions - 1) drawSweep();
+            runNext();
+        }).catch(e => {
+            finishSweep(sweep, 'cancelled');
+            status.innerText = `Varredura interrompida: ${e.message}`;
+        });
+    };
+    runNext();
+}
+
+function finishSweep(sweep, status) {
+    sweep.status = status;
+    isBatchRunning = false;
+    setBatchControlsDisabled(false);
+    document.getElementById('btnCancelSweep').classList.add('hidden');
+    const runs = sweep.points.reduce((sum, point) => sum + point.scores.length, 0);
+    document.getElementById('sweepStatus').innerText = status === 'done'
+        ? `Varredura concluída (${runs} execuções).`
+        : `Varredura cancelada após ${runs} execuções.`;
+    drawSweep();
+}
+
+// Grid value of an axis at column/row `i`; random points are binned to these
+function sweepAxisValue(axis, i) {
+    return axis.steps > 1 ? axis.min + (axis.max - axis.min) * i / (axis.steps - 1) : axis.min;
+}
+
+// Cells with finished runs: { cell, stats (see summarize()), best point by mean score }
+function sweepCells(sweep) {
+    const byCell = new Map();
+    sweep.points.filter(point => point.scores.length > 0).forEach(point => {
+        const key = point.cell.join(',');
+        if (!byCell.has(key)) byCell.set(key, []);
+        byCell.get(key).push(point);
+    });
+    return [...byCell.values()].map(points => ({
+        cell: points[0].cell,
+        stats: summarize(points.flatMap(point => point.scores), sweep.target, sweep.tolerance),
+        best: points.reduce((a, b) => (mean(b.scores) < mean(a.scores) ? b : a))
+    }));
+}
+
+// Cell colors run from the best (low end of the colormap) to the worst:
+// mean error on a log scale, or success rate
+function sweepShade(sweep, cells, metric) {
+    if (metric === 'success') return stats => 1 - stats.successRate;
+    const logError = stats => Math.log10(Math.max(stats.mean - sweep.target, 0) + 1e-12);
+    const logs = cells.map(c => logError(c.stats)).filter(Number.isFinite);
+    const low = Math.min(...logs);
+    const high = Math.max(...logs);
+    return stats => {
+        const value = logError(stats);
+        if (!Number.isFinite(value)) return 1;
+        return high > low ? (value - low) / (high - low) : 0;
+    };
+}
+
+const sweepCanvas = document.getElementById('sweepCanvas');
+const sweepCtx = sweepCanvas.getContext('2d');
+
+function sweepCellSize(sweep) {
+    return {
+        w: (sweepCanvas.width - SWEEP_MARGIN.left - SWEEP_MARGIN.right) / sweep.x.steps,
+        h: (sweepCanvas.height - SWEEP_MARGIN.top - SWEEP_MARGIN.bottom) / sweep.y.steps
+    };
+}
+
+function drawSweep() {
+    const w = sweepCanvas.width;
+    const h = sweepCanvas.height;
+    sweepCtx.clearRect(0, 0, w, h);
+    const sweep = currentSweep;
+    if (!sweep) return;
+
+    const metric = document.getElementById('sweepMetric').value;
+    const cells = sweepCells(sweep);
+    const shade = sweepShade(sweep, cells, metric);
+    const table = colormapTable(document.getElementById('colormapSelect').value);
+    const size = sweepCellSize(sweep);
+    const cellX = col => SWEEP_MARGIN.left + col * size.w;
+    // Row 0 holds the lowest y value, at the bottom
+    const cellY = row => h - SWEEP_MARGIN.bottom - (row + 1) * size.h;
+
+    // Cells without runs yet stay gray
+    sweepCtx.fillStyle = '#ecf0f1';
+    sweepCtx.fillRect(SWEEP_MARGIN.left, SWEEP_MARGIN.top, size.w * sweep.x.steps, size.h * sweep.y.steps);
+
+    sweepCtx.font = '10px monospace';
+    sweepCtx.textAlign = 'center';
+    sweepCtx.textBaseline = 'middle';
+    let winner = null;
+    cells.forEach(entry => {
+        const t = Math.max(0, Math.min(1, shade(entry.stats)));
+        const i = Math.round(t * 255) * 3;
+        const [col, row] = entry.cell;
+        sweepCtx.fillStyle = `rgb(${table[i]}, ${table[i + 1]}, ${table[i + 2]})`;
+        sweepCtx.fillRect(cellX(col), cellY(row), Math.ceil(size.w), Math.ceil(size.h));
+        if (!winner || t < winner.t) winner = { entry, t };
+
+        if (size.w >= 44 && size.h >= 14) {
+            const text = metric === 'success'
+                ? `${Math.round(entry.stats.successRate * 100)}%`
+                : entry.stats.mean.toExponential(1);
+            sweepCtx.fillStyle = t < 0.5 ? 'white' : 'black';
+            sweepCtx.fillText(text, cellX(col) + size.w / 2, cellY(row) + size.h / 2);
+        }
+    });
+
+    if (winner) {
+        const [col, row] = winner.entry.cell;
+        sweepCtx.strokeStyle = '#e74c3c';
+        sweepCtx.lineWidth = 2;
+        sweepCtx.strokeRect(cellX(col) + 1, cellY(row) + 1, size.w - 2, size.h - 2);
     }
-};
 
-let currentFunction = functions.sphere;
+    // Axis values, thinned out so they don't overlap
+    const format = v => String(Number(v.toPrecision(3)));
+    sweepCtx.fillStyle = '#2c3e50';
+    const everyX = Math.ceil(40 / size.w);
+    for (let col = 0; col < sweep.x.steps; col += everyX) {
+        sweepCtx.textAlign = 'center';
+        sweepCtx.textBaseline = 'top';
+        sweepCtx.fillText(format(sweepAxisValue(sweep.x, col)), cellX(col) + size.w / 2, h - SWEEP_MARGIN.bottom + 3);
+    }
+    const everyY = Math.ceil(14 / size.h);
+    for (let row = 0; row < sweep.y.steps; row += everyY) {
+        sweepCtx.textAlign = 'right';
+        sweepCtx.textBaseline = 'middle';
+        sweepCtx.fillText(format(sweepAxisValue(sweep.y, row)), SWEEP_MARGIN.left - 4, cellY(row) + size.h / 2);
+    }
+    sweepCtx.textAlign = 'right';
+    sweepCtx.textBaseline = 'bottom';
+    sweepCtx.fillText(sweep.x.label, w - SWEEP_MARGIN.right, h - 1);
+    sweepCtx.textAlign = 'left';
+    sweepCtx.textBaseline = 'top';
+    sweepCtx.fillText(sweep.y.label, 2, SWEEP_MARGIN.top);
 
-// --- Utils ---
-function map(value, start1, stop1, start2, stop2) {
-    return start2 + (stop2 - start2) * ((value - start1) / (stop1 - start1));
+    const what = metric === 'success' ? `taxa de sucesso (erro ≤ ${sweep.tolerance})` : `${scoreLabels[sweep.metric]} médio`;
+    const search = sweep.mode === 'random' ? `busca aleatória, ${sweep.samples} amostras` : 'grade';
+    document.getElementById('sweepInfo').innerText =
+        `${sweep.algorithmLabel} - ${sweep.functionName} | ${search} × ${sweep.repetitions} repetições, ${sweep.criteria} | ` +
+        `cor: ${what}, mais escuro = melhor, melhor célula em vermelho | clique numa célula para usar seus parâmetros`;
 }
 
-function random(min, max) {
-    return Math.random() * (max - min) + min;
+// Loads the best point of the clicked cell into the sidebar
+function selectSweepCell(e) {
+    const sweep = currentSweep;
+    if (!sweep || isRunning || isReplaying || isBatchRunning) return;
+    const rect = sweepCanvas.getBoundingClientRect();
+    const px = (e.clientX - rect.left) * sweepCanvas.width / rect.width;
+    const py = (e.clientY - rect.top) * sweepCanvas.height / rect.height;
+    const size = sweepCellSize(sweep);
+    const col = Math.floor((px - SWEEP_MARGIN.left) / size.w);
+    const row = Math.floor((sweepCanvas.height - SWEEP_MARGIN.bottom - py) / size.h);
+    const entry = sweepCells(sweep).find(c => c.cell[0] === col && c.cell[1] === row);
+    if (!entry) return;
+
+    const select = document.getElementById('algorithmSelect');
+    if (select.value !== sweep.algorithm) {
+        select.value = sweep.algorithm;
+        showAlgorithmParams(sweep.algorithm);
+        resetSimulation();
+    }
+    setParams(sweep.algorithm, { ...sweep.parameters, [sweep.x.key]: entry.best.x, [sweep.y.key]: entry.best.y });
+    document.getElementById('sweepStatus').innerText =
+        `Parâmetros carregados: ${sweep.x.label}=${entry.best.x}, ${sweep.y.label}=${entry.best.y} ` +
+        `(média ${entry.stats.mean.toExponential(3)}, sucesso ${(entry.stats.successRate * 100).toFixed(0)}%).`;
 }
 
-function gaussianRandom(mean=0, stdev=1) {
-    const u = 1 - Math.random(); // Converting [0,1) to (0,1]
-    const v = Math.random();
-    const z = Math.sqrt( -2.0 * Math.log( u ) ) * Math.cos( 2.0 * Math.PI * v );
-    return z * stdev + mean;
+function exportSweepJson() {
+    if (!currentSweep) {
+        alert("Não há varredura para exportar.");
+        return;
+    }
+    const payload = { format: SWEEP_EXPORT_FORMAT, version: 1, sweep: currentSweep };
+    downloadFile(`varredura-${timestamp()}.json`, JSON.stringify(payload, null, 2), 'application/json');
 }
 
-// --- Visualization ---
-// Cache background to improve performance
-let backgroundCanvas = document.createElement('canvas');
-backgroundCanvas.width = width;
-backgroundCanvas.height = height;
-let bgCtx = backgroundCanvas.getContext('2d');
+// One line per sampled point with the statistics of its repetitions
+function exportSweepCsv() {
+    const sweep = currentSweep;
+    if (!sweep) {
+        alert("Não há varredura para exportar.");
+        return;
+    }
+    const header = [sweep.x.key, sweep.y.key, 'execucoes', 'melhor', 'pior', 'media', 'mediana', 'desvio', 'taxa_sucesso'];
+    const lines = [header.join(',')];
+    sweep.points.filter(point => point.scores.length > 0).forEach(point => {
+        const s = summarize(point.scores, sweep.target, sweep.tolerance);
+        lines.push([point.x, point.y, point.scores.length, s.best, s.worst, s.mean, s.median, s.std, s.successRate].map(csvCell).join(','));
+    });
+    downloadFile(`varredura-${timestamp()}.csv`, lines.join('\n'), 'text/csv');
+}
 
-function drawBackground() {
-    const imgData = bgCtx.createImageData(width, height);
-    const data = imgData.data;
-    const bounds = currentFunction.bounds;
-    
-    // Find min/max for normalization (approximate for visualization)
-    // We sample a grid to find min/max values to scale colors
-    let minVal = Infinity;
-    let maxVal = -Infinity;
-    const step = 5; // Sample every 5 pixels for speed
-    
-    for (let py = 0; py < height; py += step) {
-        for (let px = 0; px < width; px += step) {
-            const x = map(px, 0, width, bounds[0], bounds[1]);
-            const y = map(py, 0, height, bounds[0], bounds[1]);
-            const val = currentFunction.func(x, y);
-            if (val < minVal) minVal = val;
-            if (val > maxVal) maxVal = val;
-        }
-    }
-
-    // Draw full resolution
-    for (let py = 0; py < height; py++) {
-        for (let px = 0; px < width; px++) {
-            const x = map(px, 0, width, bounds[0], bounds[1]);
-            const y = map(py, 0, height, bounds[0], bounds[1]);
-            const val = currentFunction.func(x, y);
-            
-            // Normalize value for color (log scale often looks better for optimization functions)
-            // Simple linear interpolation for now, maybe log for large ranges
-            let norm = (val - minVal) / (maxVal - minVal);
-            if (maxVal - minVal === 0) norm = 0;
-            
-            // Viridis-like colormap (approximate)
-            // Low values (good) -> Purple/Blue
-            // High values (bad) -> Yellow/Green
-            
-            // Simple heatmap: Blue (low) -> Red (high)
-            // Or Grayscale
-            // Let's try a custom map: Dark Blue -> Blue -> Cyan -> Green -> Yellow
-            
-            const index = (py * width + px) * 4;
-            
-            // Simple coloring: 
-            // 0.0 -> 0, 0, 255 (Blue)
-            // 0.5 -> 0, 255, 0 (Green)
-            // 1.0 -> 255, 255, 0 (Yellow)
-            
-            // Using a non-linear mapping to emphasize minima
-            const colorNorm = Math.pow(norm, 0.3); // Gamma correction-ish
-            
-            const r = Math.floor(colorNorm * 255);
-            const g = Math.floor((1 - Math.abs(colorNorm - 0.5) * 2) * 100 + 100);
-            const b = Math.floor((1 - colorNorm) * 255);
+// --- Dimensions & View ---
+
+// D within the input's range; links and typing can ask for anything
+function clampDimensions(value) {
+    const input = document.getElementById('dimensions');
+    return Math.min(parseInt(input.max), Math.max(parseInt(input.min), value));
+}
 
-            data[index] = r;     // R
-            data[index + 1] = g; // G
-            data[index + 2] = b; // B
-            data[index + 3] = 255; // Alpha
+// Updates D and the axis selectors; callers redraw the background
+function setDimensions(value) {
+    // Points painted for another D can't start a run
+    if (value !== dimensions) clearPaintedPopulation();
+    dimensions = value;
+    document.getElementById('dimensions').value = value;
+    document.getElementById('viewControls').classList.toggle('hidden', dimensions <= 2);
+
+    if (viewDimX >= dimensions || viewDimY >= dimensions) {
+        viewDimX = 0;
+        viewDimY = 1;
+    }
+    ['viewDimX', 'viewDimY'].forEach(id => {
+        const select = document.getElementById(id);
+        select.innerHTML = '';
+        for (let d = 0; d < dimensions; d++) {
+            const option = document.createElement('option');
+            option.value = d;
+            option.innerText = `x${d + 1}`;
+            select.appendChild(option);
         }
+    });
+    document.getElementById('viewDimX').value = viewDimX;
+    document.getElementById('viewDimY').value = viewDimY;
+}
+
+// Shows another pair of dimensions; picking the other axis' dimension swaps them
+function changeViewDims(axis, value) {
+    const dim = parseInt(value);
+    if (axis === 'x') {
+        if (dim === viewDimY) viewDimY = viewDimX;
+        viewDimX = dim;
+    } else {
+        if (dim === viewDimX) viewDimX = viewDimY;
+        viewDimY = dim;
     }
-    bgCtx.putImageData(imgData, 0, 0);
-    
-    // Draw Global Min marker
-    // Assuming global min is at 0,0 for most, but Schwefel is different
-    let minX = 0, minY = 0;
-    if (currentFunction.name === "Schwefel") {
-        minX = 420.9687;
-        minY = 420.9687;
+    document.getElementById('viewDimX').value = viewDimX;
+    document.getElementById('viewDimY').value = viewDimY;
+    redrawView();
+}
+
+// Redraws background and individuals after a view change, also mid-run
+function redrawView() {
+    if (currentSnapshot) {
+        drawBackground();
+        refreshSlice(currentSnapshot.members.map(member => [member.bestFitness, member.bestPosition]));
+        render();
+    } else if (!isReplaying) {
+        drawBackground();
+        render();
     }
-    
-    const cx = map(minX, bounds[0], bounds[1], 0, width);
-    const cy = map(minY, bounds[0], bounds[1], 0, height);
-    
-    bgCtx.beginPath();
-    bgCtx.arc(cx, cy, 5, 0, Math.PI * 2);
-    bgCtx.fillStyle = 'white';
-    bgCtx.fill();
-    bgCtx.strokeStyle = 'black';
-    bgCtx.stroke();
+    // During a replay the next frame picks up the new view
 }
 
-function render(populationOverride = null, colorOverride = null) {
-    // Draw cached background
-    ctx.drawImage(backgroundCanvas, 0, 0);
-    
-    const bounds = currentFunction.bounds;
-    let population = null;
-    let color = 'red';
+// --- Zoom & Pan ---
+// The mouse wheel zooms around the pointer and dragging pans; double-click
+// shows the whole domain again. The window never leaves the domain.
+const MIN_VIEW_FRACTION = 1e-6; // Deepest zoom, as a fraction of the domain
 
-    if (populationOverride) {
-        population = populationOverride;
-        color = colorOverride || 'red';
-    } else if (currentAlgorithm) {
-        population = currentAlgorithm.getPopulation();
-        color = currentAlgorithm.color;
-    }
+let panStart = null; // { point, view } while dragging
 
-    // Draw particles/individuals
-    if (population) {
-        population.forEach(ind => {
-            const px = map(ind.x, bounds[0], bounds[1], 0, width);
-            const py = map(ind.y, bounds[0], bounds[1], 0, height);
-            
-            ctx.beginPath();
-            ctx.arc(px, py, 3, 0, Math.PI * 2);
-            ctx.fillStyle = color;
-            ctx.fill();
-            ctx.strokeStyle = 'black';
-            ctx.lineWidth = 0.5;
-            ctx.stroke();
-        });
+// Mouse position in canvas pixels, which the page may display scaled
+function canvasPoint(e) {
+    const rect = canvas.getBoundingClientRect();
+    return [(e.clientX - rect.left) * width / rect.width, (e.clientY - rect.top) * height / rect.height];
+}
 
-        // Draw current best (only in live mode for now, or if we tracked it in history)
-        // For replay, we might not have the exact "best" position easily accessible unless we stored it.
-        // But we can just show the population.
-        if (!populationOverride && bestGlobalPosition) {
-            const bx = map(bestGlobalPosition[0], bounds[0], bounds[1], 0, width);
-            const by = map(bestGlobalPosition[1], bounds[0], bounds[1], 0, height);
-            
-            ctx.beginPath();
-            ctx.moveTo(bx - 6, by - 6);
-            ctx.lineTo(bx + 6, by + 6);
-            ctx.moveTo(bx + 6, by - 6);
-            ctx.lineTo(bx - 6, by + 6);
-            ctx.strokeStyle = 'white';
-            ctx.lineWidth = 2;
-            ctx.stroke();
-        }
-    }
-
-    // Draw Axis Limits
-    ctx.font = '12px monospace';
-    ctx.fillStyle = 'white';
-    ctx.strokeStyle = 'black';
-    ctx.lineWidth = 2;
-    
-    const drawLabel = (text, x, y, align, baseline) => {
-        ctx.textAlign = align;
-        ctx.textBaseline = baseline;
-        ctx.strokeText(text, x, y);
-        ctx.fillText(text, x, y);
+// Window [min, min + span] on one axis, shifted back inside the domain
+function clampAxis(min, span) {
+    const [lower, upper] = currentFunction.bounds;
+    span = Math.min(span, upper - lower);
+    min = Math.max(lower, Math.min(upper - span, min));
+    return [min, min + span];
+}
+
+function setView(next) {
+    view = next;
+    render(renderedLayers);
+    scheduleBackground();
+}
+
+function zoomView(e) {
+    e.preventDefault();
+    const [px, py] = canvasPoint(e);
+    const factor = e.deltaY > 0 ? 1.25 : 0.8;
+    const range = currentFunction.bounds[1] - currentFunction.bounds[0];
+    // The domain point under the pointer stays where it is
+    const zoomAxis = (axis, p, size) => {
+        const [min, max] = view[axis];
+        const anchor = map(p, 0, size, min, max);
+        const span = Math.max((max - min) * factor, range * MIN_VIEW_FRACTION);
+        return clampAxis(anchor - (anchor - min) * span / (max - min), span);
     };
+    setView({ x: zoomAxis('x', px, width), y: zoomAxis('y', py, height) });
+}
 
-    // Top-Left (Min X, Min Y)
-    drawLabel(`(${bounds[0]}, ${bounds[0]})`, 5, 5, 'left', 'top');
-    
-    // Top-Right (Max X, Min Y)
-    drawLabel(`(${bounds[1]}, ${bounds[0]})`, width - 5, 5, 'right', 'top');
-    
-    // Bottom-Left (Min X, Max Y)
-    drawLabel(`(${bounds[0]}, ${bounds[1]})`, 5, height - 5, 'left', 'bottom');
-    
-    // Bottom-Right (Max X, Max Y)
-    drawLabel(`(${bounds[1]}, ${bounds[1]})`, width - 5, height - 5, 'right', 'bottom');
+function panView(e) {
+    if (!panStart) return;
+    const [px, py] = canvasPoint(e);
+    const { point, view: from } = panStart;
+    const spanX = from.x[1] - from.x[0];
+    const spanY = from.y[1] - from.y[0];
+    setView({
+        x: clampAxis(from.x[0] - (px - point[0]) / width * spanX, spanX),
+        y: clampAxis(from.y[0] - (py - point[1]) / height * spanY, spanY)
+    });
 }
 
-// --- Algorithms ---
+// Colormap, scale and contours only repaint the raster already computed
+function repaintLandscape() {
+    paintBackground();
+    render(renderedLayers);
+}
 
-class GA {
-    constructor(popSize, mutationRate, crossoverRate, elitism) {
-        this.popSize = popSize;
-        this.mutationRate = mutationRate;
-        this.crossoverRate = crossoverRate;
-        this.elitism = elitism;
-        this.color = '#e74c3c'; // Red
-        this.population = [];
-        this.bounds = currentFunction.bounds;
-        
-        // Initialize
-        for (let i = 0; i < popSize; i++) {
-            this.population.push({
-                x: random(this.bounds[0], this.bounds[1]),
-                y: random(this.bounds[0], this.bounds[1]),
-                fitness: Infinity
-            });
-        }
-        this.evaluate();
-    }
+function buildColormapSelect() {
+    const select = document.getElementById('colormapSelect');
+    Object.entries(colormaps).forEach(([key, colormap]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.innerText = colormap.name;
+        select.appendChild(option);
+    });
+}
 
-    evaluate() {
-        this.population.forEach(ind => {
-            ind.fitness = currentFunction.func(ind.x, ind.y);
-            if (ind.fitness < bestGlobalFitness) {
-                bestGlobalFitness = ind.fitness;
-                bestGlobalPosition = [ind.x, ind.y];
-            }
-        });
-        // Sort for selection
-        this.population.sort((a, b) => a.fitness - b.fitness);
-    }
+// --- Inspection & Painting ---
+// Hovering near a dot shows that individual; a click pins it, following it
+// from iteration to iteration when the algorithm keeps individuals in place
+// (`persistent`), until the next click. In paint mode clicking and dragging
+// place the starting population of the next run instead, see
+// initialPosition() in engine.js.
+const PICK_RADIUS = 8; // Pixels from a dot that still count as on it
+const PAINT_SPACING = 10; // Pixels between the points a drag leaves
 
-    step() {
-        const newPop = [];
-        
-        // Elitism
-        if (this.elitism) {
-            newPop.push({...this.population[0]}); // Keep best
-        }
+let pointer = null; // Mouse position over the canvas, in canvas pixels
+let pressPoint = null; // Where the button went down, to tell clicks from drags
+let pinned = null; // { layer, index, population } kept shown by a click
+let paintedPopulation = []; // Hand-placed starting positions, [[x1, ..., xD], ...]
+let paintStroke = null; // Last point painted by the drag in progress
 
-        while (newPop.length < this.popSize) {
-            // Tournament Selection
-            const p1 = this.tournamentSelect();
-            const p2 = this.tournamentSelect();
-            
-            // Crossover
-            let c1 = { ...p1 };
-            let c2 = { ...p2 };
-            
-            if (Math.random() < this.crossoverRate) {
-                // Simple arithmetic crossover or point crossover
-                // Let's use simple blending for continuous GA
-                const alpha = Math.random();
-                c1.x = alpha * p1.x + (1 - alpha) * p2.x;
-                c1.y = alpha * p1.y + (1 - alpha) * p2.y;
-                
-                c2.x = alpha * p2.x + (1 - alpha) * p1.x;
-                c2.y = alpha * p2.y + (1 - alpha) * p1.y;
+// Nearest dot of the rendered layers within reach: { layer, index } or null
+function pickIndividual([px, py]) {
+    let nearest = null;
+    let nearestDistance = PICK_RADIUS;
+    renderedLayers.forEach((layer, l) => {
+        layer.population.forEach((position, i) => {
+            const distance = Math.hypot(toCanvasX(position[viewDimX]) - px, toCanvasY(position[viewDimY]) - py);
+            if (distance <= nearestDistance) {
+                nearest = { layer: l, index: i };
+                nearestDistance = distance;
             }
-            
-            // Mutation
-            this.mutate(c1);
-            this.mutate(c2);
-            
-            newPop.push(c1);
-            if (newPop.length < this.popSize) newPop.push(c2);
-        }
-        
-        this.population = newPop;
-        this.evaluate();
-    }
+        });
+    });
+    return nearest;
+}
 
-    tournamentSelect() {
-        const k = 3;
-        let best = null;
-        for (let i = 0; i < k; i++) {
-            const ind = this.population[Math.floor(Math.random() * this.popSize)];
-            if (!best || ind.fitness < best.fitness) {
-                best = ind;
-            }
-        }
-        return best;
+function describeIndividual(layer, i) {
+    const number = x => (x === null ? '—' : String(Number(x.toPrecision(4))));
+    const vector = v => `(${v.map(number).join(', ')})`;
+    const fitness = f => (Number.isFinite(f) ? f.toExponential(4) : '—');
+    const details = layer.details || {};
+    const lines = [`<strong>${layer.label || 'Indivíduo'} #${i + 1}</strong>`, `x = ${vector(layer.population[i])}`];
+    if (layer.objectives && layer.objectives[i]) lines.push(`f = ${vector(layer.objectives[i])}`);
+    else if (layer.fitnesses) lines.push(`fitness = ${fitness(layer.fitnesses[i])}`);
+    if (details.velocity && details.velocity[i]) lines.push(`velocidade = ${vector(details.velocity[i])}`);
+    if (details.pbest && details.pbest[i]) {
+        const pbestFit = details.pbestFit ? ` · ${fitness(details.pbestFit[i])}` : '';
+        lines.push(`pbest = ${vector(details.pbest[i])}${pbestFit}`);
     }
+    return lines.join('<br>');
+}
 
-    mutate(ind) {
-        const range = this.bounds[1] - this.bounds[0];
-        if (Math.random() < this.mutationRate) {
-            ind.x += gaussianRandom(0, range * 0.05); // Small gaussian perturbation
-            ind.x = Math.max(this.bounds[0], Math.min(this.bounds[1], ind.x));
-        }
-        if (Math.random() < this.mutationRate) {
-            ind.y += gaussianRandom(0, range * 0.05);
-            ind.y = Math.max(this.bounds[0], Math.min(this.bounds[1], ind.y));
+// Places the tooltip next to the pinned individual, or the one under the
+// pointer; called after each render
+function showInspector() {
+    const tooltip = document.getElementById('canvasTooltip');
+    if (pinned) {
+        const layer = renderedLayers[pinned.layer];
+        // Another iteration of an algorithm that reorders its individuals
+        if (!layer || !layer.population[pinned.index] || (layer.population !== pinned.population && !layer.persistent)) {
+            pinned = null;
+        } else {
+            pinned.population = layer.population;
         }
     }
+    const target = pinned || (pointer && !panStart && !paintStroke ? pickIndividual(pointer) : null);
+    tooltip.classList.toggle('hidden', !target);
+    tooltip.classList.toggle('pinned', !!pinned);
+    if (!target) return;
 
-    getPopulation() {
-        return this.population;
-    }
+    const layer = renderedLayers[target.layer];
+    const position = layer.population[target.index];
+    const x = toCanvasX(position[viewDimX]);
+    const y = toCanvasY(position[viewDimY]);
+    const scale = canvas.getBoundingClientRect().width / width;
+    tooltip.innerHTML = describeIndividual(layer, target.index);
+    tooltip.style.left = `${canvas.offsetLeft + x * scale}px`;
+    tooltip.style.top = `${canvas.offsetTop + y * scale}px`;
+    // Open away from the nearest edges
+    tooltip.style.transform = `translate(${x > width / 2 ? 'calc(-100% - 12px)' : '12px'}, ${y > height / 2 ? 'calc(-100% - 12px)' : '12px'})`;
 }
 
-class PSO {
-    constructor(swarmSize, w, c1, c2) {
-        this.swarmSize = swarmSize;
-        this.w = w;
-        this.c1 = c1;
-        this.c2 = c2;
-        this.color = '#3498db'; // Blue
-        this.particles = [];
-        this.bounds = currentFunction.bounds;
-        
-        // Initialize
-        for (let i = 0; i < swarmSize; i++) {
-            const p = {
-                x: random(this.bounds[0], this.bounds[1]),
-                y: random(this.bounds[0], this.bounds[1]),
-                vx: random(-1, 1),
-                vy: random(-1, 1),
-                pbestX: 0,
-                pbestY: 0,
-                pbestFit: Infinity,
-                fitness: Infinity
-            };
-            p.pbestX = p.x;
-            p.pbestY = p.y;
-            this.particles.push(p);
-        }
-        this.evaluate();
-    }
+function hoverCanvas(e) {
+    pointer = canvasPoint(e);
+    showInspector();
+}
 
-    evaluate() {
-        this.particles.forEach(p => {
-            p.fitness = currentFunction.func(p.x, p.y);
-            
-            // Update Personal Best
-            if (p.fitness < p.pbestFit) {
-                p.pbestFit = p.fitness;
-                p.pbestX = p.x;
-                p.pbestY = p.y;
-            }
+// A click that didn't drag pins the individual under the pointer, or unpins
+function pinIndividual(e) {
+    const point = canvasPoint(e);
+    if (!pressPoint || Math.hypot(point[0] - pressPoint[0], point[1] - pressPoint[1]) > 3) return;
+    const target = pickIndividual(point);
+    pinned = target ? { ...target, population: renderedLayers[target.layer].population } : null;
+    showInspector();
+}
 
-            // Update Global Best
-            if (p.fitness < bestGlobalFitness) {
-                bestGlobalFitness = p.fitness;
-                bestGlobalPosition = [p.x, p.y];
-            }
-        });
-    }
+// Painting waits while a run or replay is animating
+function canPaint() {
+    return document.getElementById('paintMode').checked && !isRunning && !isReplaying && !isBatchRunning;
+}
 
-    step() {
-        this.particles.forEach(p => {
-            const r1 = Math.random();
-            const r2 = Math.random();
-            
-            // Update Velocity
-            // v = w*v + c1*r1*(pbest - x) + c2*r2*(gbest - x)
-            p.vx = this.w * p.vx + 
-                   this.c1 * r1 * (p.pbestX - p.x) + 
-                   this.c2 * r2 * (bestGlobalPosition[0] - p.x);
-                   
-            p.vy = this.w * p.vy + 
-                   this.c1 * r1 * (p.pbestY - p.y) + 
-                   this.c2 * r2 * (bestGlobalPosition[1] - p.y);
-            
-            // Limit velocity? (Optional but good practice)
-            // const maxV = (this.bounds[1] - this.bounds[0]) * 0.1;
-            // p.vx = Math.max(-maxV, Math.min(maxV, p.vx));
-            // p.vy = Math.max(-maxV, Math.min(maxV, p.vy));
-
-            // Update Position
-            p.x += p.vx;
-            p.y += p.vy;
-            
-            // Boundary handling (Clamp)
-            p.x = Math.max(this.bounds[0], Math.min(this.bounds[1], p.x));
-            p.y = Math.max(this.bounds[0], Math.min(this.bounds[1], p.y));
-        });
-        
-        this.evaluate();
-    }
+// Domain point under a canvas point. The coordinates that aren't shown are
+// those of the slice drawn.
+function domainPoint([px, py]) {
+    const center = backgroundCenter && backgroundCenter.length === dimensions ? backgroundCenter : optimumVector();
+    const position = center.slice();
+    position[viewDimX] = map(px, 0, width, view.x[0], view.x[1]);
+    position[viewDimY] = map(py, 0, height, view.y[0], view.y[1]);
+    return position;
+}
+
+function paintAt(point) {
+    paintedPopulation.push(domainPoint(point));
+    paintStroke = point;
+}
 
-    getPopulation() {
-        return this.particles;
+// Fills the way from the last painted point to `point` at PAINT_SPACING
+function paintTo(point) {
+    const [x0, y0] = paintStroke;
+    const distance = Math.hypot(point[0] - x0, point[1] - y0);
+    if (distance < PAINT_SPACING) return;
+    for (let k = 1; k * PAINT_SPACING <= distance; k++) {
+        const t = k * PAINT_SPACING / distance;
+        paintAt([x0 + (point[0] - x0) * t, y0 + (point[1] - y0) * t]);
     }
+    showPaintStatus();
+    redrawPopulation();
 }
 
-// --- Main Loop ---
+function drawPaintedPopulation() {
+    paintedPopulation.forEach(position => {
+        ctx.beginPath();
+        ctx.arc(toCanvasX(position[viewDimX]), toCanvasY(position[viewDimY]), 4, 0, Math.PI * 2);
+        ctx.strokeStyle = 'black';
+        ctx.lineWidth = 3;
+        ctx.stroke();
+        ctx.strokeStyle = 'white';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+    });
+}
 
-function captureState() {
-    if (!currentAlgorithm) return [];
-    // Deep copy positions
-    return currentAlgorithm.getPopulation().map(p => ({x: p.x, y: p.y}));
+function showPaintStatus() {
+    const count = paintedPopulation.length;
+    document.getElementById('paintStatus').innerText = count === 0
+        ? 'Início uniforme aleatório'
+        : `${count} ${count === 1 ? 'ponto desenhado' : 'pontos desenhados'}`;
+    document.getElementById('btnClearPaint').disabled = count === 0;
 }
 
-function loop() {
-    if (!isRunning) return;
+function clearPaintedPopulation() {
+    if (paintedPopulation.length === 0) return;
+    paintedPopulation = [];
+    showPaintStatus();
+    redrawPopulation();
+}
 
-    const speed = parseInt(document.getElementById('speedRange').value);
-    
-    currentAlgorithm.step();
-    iteration++;
-    
-    // Capture history
-    currentRunHistory.push(captureState());
-    
-    updateStats();
-    render();
-    
-    // Stop condition
-    const maxIter = parseInt(document.getElementById('maxIterations').value);
-    if (maxIter > 0 && iteration >= maxIter) {
-        stopSimulation(true);
-        return;
+// --- Custom Functions ---
+// Definitions typed by the user, compiled by `compileExpression` and kept in
+// localStorage so they survive page reloads.
+const CUSTOM_FUNCTIONS_KEY = 'gaPso.customFunctions';
+
+function loadCustomDefinitions() {
+    try {
+        return JSON.parse(localStorage.getItem(CUSTOM_FUNCTIONS_KEY)) || [];
+    } catch (e) {
+        return [];
     }
+}
 
-    // Speed control via setTimeout for next frame
-    const delay = Math.max(0, 60 - speed); 
-    
-    if (delay === 0) {
-        animationId = requestAnimationFrame(loop);
-    } else {
-        setTimeout(() => {
-            animationId = requestAnimationFrame(loop);
-        }, delay * 5); 
+function saveCustomDefinitions() {
+    const definitions = Object.values(functions)
+        .filter(f => f.isCustom)
+        .map(customDefinition);
+    try {
+        localStorage.setItem(CUSTOM_FUNCTIONS_KEY, JSON.stringify(definitions));
+    } catch (e) {
+        console.warn("Não foi possível salvar as funções personalizadas:", e);
     }
 }
 
-function replayLoop(history, color) {
-    if (!isReplaying) return;
+function customKey(name) {
+    return 'custom:' + name;
+}
 
-    const speed = parseInt(document.getElementById('speedRange').value);
-    
-    if (iteration < history.length) {
-        const pop = history[iteration];
-        render(pop, color);
-        
-        document.getElementById('statIter').innerText = `${iteration} (Replay)`;
-        // We don't have fitness history easily available unless we stored it too, 
-        // so we just show iteration.
-        
-        iteration++;
-        
-        const delay = Math.max(0, 60 - speed);
-        if (delay === 0) {
-            animationId = requestAnimationFrame(() => replayLoop(history, color));
-        } else {
-            setTimeout(() => {
-                animationId = requestAnimationFrame(() => replayLoop(history, color));
-            }, delay * 5);
-        }
-    } else {
-        // End of replay
-        isReplaying = false;
-        document.getElementById('btnRun').disabled = false;
-        document.getElementById('btnStop').disabled = true;
-        document.getElementById('algorithmSelect').disabled = false;
-        document.getElementById('functionSelect').disabled = false;
-        alert("Replay finalizado!");
+function registerCustomFunction(fn) {
+    const key = customKey(fn.name);
+    const isNew = !functions[key];
+    functions[key] = fn;
+    if (isNew) {
+        const option = document.createElement('option');
+        option.value = key;
+        option.innerText = fn.name;
+        document.getElementById('customFunctionGroup').appendChild(option);
     }
+    return key;
 }
 
-function updateStats() {
-    document.getElementById('statIter').innerText = iteration;
-    document.getElementById('statBestFit').innerText = bestGlobalFitness.toExponential(4);
-    document.getElementById('statGlobalBest').innerText = bestGlobalFitness.toExponential(4);
+function readCustomForm() {
+    const optX = document.getElementById('customOptX').value;
+    const optY = document.getElementById('customOptY').value;
+    return {
+        name: document.getElementById('customName').value,
+        expression: document.getElementById('customExpression').value,
+        bounds: [
+            parseFloat(document.getElementById('customLower').value),
+            parseFloat(document.getElementById('customUpper').value)
+        ],
+        globalMin: parseFloat(document.getElementById('customGlobalMin').value),
+        optimum: optX !== '' && optY !== '' ? [parseFloat(optX), parseFloat(optY)] : null
+    };
 }
 
-function startSimulation() {
-    if (isRunning || isReplaying) return;
-    
-    const algoType = document.getElementById('algorithmSelect').value;
-    
-    // Reset if starting fresh
-    if (!currentAlgorithm) {
-        resetSimulation(false);
-        
-        if (algoType === 'ga') {
-            const popSize = parseInt(document.getElementById('gaPopSize').value);
-            const mutRate = parseFloat(document.getElementById('gaMutation').value);
-            const crossRate = parseFloat(document.getElementById('gaCrossover').value);
-            const elitism = document.getElementById('gaElitism').checked;
-            currentAlgorithm = new GA(popSize, mutRate, crossRate, elitism);
-        } else {
-            const swarmSize = parseInt(document.getElementById('psoSwarmSize').value);
-            const w = parseFloat(document.getElementById('psoW').value);
-            const c1 = parseFloat(document.getElementById('psoC1').value);
-            const c2 = parseFloat(document.getElementById('psoC2').value);
-            currentAlgorithm = new PSO(swarmSize, w, c1, c2);
-        }
-        
-        // Capture initial state (Gen 0)
-        currentRunHistory = [captureState()];
-    }
+function fillCustomForm(fn) {
+    document.getElementById('customName').value = fn.name;
+    document.getElementById('customExpression').value = fn.expression;
+    document.getElementById('customLower').value = fn.bounds[0];
+    document.getElementById('customUpper').value = fn.bounds[1];
+    document.getElementById('customGlobalMin').value = fn.globalMin;
+    document.getElementById('customOptX').value = fn.optimum ? fn.optimum[0] : '';
+    document.getElementById('customOptY').value = fn.optimum ? fn.optimum[1] : '';
+}
 
-    isRunning = true;
-    document.getElementById('btnRun').disabled = true;
-    document.getElementById('btnStop').disabled = false;
-    document.getElementById('algorithmSelect').disabled = true;
-    document.getElementById('functionSelect').disabled = true;
-    
-    loop();
+function showCustomMessage(text, isError) {
+    const message = document.getElementById('customMessage');
+    message.innerText = text;
+    message.classList.toggle('error-text', isError);
 }
 
-function startReplay(id) {
-    if (isRunning || isReplaying) return;
-    
-    const data = executionHistories[id];
-    if (!data) return;
-    
-    // Setup for replay
-    isReplaying = true;
-    iteration = 0;
-    
-    // Set function to the one used in the run
-    // Note: This changes the current view context!
-    if (currentFunction.name !== data.functionName) {
-        // Find function object by name
-        for (let key in functions) {
-            if (functions[key].name === data.functionName) {
-                currentFunction = functions[key];
-                document.getElementById('functionSelect').value = key;
-                drawBackground();
-                break;
-            }
-        }
-    } else {
-        // Just redraw background to clear any current particles
-        drawBackground();
+function saveCustomFunction() {
+    let fn;
+    try {
+        fn = buildCustomFunction(readCustomForm());
+    } catch (e) {
+        showCustomMessage(e.message, true);
+        return;
     }
-    
-    document.getElementById('btnRun').disabled = true;
-    document.getElementById('btnStop').disabled = false; // Allow stopping replay?
-    // Actually let's use Stop button to stop replay too
-    
-    document.getElementById('algorithmSelect').disabled = true;
-    document.getElementById('functionSelect').disabled = true;
-    
-    replayLoop(data.history, data.color);
+    const key = registerCustomFunction(fn);
+    saveCustomDefinitions();
+    showCustomMessage(`Função "${fn.name}" salva.`, false);
+
+    document.getElementById('functionSelect').value = key;
+    selectFunction(key);
 }
 
-function stopSimulation(shouldLog = true) {
-    if (isReplaying) {
-        isReplaying = false;
-        cancelAnimationFrame(animationId);
-        document.getElementById('btnRun').disabled = false;
-        document.getElementById('btnStop').disabled = true;
-        document.getElementById('algorithmSelect').disabled = false;
-        document.getElementById('functionSelect').disabled = false;
+function deleteCustomFunction() {
+    const key = document.getElementById('functionSelect').value;
+    if (!functions[key] || !functions[key].isCustom) return;
+    if (!confirm(`Excluir a função "${functions[key].name}"?`)) return;
+
+    delete functions[key];
+    const group = document.getElementById('customFunctionGroup');
+    [...group.children].find(option => option.value === key).remove();
+    saveCustomDefinitions();
+
+    document.getElementById('functionSelect').value = 'sphere';
+    selectFunction('sphere');
+}
+
+// Live feedback while typing the expression
+function validateCustomExpression() {
+    const source = document.getElementById('customExpression').value;
+    if (!source.trim()) {
+        showCustomMessage('', false);
         return;
     }
-
-    isRunning = false;
-    cancelAnimationFrame(animationId);
-    document.getElementById('btnRun').disabled = false;
-    document.getElementById('btnStop').disabled = true;
-    
-    // Log result
-    if (shouldLog && iteration > 0) {
-        logResult();
+    try {
+        compileExpression(source);
+        showCustomMessage("Expressão válida.", false);
+    } catch (e) {
+        showCustomMessage(e.message, true);
     }
 }
 
-function resetSimulation(clearLog = false) {
-    stopSimulation(false);
-    currentAlgorithm = null;
-    iteration = 0;
-    bestGlobalFitness = Infinity;
-    bestGlobalPosition = null;
-    currentRunHistory = [];
-    
-    document.getElementById('statIter').innerText = '0';
-    document.getElementById('statBestFit').innerText = '-';
-    document.getElementById('statGlobalBest').innerText = '-';
-    
-    document.getElementById('algorithmSelect').disabled = false;
-    document.getElementById('functionSelect').disabled = false;
-    
-    // Redraw background (clears particles)
-    render();
-}
+function selectFunction(key) {
+    const panel = document.getElementById('customFunctionPanel');
+    const isEditor = key === 'custom';
+    panel.classList.toggle('hidden', !isEditor && !(functions[key] && functions[key].isCustom));
+    document.getElementById('btnDeleteCustom').classList.toggle('hidden', isEditor);
 
-function logResult() {
-    executionCount++;
-    
-    // Save history
-    executionHistories[executionCount] = {
-        history: currentRunHistory,
-        color: currentAlgorithm.color,
-        functionName: currentFunction.name
-    };
+    if (isEditor) {
+        // Keep the current landscape until the new definition is saved
+        showCustomMessage('', false);
+        return;
+    }
+    if (functions[key].isCustom) fillCustomForm(functions[key]);
 
-    const tbody = document.querySelector('#resultsTable tbody');
-    const row = document.createElement('tr');
-    
-    const algoType = document.getElementById('algorithmSelect').value.toUpperCase();
-    const funcName = currentFunction.name;
-    
-    let params = "";
-    if (algoType === 'GA') {
-        params = `Pop=${document.getElementById('gaPopSize').value}, Mut=${document.getElementById('gaMutation').value}`;
-    } else {
-        params = `Swarm=${document.getElementById('psoSwarmSize').value}, w=${document.getElementById('psoW').value}`;
+    // Points painted on another domain don't carry over
+    if (key !== currentFunctionKey) clearPaintedPopulation();
+    currentFunctionKey = key;
+    // Functions defined for a single D (the classic 2D ones, Kursawe) switch to it
+    if (functions[key].dimensions) setDimensions(functions[key].dimensions);
+    // Bi-objective problems and multi-objective algorithms only go together
+    const algoSelect = document.getElementById('algorithmSelect');
+    const entry = algorithms[algoSelect.value];
+    if (!!functions[key].objectives !== !!(entry && entry.multiObjective)) {
+        algoSelect.value = functions[key].objectives ? 'nsga2' : 'ga';
+        showAlgorithmParams(algoSelect.value);
+        buildSweepControls();
     }
-    
-    row.innerHTML = `
-        <td>${executionCount}</td>
-        <td>${algoType}</td>
-        <td>${funcName}</td>
-        <td>${iteration}</td>
-        <td>${bestGlobalFitness.toExponential(4)}</td>
-        <td>${params}</td>
-        <td><button onclick="startReplay(${executionCount})" class="tertiary" style="padding: 0.3rem 0.6rem; font-size: 0.8rem;">▶ Replay</button></td>
-    `;
-    
-    tbody.insertBefore(row, tbody.firstChild);
+    applyFunction();
+    resetSimulation();
 }
 
+loadCustomDefinitions().forEach(definition => {
+    try {
+        registerCustomFunction(buildCustomFunction(definition));
+    } catch (e) {
+        console.warn(`Função personalizada "${definition.name}" ignorada:`, e.message);
+    }
+});
+
 // --- Event Listeners ---
 
+document.getElementById('btnReplayPause').addEventListener('click', toggleReplayPause);
+document.getElementById('btnReplayBack').addEventListener('click', () => stepReplay(-1));
+document.getElementById('btnReplayForward').addEventListener('click', () => stepReplay(1));
+document.getElementById('replaySlider').addEventListener('input', (e) => seekReplay(e.target.value));
+document.getElementById('btnReplayClose').addEventListener('click', endReplay);
+
+document.getElementById('btnExportJson').addEventListener('click', exportRunsJson);
+document.getElementById('btnExportCsv').addEventListener('click', exportRunsCsv);
+document.getElementById('btnSnapshot').addEventListener('click', exportCanvasPng);
+document.getElementById('btnImport').addEventListener('click', () => document.getElementById('importFile').click());
+document.getElementById('importFile').addEventListener('change', (e) => {
+    if (e.target.files[0]) importRuns(e.target.files[0]);
+    e.target.value = '';
+});
+document.getElementById('btnClearResults').addEventListener('click', clearResults);
+document.getElementById('selectAllRuns').addEventListener('change', (e) => {
+    document.querySelectorAll('#resultsTable .run-select').forEach(box => {
+        box.checked = e.target.checked;
+    });
+});
+
 document.getElementById('btnRun').addEventListener('click', startSimulation);
 document.getElementById('btnStop').addEventListener('click', stopSimulation);
 document.getElementById('btnReset').addEventListener('click', () => resetSimulation(false));
+document.getElementById('btnCopyLink').addEventListener('click', copyLink);
+// Runs after the field's own listener, so the hash sees its effect
+document.querySelector('.sidebar').addEventListener('change', updateLink);
+window.addEventListener('hashchange', () => {
+    if (isRunning || isReplaying || isBatchRunning) return;
+    if (applyLink(location.hash)) startSimulation();
+});
+document.getElementById('btnBatch').addEventListener('click', startBatch);
+document.getElementById('btnSweep').addEventListener('click', startSweep);
+document.getElementById('btnCancelSweep').addEventListener('click', () => {
+    sweepCancelled = true;
+});
+document.getElementById('sweepParamX').addEventListener('change', () => fillSweepRange('X'));
+document.getElementById('sweepParamY').addEventListener('change', () => fillSweepRange('Y'));
+document.getElementById('sweepMode').addEventListener('change', refreshSweepModeVisibility);
+document.getElementById('sweepMetric').addEventListener('change', drawSweep);
+document.getElementById('colormapSelect').addEventListener('change', drawSweep);
+document.getElementById('sweepCanvas').addEventListener('click', selectSweepCell);
+document.getElementById('btnExportSweepJson').addEventListener('click', exportSweepJson);
+document.getElementById('btnExportSweepCsv').addEventListener('click', exportSweepCsv);
+document.getElementById('btnCompare').addEventListener('click', compareBatches);
+
+document.querySelectorAll('.results-tabs .tab').forEach(tab => {
+    tab.addEventListener('click', () => showResultsTab(tab.dataset.tab));
+});
 
+// Runs after a choice's own listener has updated the section
+document.getElementById('algorithmParams').addEventListener('change', (e) => {
+    const section = e.target.closest('.params-section');
+    if (section) tuneLiveRun(section.id.replace('params-', ''));
+});
 document.getElementById('algorithmSelect').addEventListener('change', (e) => {
-    const val = e.target.value;
-    if (val === 'ga') {
-        document.getElementById('gaParams').classList.remove('hidden');
-        document.getElementById('psoParams').classList.add('hidden');
-    } else {
-        document.getElementById('gaParams').classList.add('hidden');
-        document.getElementById('psoParams').classList.remove('hidden');
-    }
+    showAlgorithmParams(e.target.value);
+    buildSweepControls();
     resetSimulation();
 });
 
-document.getElementById('functionSelect').addEventListener('change', (e) => {
-    currentFunction = functions[e.target.value];
-    drawBackground();
+// Redraw whichever curve is on screen with the new scale
+document.getElementById('chartLogScale').addEventListener('change', () => {
+    drawConvergence(shownConvergence.tracks, shownConvergence.upTo, shownConvergence.tuning);
+});
+
+document.getElementById('functionSelect').addEventListener('change', (e) => selectFunction(e.target.value));
+
+document.getElementById('dimensions').addEventListener('change', (e) => {
+    setDimensions(clampDimensions(parseInt(e.target.value) || 2));
+    // Shift and rotation are drawn per dimension
+    applyFunction();
     resetSimulation();
 });
+document.getElementById('viewDimX').addEventListener('change', (e) => changeViewDims('x', e.target.value));
+document.getElementById('viewDimY').addEventListener('change', (e) => changeViewDims('y', e.target.value));
+document.getElementById('viewMode').addEventListener('change', redrawView);
+document.getElementById('dynamicMotion').addEventListener('change', refreshDynamicsVisibility);
+document.getElementById('constraintPreset').addEventListener('change', (e) => applyConstraintPreset(e.target.value));
+document.getElementById('constraintDefinitions').addEventListener('input', validateConstraints);
+document.getElementById('constraintDefinitions').addEventListener('change', () => drawBackground());
+document.getElementById('constraintTolerance').addEventListener('change', () => drawBackground());
+document.getElementById('constraintMethod').addEventListener('change', refreshConstraintVisibility);
+['functionShift', 'functionRotate', 'transformSeed'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+        setTransformControls(readTransform());
+        applyFunction();
+        resetSimulation();
+    });
+});
+document.getElementById('colormapSelect').addEventListener('change', repaintLandscape);
+document.getElementById('landscapeLogScale').addEventListener('change', repaintLandscape);
+document.getElementById('landscapeContours').addEventListener('change', repaintLandscape);
+['overlayTrails', 'trailLength', 'overlayVelocity', 'overlayPbest', 'overlayParents'].forEach(id => {
+    document.getElementById(id).addEventListener('change', redrawPopulation);
+});
+document.getElementById('btnResetView').addEventListener('click', () => setView(fullView()));
+canvas.addEventListener('wheel', zoomView, { passive: false });
+canvas.addEventListener('mousedown', (e) => {
+    if (canPaint()) {
+        pressPoint = null;
+        paintAt(canvasPoint(e));
+        showPaintStatus();
+        redrawPopulation();
+        return;
+    }
+    pressPoint = canvasPoint(e);
+    panStart = { point: pressPoint, view: view };
+    canvas.classList.add('panning');
+});
+window.addEventListener('mousemove', (e) => {
+    if (paintStroke) paintTo(canvasPoint(e));
+    else panView(e);
+});
+window.addEventListener('mouseup', () => {
+    panStart = null;
+    paintStroke = null;
+    canvas.classList.remove('panning');
+});
+canvas.addEventListener('mousemove', hoverCanvas);
+canvas.addEventListener('mouseleave', () => {
+    pointer = null;
+    showInspector();
+});
+canvas.addEventListener('click', pinIndividual);
+canvas.addEventListener('dblclick', () => {
+    if (!canPaint()) setView(fullView());
+});
+document.getElementById('paintMode').addEventListener('change', (e) => {
+    canvas.classList.toggle('painting', e.target.checked);
+});
+document.getElementById('btnClearPaint').addEventListener('click', clearPaintedPopulation);
+document.getElementById('btnSaveCustom').addEventListener('click', saveCustomFunction);
+document.getElementById('btnDeleteCustom').addEventListener('click', deleteCustomFunction);
+document.getElementById('customExpression').addEventListener('input', validateCustomExpression);
 
 // Initial Setup
+buildAlgorithmControls();
+buildColormapSelect();
+buildFunctionSelect();
+refreshDynamicsVisibility();
+buildConstraintPresetSelect();
+refreshConstraintVisibility();
+validateConstraints();
+buildSweepControls();
+refreshSweepModeVisibility();
+showFunctionInfo();
+resetView();
+showAlgorithmParams(document.getElementById('algorithmSelect').value);
+loadPersistedResults();
+setDimensions(dimensions);
 drawBackground();
 render();
+drawConvergence(currentRunTracks);
+// A shared link overrides the defaults
+if (applyLink(location.hash)) startSimulation();
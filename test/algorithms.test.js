@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const engine = require('../engine.js');
+
+const baseConfig = {
+    function: { key: 'sphere' },
+    dimensions: 3,
+    seed: 7,
+    maxIterations: 5,
+    stopping: {},
+    parameters: {}
+};
+
+test('parameters outside the schema are rejected before a run starts', () => {
+    [['de', { popSize: 3 }], ['ga', { popSize: 0 }], ['cmaes', { lambda: 1 }], ['ga', { popSize: 2.7 }],
+        ['de', { CR: 1.5 }], ['ga', { selection: 'lottery' }], ['sa', { stepSize: NaN }]].forEach(([algorithm, params]) => {
+        assert.throws(() => engine.runHeadless({ ...baseConfig, algorithm, parameters: { [algorithm]: params } }),
+            /Tamanho|Amostras|Taxa|Seleção|Passo|espera|deve/, `${algorithm} ${JSON.stringify(params)}`);
+    });
+    const smallest = engine.runHeadless({ ...baseConfig, algorithm: 'de', parameters: { de: { popSize: 4 } } });
+    assert.strictEqual(smallest.members[0].iterations, 5);
+});
+
+test('live tuning and sweeps share the schema check', () => {
+    const session = engine.createSession();
+    session.handle('init', { ...baseConfig, algorithm: 'de' });
+    assert.throws(() => session.handle('tune', { parameters: { de: { F: 0.7, CR: -1 } } }), /CR/);
+    // Nothing changed, not even the valid value sent along
+    assert.deepStrictEqual(session.handle('tune', { parameters: { de: { F: 0.5, CR: 0.9 } } }), {});
+
+    const sweep = { x: { key: 'popSize', min: 2, max: 20, steps: 3 }, y: { key: 'F', min: 0.2, max: 1, steps: 3 } };
+    assert.throws(() => engine.sweepPoints('de', sweep, engine.createRng(1)), /≥ 4/);
+    assert.strictEqual(engine.sweepPoints('de', { ...sweep, x: { ...sweep.x, min: 4 } }, engine.createRng(1)).length, 9);
+});
+
+test('DE refuses to pick mutation partners from fewer than four individuals', () => {
+    const problem = { fn: engine.resolveFunction({ key: 'sphere' }), dimensions: 2, maxIterations: 5, maxEvaluations: 0 };
+    const de = new engine.DE(problem, engine.algorithmParams('de'), engine.createRng(1));
+    de.popSize = 3;
+    assert.throws(() => de.step(), /ao menos 4/);
+});
+
+test('DE, CMA-ES and SA close in on the optimum of the sphere', () => {
+    const config = { ...baseConfig, dimensions: 5, maxIterations: 100 };
+    [['de', 1e-6], ['cmaes', 1e-10], ['sa', 0.5]].forEach(([algorithm, tolerance]) => {
+        const member = engine.runHeadless({ ...config, algorithm }, true).members[0];
+        const initial = member.convergence[0].best;
+        assert.ok(member.bestFitness < tolerance && member.bestFitness < initial / 10, algorithm);
+        // The best so far never gets worse
+        member.convergence.forEach((entry, i) => {
+            if (i > 0) assert.ok(entry.best <= member.convergence[i - 1].best, algorithm);
+        });
+        assert.ok(member.bestPosition.every(x => Math.abs(x) < 1), algorithm);
+    });
+});
+
+test('evaluations per step follow the population of each algorithm', () => {
+    [['de', { popSize: 12 }, 12], ['cmaes', { lambda: 8 }, 8], ['sa', { chains: 5 }, 5]].forEach(([algorithm, params, size]) => {
+        const member = engine.runHeadless({ ...baseConfig, algorithm, parameters: { [algorithm]: params } }).members[0];
+        assert.strictEqual(member.evaluations, size * (baseConfig.maxIterations + 1), algorithm);
+    });
+});
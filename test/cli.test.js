@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const cli = require('../cli.js');
+
+const script = path.join(__dirname, '..', 'cli.js');
+
+function buildConfig(argv) {
+    return cli.buildConfig(cli.parseArgs(argv));
+}
+
+test('arguments are read as --name value, --name=value, flags and repeated --param', () => {
+    const options = cli.parseArgs(['--algorithm', 'de', '--seed=5', '--param', 'F=0.6', '--param=CR=0.3', '--list']);
+    assert.deepStrictEqual(options, { algorithm: 'de', seed: '5', param: ['F=0.6', 'CR=0.3'], list: true });
+    assert.throws(() => cli.parseArgs(['de']), /Argumento inesperado/);
+    assert.throws(() => cli.parseArgs(['--seed']), /Falta o valor/);
+});
+
+test('--time-limit is given in seconds and stored in milliseconds', () => {
+    assert.strictEqual(buildConfig(['--time-limit', '1']).stopping.timeLimit, 1000);
+    assert.strictEqual(buildConfig(['--time-limit', '0.25', '--max-evaluations', '500']).stopping.timeLimit, 250);
+    assert.strictEqual(buildConfig(['--max-evaluations', '500']).stopping.maxEvaluations, 500);
+});
+
+test('--param values are typed by the schema and checked against its range', () => {
+    const config = buildConfig(['--algorithm', 'ga', '--param', 'popSize=30', '--param', 'selection=roulette',
+        '--param', 'crossoverRate=0.5']);
+    assert.strictEqual(config.parameters.ga.popSize, 30);
+    assert.strictEqual(config.parameters.ga.selection, 'roulette');
+    assert.strictEqual(config.parameters.ga.crossoverRate, 0.5);
+    // Defaults are written out
+    assert.strictEqual(config.parameters.ga.eliteCount, 1);
+
+    const race = buildConfig(['--algorithm', 'race', '--members', 'ga,de', '--param', 'de.F=0.8']);
+    assert.strictEqual(race.parameters.de.F, 0.8);
+
+    [['popSize=2.7', /inteiro/], ['popSize=1', /≥ 2/], ['crossoverRate=2', /≤ 1/], ['popSize=', /espera um número/],
+        ['selection=lottery', /aceita/], ['nothing=1', /não tem o parâmetro/]].forEach(([assignment, message]) => {
+        assert.throws(() => buildConfig(['--param', assignment]), message, assignment);
+    });
+    assert.throws(() => buildConfig(['--algorithm', 'de', '--param', 'popSize=3']), /≥ 4/);
+});
+
+test('dimensions must be a whole number the function can take', () => {
+    assert.strictEqual(buildConfig(['--dimensions', '5']).dimensions, 5);
+    ['0', '-2', '2.5'].forEach(d => assert.throws(() => buildConfig(['--dimensions', d]), /dimensões/, d));
+    assert.throws(() => buildConfig(['--function', 'zdt1', '--algorithm', 'nsga2', '--dimensions', '1']), /≥ 2/);
+});
+
+test('results and convergence curves are written as JSON and CSV', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+    try {
+        const run = (format) => {
+            const output = path.join(dir, `results.${format}`);
+            const convergence = path.join(dir, `convergence.${format}`);
+            const result = spawnSync(process.execPath, [script, '--algorithm', 'pso', '--function', 'rastrigin',
+                '--dimensions', '3', '--runs', '2', '--seed', '10', '--max-iterations', '5', '--format', format,
+                '--output', output, '--convergence', convergence], { encoding: 'utf8', timeout: 60000 });
+            assert.strictEqual(result.status, 0, result.stderr);
+            return [fs.readFileSync(output, 'utf8'), fs.readFileSync(convergence, 'utf8')];
+        };
+
+        const [resultsJson, convergenceJson] = run('json').map(text => JSON.parse(text));
+        assert.strictEqual(resultsJson.format, 'ga-pso-cli');
+        assert.deepStrictEqual(resultsJson.runs.map(r => r.seed), [10, 11]);
+        assert.strictEqual(resultsJson.runs[0].members[0].iterations, 5);
+        assert.strictEqual(resultsJson.summary.length, 1);
+        assert.strictEqual(convergenceJson.runs[0].members[0].convergence.length, 6);
+
+        const [resultsCsv, convergenceCsv] = run('csv').map(text => text.trim().split('\n'));
+        assert.match(resultsCsv[0], /^execucao,semente,algoritmo,funcao,dimensoes/);
+        assert.strictEqual(resultsCsv.length, 3);
+        assert.match(resultsCsv[1], /^1,10,PSO,Rastrigin,3,5,/);
+        // Two runs of the initial population plus five iterations
+        assert.strictEqual(convergenceCsv.length, 1 + 2 * 6);
+        // Same seeds, same numbers in either format
+        assert.strictEqual(Number(resultsCsv[1].split(',')[7]), resultsJson.runs[0].members[0].bestFitness);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const engine = require('../engine.js');
+
+// Sphere cut off by x + y >= 1: the constrained optimum is 0.5 at (0.5, 0.5)
+const baseConfig = {
+    algorithm: 'ga',
+    function: { key: 'sphere' },
+    dimensions: 2,
+    seed: 3,
+    maxIterations: 60,
+    stopping: {},
+    parameters: {}
+};
+
+function runWith(method) {
+    const constraints = { definitions: ['x + y >= 1'], method };
+    return engine.runHeadless({ ...baseConfig, constraints }).members[0];
+}
+
+test('every constraint handling method finds a feasible point near the constrained optimum', () => {
+    Object.keys(engine.constraintMethods).forEach(method => {
+        const member = runWith(method);
+        const [x, y] = member.constraints.bestFeasiblePosition;
+        assert.ok(x + y >= 1, method);
+        assert.ok(member.constraints.bestFeasible >= 0.5 && member.constraints.bestFeasible < 0.6, method);
+        assert.strictEqual(engine.scoreOf(member), member.constraints.bestFeasible, method);
+    });
+});
+
+test('only the adaptive penalty reports its coefficient', () => {
+    assert.strictEqual(runWith('static').constraints.coefficient, null);
+    assert.strictEqual(runWith('feasibility').constraints.coefficient, null);
+    assert.ok(runWith('adaptive').constraints.coefficient > 0);
+});
+
+test('the feasibility rules keep the best point feasible once one is found', () => {
+    const member = runWith('feasibility');
+    assert.strictEqual(member.constraints.violation, 0);
+    assert.strictEqual(member.bestFitness, member.constraints.bestFeasible);
+});
+
+test('constraint configs are normalized and unknown methods fall back to the static penalty', () => {
+    assert.strictEqual(engine.constraintsOf({}), null);
+    assert.strictEqual(engine.constraintsOf({ constraints: { definitions: ['  ', ''] } }), null);
+    assert.deepStrictEqual(engine.constraintsOf({ constraints: { definitions: [' x <= 1 '], method: 'other', penalty: -1 } }),
+        { definitions: ['x <= 1'], method: 'static', penalty: 1000, tolerance: 1e-4 });
+    assert.throws(() => engine.compileConstraint('x + y'), /use <=, >= ou =/);
+});
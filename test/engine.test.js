@@ -0,0 +1,43 @@
+// Run with `node --test`. The engine has no DOM dependencies, so it is
+// required here exactly as the Web Worker and cli.js load it.
+const test = require('node:test');
+const assert = require('node:assert');
+const engine = require('../engine.js');
+
+const baseConfig = {
+    function: { key: 'rastrigin' },
+    dimensions: 3,
+    seed: 42,
+    maxIterations: 40,
+    stopping: {},
+    parameters: {}
+};
+
+test('runHeadless gives the same results for the same seed', () => {
+    ['ga', 'pso', 'de', 'cmaes', 'sa'].forEach(algorithm => {
+        const config = { ...baseConfig, algorithm };
+        const first = engine.runHeadless(config, true);
+        const second = engine.runHeadless(config, true);
+        assert.deepStrictEqual(second, first, algorithm);
+        assert.strictEqual(first.members[0].iterations, 40, algorithm);
+        assert.strictEqual(first.members[0].convergence.length, 41, algorithm);
+    });
+});
+
+test('runHeadless depends on the seed', () => {
+    const a = engine.runHeadless({ ...baseConfig, algorithm: 'pso' });
+    const b = engine.runHeadless({ ...baseConfig, algorithm: 'pso', seed: 43 });
+    assert.notDeepStrictEqual(b.members[0].bestPosition, a.members[0].bestPosition);
+});
+
+test('a session stepped one iteration at a time ends where runHeadless does', () => {
+    const config = { ...baseConfig, algorithm: 'race', members: ['ga', 'pso'] };
+    const session = engine.createSession();
+    let snapshot = session.handle('init', config);
+    while (!snapshot.finished) snapshot = session.handle('step', { count: 1 });
+    const headless = engine.runHeadless(config);
+    snapshot.members.forEach((member, i) => {
+        assert.strictEqual(member.bestFitness, headless.members[i].bestFitness);
+        assert.deepStrictEqual(member.bestPosition, headless.members[i].bestPosition);
+    });
+});
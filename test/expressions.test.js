@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const engine = require('../engine.js');
+
+test('expressions follow the usual precedence', () => {
+    const cases = [['2 + 3 * 4', 14], ['(2 + 3) * 4', 20], ['2 ^ 3 ^ 2', 512], ['-2 ^ 2', -4], ['2 ** 3', 8],
+        ['10 / 4 / 5', 0.5], ['- -3', 3], ['max(1, 2 * 3, 4)', 6], ['sqrt(16) + abs(-1)', 5], ['pi', Math.PI]];
+    cases.forEach(([source, value]) => assert.strictEqual(engine.compileExpression(source)([]), value, source));
+});
+
+test('x and y are the first two dimensions and x1..xN any of them', () => {
+    const f = engine.compileExpression('x + 10 * y + 100 * x3');
+    assert.strictEqual(f([1, 2, 3]), 321);
+    assert.strictEqual(f.minDimensions, 3);
+    assert.strictEqual(engine.compileExpression('x1 * x2')([3, 4]), 12);
+    assert.strictEqual(engine.compileExpression('x^2').minDimensions, 1);
+});
+
+test('names inherited from Object are neither functions, variables nor constants', () => {
+    ['constructor(1)', 'toString(x)', 'hasOwnProperty(1)', 'valueOf', '__proto__', 'constructor'].forEach(source => {
+        assert.throws(() => engine.compileExpression(source), /desconhecida/, source);
+    });
+});
+
+test('malformed expressions are reported with their position', () => {
+    [['x +', /fim da expressão/], ['foo(1)', /Função desconhecida 'foo' na posição 1/], ['2 $ 3', /'\$' na posição 3/],
+        ['(x', /Esperado '\)'/], ['x y', /Símbolo inesperado/]].forEach(([source, message]) => {
+        assert.throws(() => engine.compileExpression(source), message, source);
+    });
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const engine = require('../engine.js');
+
+const baseConfig = {
+    function: { key: 'zdt1' },
+    dimensions: 5,
+    seed: 3,
+    maxIterations: 60,
+    stopping: {},
+    parameters: {}
+};
+
+test('hypervolume and IGD of hand-made fronts', () => {
+    // Dominated and out-of-range points add nothing
+    assert.strictEqual(engine.hypervolume([[0, 1], [1, 0], [0.5, 0.5], [2, 2], [3, 0]], [2, 2]), 3.25);
+    assert.strictEqual(engine.hypervolume([], [2, 2]), 0);
+    assert.strictEqual(engine.invertedGenerationalDistance([[0, 0], [1, 1]], [[0, 0], [1, 1]]), 0);
+    assert.strictEqual(engine.invertedGenerationalDistance([[0, 0], [3, 4]], [[0, 0]]), 2.5);
+});
+
+test('NSGA-II and MOPSO approach the true ZDT1 front and spread along it', () => {
+    const reference = engine.referenceFrontOf(engine.resolveFunction({ key: 'zdt1' }), 5);
+    const best = engine.hypervolume(reference.points, reference.referencePoint);
+    ['nsga2', 'mopso'].forEach(algorithm => {
+        const early = engine.runHeadless({ ...baseConfig, algorithm, maxIterations: 5 }).members[0].pareto;
+        const session = engine.createSession();
+        let snapshot = session.handle('init', { ...baseConfig, algorithm });
+        while (!snapshot.finished) snapshot = session.handle('step', { count: 10 });
+        const { pareto, front } = snapshot.members[0];
+
+        assert.ok(pareto.igd < early.igd, algorithm);
+        assert.ok(pareto.igd < 0.02, algorithm);
+        assert.ok(pareto.hypervolume > early.hypervolume, algorithm);
+        assert.ok(pareto.hypervolume <= best && pareto.hypervolume > 0.95 * best, algorithm);
+        assert.strictEqual(pareto.size, front.length, algorithm);
+        // Spread: the front reaches across most of f1's range [0, 1]
+        const f1 = front.map(objectives => objectives[0]);
+        assert.ok(Math.max(...f1) - Math.min(...f1) > 0.9, algorithm);
+        assert.strictEqual(engine.scoreOf(snapshot.members[0]), pareto.igd, algorithm);
+    });
+});
+
+test('single-objective algorithms are turned away from multi-objective problems', () => {
+    assert.throws(() => engine.runHeadless({ ...baseConfig, algorithm: 'ga' }), /NSGA-II ou MOPSO/);
+    assert.throws(() => engine.runHeadless({ ...baseConfig, function: { key: 'sphere' }, algorithm: 'nsga2' }), /Multiobjetivo/);
+});
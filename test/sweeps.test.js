@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const engine = require('../engine.js');
+
+test('only the numeric parameters of the operators in use can be swept', () => {
+    const keys = values => engine.sweepableParams('ga', engine.algorithmParams('ga', values)).map(param => param.key);
+    assert.ok(keys({}).includes('tournamentSize'));
+    assert.ok(!keys({ selection: 'roulette' }).includes('tournamentSize'));
+    assert.ok(!keys({}).includes('selection'));
+    assert.ok(keys({ crossover: 'sbx' }).includes('sbxEta'));
+    assert.ok(!keys({}).includes('sbxEta'));
+});
+
+test('a grid sweep takes every pair of evenly spaced values, rounded for integers', () => {
+    const sweep = { x: { key: 'popSize', min: 10, max: 15, steps: 3 }, y: { key: 'F', min: 0.2, max: 0.6, steps: 5 } };
+    const points = engine.sweepPoints('de', sweep, engine.createRng(1));
+    assert.strictEqual(points.length, 15);
+    assert.deepStrictEqual([...new Set(points.map(point => point.x))], [10, 13, 15]);
+    assert.deepStrictEqual([...new Set(points.map(point => point.y))], [0.2, 0.3, 0.4, 0.5, 0.6]);
+    points.forEach(point => assert.deepStrictEqual(point.cell.map(Number.isInteger), [true, true]));
+    assert.deepStrictEqual(points[7], { x: 13, y: 0.4, cell: [1, 2] });
+});
+
+test('a random sweep draws within the ranges into the nearest grid cells', () => {
+    const sweep = {
+        x: { key: 'F', min: 0.2, max: 1, steps: 5 },
+        y: { key: 'CR', min: 1, max: 0, steps: 3 },
+        mode: 'random',
+        samples: 50
+    };
+    const points = engine.sweepPoints('de', sweep, engine.createRng(2));
+    assert.strictEqual(points.length, 50);
+    points.forEach(({ x, y, cell: [col, row] }) => {
+        assert.ok(x >= 0.2 && x <= 1 && y >= 0 && y <= 1);
+        assert.strictEqual(col, Math.round((x - 0.2) / 0.8 * 4));
+        assert.strictEqual(row, Math.round((y - 1) / -1 * 2));
+    });
+    // Drawn from the seed
+    assert.deepStrictEqual(engine.sweepPoints('de', sweep, engine.createRng(2)), points);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const engine = require('../engine.js');
+
+const baseConfig = {
+    function: { key: 'rastrigin' },
+    dimensions: 3,
+    seed: 11,
+    maxIterations: 40,
+    stopping: {},
+    parameters: {}
+};
+
+// Steps a session, applying `changes` ({ [step]: parameters }) as the page does
+// while a run is on screen
+function runLive(config, changes) {
+    const session = engine.createSession();
+    let snapshot = session.handle('init', config);
+    for (let step = 0; !snapshot.finished; step++) {
+        if (changes[step]) session.handle('tune', { parameters: changes[step] });
+        snapshot = session.handle('step', { count: 1 });
+    }
+    return snapshot;
+}
+
+test('a run config with the tuning events replays a live-tuned run', () => {
+    const changes = { 10: { ga: { mutationRate: 0.3, selection: 'roulette' } }, 25: { ga: { crossoverRate: 0.2 } } };
+    const config = { ...baseConfig, algorithm: 'ga' };
+    const live = runLive(config, changes);
+    const tuning = Object.keys(changes).map(step => ({ step: Number(step), parameters: changes[step] }));
+    const replay = engine.runHeadless({ ...config, tuning });
+    assert.strictEqual(replay.members[0].bestFitness, live.members[0].bestFitness);
+    assert.deepStrictEqual(replay.members[0].bestPosition, live.members[0].bestPosition);
+
+    const untuned = engine.runHeadless(config);
+    assert.notDeepStrictEqual(untuned.members[0].bestPosition, live.members[0].bestPosition);
+});
+
+test('tuning a race changes only the members it names', () => {
+    const config = { ...baseConfig, algorithm: 'race', members: ['ga', 'pso'] };
+    const changes = { 5: { pso: { w: 0.3, c1: 2 } } };
+    const live = runLive(config, changes);
+    const replay = engine.runHeadless({ ...config, tuning: [{ step: 5, parameters: changes[5] }] });
+    const untuned = engine.runHeadless(config);
+    live.members.forEach((member, i) => assert.deepStrictEqual(replay.members[i].bestPosition, member.bestPosition));
+    assert.deepStrictEqual(live.members[0].bestPosition, untuned.members[0].bestPosition);
+    assert.notDeepStrictEqual(live.members[1].bestPosition, untuned.members[1].bestPosition);
+});
+
+test('fixed parameters are left alone and a rejected change is undone', () => {
+    const session = engine.createSession();
+    session.handle('init', { ...baseConfig, algorithm: 'pso' });
+    // swarmSize is not live
+    assert.deepStrictEqual(session.handle('tune', { parameters: { pso: { swarmSize: 10, w: 0.5 } } }), { pso: { w: 0.7 } });
+    // Clerc's constriction needs c1 + c2 > 4
+    assert.throws(() => session.handle('tune', { parameters: { pso: { inertia: 'constriction', c1: 1, c2: 1 } } }), /c1 \+ c2 > 4/);
+    assert.deepStrictEqual(session.handle('tune', { parameters: { pso: { inertia: 'constant', c1: 1.5, c2: 1.5, w: 0.5 } } }), {});
+});